@@ -0,0 +1,150 @@
+/**
+ * Cost Utility - What the coffees cost, compared to buying them at a café
+ **/
+'use strict';
+
+const { getSlotId } = require('./maintenanceTasks');
+const suppliesUtil = require('./suppliesUtil');
+const statsUtil = require('./statsUtil');
+
+/**
+ * Prices are in the currency of the locale. The supplies with a
+ * `costAttribute` hold the price of one base unit, the café price is kept
+ * in CAFE_PRICE_ATTRIBUTE. Prices are spoken as whole units and cents, so
+ * they are rounded to cents; prices per gram keep COST_DECIMALS decimals.
+ */
+const CAFE_PRICE_ATTRIBUTE = 'cafePrice';
+const MAX_PRICE = 1000;
+const COST_DECIMALS = 6;
+
+const costSupplyIds = suppliesUtil.supplyIds.filter(supplyId => suppliesUtil.supplies[supplyId].costAttribute);
+
+const round = (value, decimals) => {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+};
+
+const readNumberSlot = (request, slotName) => {
+    const slot = ((request.intent || {}).slots || {})[slotName];
+    return slot && slot.value !== undefined && slot.value !== null && slot.value !== '' ? Number(slot.value) : undefined;
+};
+
+/**
+ * Get the price given by the `price` slot, in whole units, and the `cents`
+ * slot, such as "3 dollars 50". Returns NaN when neither is filled or the
+ * price is not usable.
+ */
+const getSlotPrice = (request) => {
+    const price = readNumberSlot(request, 'price');
+    const cents = readNumberSlot(request, 'cents');
+    if (price === undefined && cents === undefined) {
+        return NaN;
+    }
+    if (price !== undefined && cents !== undefined && !(cents < 100)) {
+        return NaN;
+    }
+    const value = round((price || 0) + (cents || 0) / 100, 2);
+    return value >= 0 && value <= MAX_PRICE ? value : NaN;
+};
+
+/**
+ * Get the price of one base unit of the supply from the price slots and the
+ * `unit` slot, such as "20 dollars per kilogram". Without a unit the price is
+ * taken for the base unit. Returns NaN when the price is missing or the unit
+ * does not fit the supply.
+ */
+const getSlotCost = (request, supplyId) => {
+    const price = getSlotPrice(request);
+    const unitId = getSlotId(request, 'unit');
+    const supply = suppliesUtil.supplies[supplyId];
+    const unit = unitId === undefined ? { unit: supply.unit, factor: 1 } : suppliesUtil.units[unitId];
+    if (!unit || unit.unit !== supply.unit) {
+        return NaN;
+    }
+    return round(price / unit.factor, COST_DECIMALS);
+};
+
+const hasPrice = (item, supplyId) => item[suppliesUtil.supplies[supplyId].costAttribute] !== undefined;
+
+/**
+ * Get the supply a coffee of the machine is priced by: capsules for capsule
+ * machines and beans for other machines. A machine of unknown type uses one
+ * of them, not both: the one with a price, or when both have one the one it
+ * keeps track of, else beans. Undefined when that supply has no price.
+ */
+const getCostSupply = (item) => {
+    let supplyIds;
+    if (item.machineType) {
+        supplyIds = [item.machineType === 'capsule' ? 'capsules' : 'beans'];
+    } else {
+        supplyIds = costSupplyIds.filter(supplyId => hasPrice(item, supplyId));
+        const tracked = supplyIds.filter(supplyId => suppliesUtil.isTracked(item, supplyId));
+        if (tracked.length === 1) {
+            supplyIds = tracked;
+        }
+    }
+    return supplyIds.filter(supplyId => hasPrice(item, supplyId))[0];
+};
+
+/**
+ * Returns whether the item knows the price of the supply the machine uses.
+ */
+const hasCosts = (item) => {
+    return getCostSupply(item) !== undefined;
+};
+
+/**
+ * Get what a coffee of `drinkType`, if known, costs: the supply it uses at
+ * its price, nothing without a price.
+ */
+const getDrinkCost = (item, drinkType) => {
+    const supplyId = getCostSupply(item);
+    if (supplyId === undefined) {
+        return 0;
+    }
+    return suppliesUtil.getUsagePerDrink(item, supplyId, drinkType) * item[suppliesUtil.supplies[supplyId].costAttribute];
+};
+
+/**
+ * Get what `amount` coffees of `drinkType`, if known, cost at the current
+ * prices, kept on their history event. Undefined without a price.
+ */
+const getCoffeesCost = (item, amount, drinkType) => {
+    return hasCosts(item) ? round(amount * getDrinkCost(item, drinkType), COST_DECIMALS) : undefined;
+};
+
+/**
+ * Get what the coffees recorded from `start` on cost: { coffees, spent, cafe }.
+ * Coffees cost what was kept on their event when they were recorded, those
+ * recorded before any price was known cost the current prices. `cafe` is what
+ * they would have cost at the café, undefined without a café price. Amounts
+ * are rounded to cents.
+ */
+const getSpending = (item, start) => {
+    const events = statsUtil.getCoffeeEvents(item.history, start);
+    const coffees = events.reduce((total, event) => total + event.amount, 0);
+    const spent = events.reduce((total, event) => {
+        return total + (event.cost !== undefined ? event.cost : event.amount * getDrinkCost(item, event.drink));
+    }, 0);
+    const cafePrice = item[CAFE_PRICE_ATTRIBUTE];
+    return {
+        coffees: coffees,
+        spent: round(spent, 2),
+        cafe: cafePrice === undefined ? undefined : round(coffees * cafePrice, 2),
+    };
+};
+
+/**
+ * Export the list of needed for clients to use
+ **/
+module.exports = {
+    CAFE_PRICE_ATTRIBUTE,
+    MAX_PRICE,
+    costSupplyIds,
+    getSlotPrice,
+    getSlotCost,
+    hasCosts,
+    getDrinkCost,
+    getCoffeesCost,
+    getSpending
+};
@@ -0,0 +1,90 @@
+/**
+ * Drink Types - Definitions of the drinks counted by type
+ **/
+'use strict';
+
+const { getSlotId } = require('./maintenanceTasks');
+
+/**
+ * `countAttribute` is the item attribute counting the drinks of the type,
+ * `milk` how many milliliters of milk a drink uses and `caffeine` its estimated
+ * caffeine in milligrams. Drinks with milk are also counted in
+ * MILK_DRINK_COUNT_ATTRIBUTE, which the milk system cleaning is due on.
+ * Coffees recorded without a type are only in the total count.
+ */
+const drinkTypes = {
+    espresso: { milk: 0, caffeine: 65, countAttribute: 'espressoCount' },
+    lungo: { milk: 0, caffeine: 85, countAttribute: 'lungoCount' },
+    cappuccino: { milk: 100, caffeine: 65, countAttribute: 'cappuccinoCount' },
+    latte: { milk: 200, caffeine: 65, countAttribute: 'latteCount' },
+    americano: { milk: 0, caffeine: 130, countAttribute: 'americanoCount' },
+};
+
+const drinkTypeIds = Object.keys(drinkTypes);
+
+const MILK_DRINK_COUNT_ATTRIBUTE = 'milkDrinkCount';
+
+/**
+ * Estimated caffeine in milligrams of a coffee recorded without a type.
+ */
+const COFFEE_CAFFEINE = 80;
+
+/**
+ * Slot value id of a plain coffee, such as "how many coffees did I make",
+ * which names no drink type.
+ */
+const GENERIC_DRINK_ID = 'coffee';
+
+/**
+ * Get the drink type named by the `drink` slot, undefined when the slot is
+ * empty or names a plain coffee and null if unknown.
+ */
+const getDrinkTypeFromSlot = (request) => {
+    const id = getSlotId(request, 'drink');
+    if (id === undefined || id === GENERIC_DRINK_ID) {
+        return undefined;
+    }
+    return drinkTypes[id] ? id : null;
+};
+
+/**
+ * Returns whether drinks of the type are made with milk.
+ */
+const isMilkDrink = (drinkType) => {
+    return Boolean(drinkTypes[drinkType] && drinkTypes[drinkType].milk > 0);
+};
+
+/**
+ * Get the estimated caffeine of a drink in milligrams.
+ */
+const getCaffeine = (drinkType) => {
+    return drinkTypes[drinkType] ? drinkTypes[drinkType].caffeine : COFFEE_CAFFEINE;
+};
+
+/**
+ * Get the attributes counting drinks of the type, none for untyped coffees.
+ */
+const getCountAttributes = (drinkType) => {
+    if (!drinkTypes[drinkType]) {
+        return [];
+    }
+    const attributes = [drinkTypes[drinkType].countAttribute];
+    if (isMilkDrink(drinkType)) {
+        attributes.push(MILK_DRINK_COUNT_ATTRIBUTE);
+    }
+    return attributes;
+};
+
+/**
+ * Export the list of needed for clients to use
+ **/
+module.exports = {
+    drinkTypes,
+    drinkTypeIds,
+    MILK_DRINK_COUNT_ATTRIBUTE,
+    COFFEE_CAFFEINE,
+    getDrinkTypeFromSlot,
+    isMilkDrink,
+    getCaffeine,
+    getCountAttributes
+};
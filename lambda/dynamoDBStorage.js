@@ -0,0 +1,40 @@
+/**
+ * DynamoDB Storage - Storage backed by a DynamoDB table through the DocumentClient
+ **/
+'use strict';
+
+const AWS = require('aws-sdk');
+
+/**
+ * Creates a storage for the given table. Every method takes the DocumentClient
+ * parameters without the TableName, for transactWrite in each of its
+ * TransactItems, and resolves with the DocumentClient result.
+ */
+const createDynamoDBStorage = (options) => {
+    AWS.config.update({ region: options.region });
+    const client = options.client || new AWS.DynamoDB.DocumentClient();
+    const withTable = (params) => Object.assign({ TableName: options.tableName }, params);
+    return {
+        get: (params) => client.get(withTable(params)).promise(),
+        put: (params) => client.put(withTable(params)).promise(),
+        update: (params) => client.update(withTable(params)).promise(),
+        delete: (params) => client.delete(withTable(params)).promise(),
+        transactWrite: (params) => client.transactWrite(Object.assign({}, params, {
+            TransactItems: params.TransactItems.map(entry => {
+                const write = {};
+                Object.keys(entry).forEach(type => {
+                    write[type] = withTable(entry[type]);
+                });
+                return write;
+            }),
+        })).promise(),
+        createSet: (values) => client.createSet(values),
+    };
+};
+
+/**
+ * Export the list of needed for clients to use
+ **/
+module.exports = {
+    createDynamoDBStorage
+};
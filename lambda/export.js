@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * Export - Writes the data kept for a user as CSV or JSON
+ *
+ * usage: node export.js <userId> [--format csv|json] [--output file] [--storage-file file]
+ *
+ * CSV holds one row per history event of every machine, see
+ * userDataUtil.HISTORY_COLUMNS. JSON holds every item kept for the user.
+ * Items are read from the storage chosen by STORAGE_BACKEND, see storage.js,
+ * or from the local storage file given by --storage-file.
+ **/
+'use strict';
+
+const fs = require('fs');
+const storage = require('./storage');
+const userDataUtil = require('./userDataUtil');
+
+const USAGE = 'usage: node export.js <userId> [--format csv|json] [--output file] [--storage-file file]';
+const FORMATS = ['csv', 'json'];
+
+/**
+ * Parses the command line arguments into { userId, format, output, storageFile },
+ * throws with the usage on anything else.
+ */
+const parseArgs = (args) => {
+    const options = { format: 'csv' };
+    const flags = { '--format': 'format', '--output': 'output', '--storage-file': 'storageFile' };
+    for (let i = 0; i < args.length; i++) {
+        if (flags[args[i]] && args[i + 1] !== undefined) {
+            options[flags[args[i]]] = args[++i];
+        } else if (!args[i].startsWith('-') && !options.userId) {
+            options.userId = args[i];
+        } else {
+            throw new Error(USAGE);
+        }
+    }
+    if (!options.userId || FORMATS.indexOf(options.format) === -1) {
+        throw new Error(USAGE);
+    }
+    return options;
+};
+
+/**
+ * Exports the user's data for the arguments, writing it to the output file
+ * when given. Resolves with the exported text.
+ */
+const run = async (args) => {
+    const options = parseArgs(args);
+    if (options.storageFile) {
+        storage.setStorage(storage.createStorage({ backend: 'file', file: options.storageFile }));
+    }
+    const data = await userDataUtil.readUserData(options.userId);
+    const text = options.format === 'json'
+        ? userDataUtil.toJson(data)
+        : userDataUtil.toCsv(userDataUtil.getHistoryRows(data));
+    if (options.output) {
+        fs.writeFileSync(options.output, text);
+    }
+    return text;
+};
+
+if (require.main === module) {
+    run(process.argv.slice(2))
+        .then(text => {
+            if (!parseArgs(process.argv.slice(2)).output) {
+                process.stdout.write(text);
+            }
+        })
+        .catch(error => {
+            console.error(error.message);
+            process.exitCode = 1;
+        });
+}
+
+/**
+ * Export the list of needed for clients to use
+ **/
+module.exports = {
+    parseArgs,
+    run
+};
@@ -0,0 +1,463 @@
+/**
+ * Expression Utility - Evaluates the subset of DynamoDB update and condition
+ * expressions used by the skill against plain JavaScript items
+ **/
+'use strict';
+
+const MISSING_ATTRIBUTE = 'The provided expression refers to an attribute that does not exist in the item';
+
+/**
+ * Creates an error shaped like the ones the AWS SDK rejects with.
+ */
+const awsError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+/**
+ * Splits an expression into names (#n), values (:v), words, numbers and symbols.
+ */
+const tokenize = (expression) => {
+    const tokens = [];
+    const pattern = /\s*(?:([#:]?[A-Za-z_][A-Za-z0-9_]*)|(\d+)|(<>|<=|>=|[=<>(),.[\]+-]))/y;
+    let match;
+    pattern.lastIndex = 0;
+    while (pattern.lastIndex < expression.length) {
+        if (/^\s*$/.test(expression.slice(pattern.lastIndex))) {
+            break;
+        }
+        match = pattern.exec(expression);
+        if (!match) {
+            throw awsError('ValidationException', `Invalid expression: ${expression}`);
+        }
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'word', value: match[1] });
+        } else if (match[2] !== undefined) {
+            tokens.push({ type: 'number', value: Number(match[2]) });
+        } else {
+            tokens.push({ type: 'symbol', value: match[3] });
+        }
+    }
+    return tokens;
+};
+
+/**
+ * Small recursive descent parser over the tokens of one expression.
+ */
+class Parser {
+    constructor(expression, names, values) {
+        this.tokens = tokenize(expression);
+        this.position = 0;
+        this.names = names || {};
+        this.values = values || {};
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    done() {
+        return this.position >= this.tokens.length;
+    }
+
+    isSymbol(symbol) {
+        const token = this.peek();
+        return token !== undefined && token.type === 'symbol' && token.value === symbol;
+    }
+
+    isKeyword(keyword) {
+        const token = this.peek();
+        return token !== undefined && token.type === 'word' && token.value.toUpperCase() === keyword;
+    }
+
+    expect(symbol) {
+        const token = this.next();
+        if (!token || token.value !== symbol) {
+            throw awsError('ValidationException', `Invalid expression: expected ${symbol}`);
+        }
+    }
+
+    name(word) {
+        if (word.startsWith('#')) {
+            if (this.names[word] === undefined) {
+                throw awsError('ValidationException', `An expression attribute name used in the document path is not defined; attribute name: ${word}`);
+            }
+            return this.names[word];
+        }
+        return word;
+    }
+
+    value(word) {
+        if (this.values[word] === undefined) {
+            throw awsError('ValidationException', `An expression attribute value used in expression is not defined; attribute value: ${word}`);
+        }
+        return this.values[word];
+    }
+
+    // path := name ('.' name | '[' number ']')*
+    path() {
+        const token = this.next();
+        if (!token || token.type !== 'word' || token.value.startsWith(':')) {
+            throw awsError('ValidationException', 'Invalid expression: expected a document path');
+        }
+        const path = [this.name(token.value)];
+        while (this.isSymbol('.') || this.isSymbol('[')) {
+            if (this.next().value === '.') {
+                path.push(this.name(this.next().value));
+            } else {
+                path.push(this.next().value);
+                this.expect(']');
+            }
+        }
+        return path;
+    }
+
+    // operand := value | path | function '(' arguments ')'
+    operand() {
+        const token = this.peek();
+        if (token.type === 'word' && token.value.startsWith(':')) {
+            this.next();
+            return { type: 'value', value: this.value(token.value) };
+        }
+        if (token.type === 'word' && this.tokens[this.position + 1] && this.tokens[this.position + 1].value === '(') {
+            this.next();
+            this.expect('(');
+            const args = [];
+            while (!this.isSymbol(')')) {
+                args.push(this.operand());
+                if (this.isSymbol(',')) {
+                    this.next();
+                }
+            }
+            this.expect(')');
+            return { type: 'function', name: token.value, args: args };
+        }
+        return { type: 'path', path: this.path() };
+    }
+}
+
+/**
+ * Reads the value at a document path, or undefined when it does not exist.
+ */
+const getPath = (item, path) => {
+    let current = item;
+    for (let i = 0; i < path.length; i++) {
+        if (current === undefined || current === null || typeof current !== 'object') {
+            return undefined;
+        }
+        current = current[path[i]];
+    }
+    return current;
+};
+
+/**
+ * Writes the value at a document path; the parent has to exist already.
+ */
+const setPath = (item, path, value) => {
+    const parent = getPath(item, path.slice(0, -1));
+    if (parent === undefined || parent === null || typeof parent !== 'object') {
+        throw awsError('ValidationException', 'The document path provided in the update expression is invalid for update');
+    }
+    const key = path[path.length - 1];
+    if (Array.isArray(parent) && key >= parent.length) {
+        parent.push(value);
+    } else {
+        parent[key] = value;
+    }
+};
+
+/**
+ * Removes the value at a document path, closing the gap in lists.
+ */
+const removePath = (item, path) => {
+    const parent = getPath(item, path.slice(0, -1));
+    const key = path[path.length - 1];
+    if (Array.isArray(parent)) {
+        parent.splice(key, 1);
+    } else if (parent !== undefined && parent !== null && typeof parent === 'object') {
+        delete parent[key];
+    }
+};
+
+const isSet = (value) => value !== null && typeof value === 'object' && value.wrapperName === 'Set';
+
+/**
+ * Creates a set value the same shape as DocumentClient.createSet returns.
+ */
+const createSet = (list) => {
+    return {
+        wrapperName: 'Set',
+        type: typeof list[0] === 'number' ? 'Number' : 'String',
+        values: Array.from(new Set(list)),
+    };
+};
+
+/**
+ * Evaluates an operand against the item as it was before the update.
+ */
+const evaluate = (item, operand, allowMissing) => {
+    if (operand.type === 'value') {
+        return operand.value;
+    }
+    if (operand.type === 'path') {
+        const value = getPath(item, operand.path);
+        if (value === undefined && !allowMissing) {
+            throw awsError('ValidationException', MISSING_ATTRIBUTE);
+        }
+        return value;
+    }
+    switch (operand.name) {
+        case 'if_not_exists': {
+            const existing = evaluate(item, operand.args[0], true);
+            return existing !== undefined ? existing : evaluate(item, operand.args[1]);
+        }
+        case 'list_append':
+            return evaluate(item, operand.args[0]).concat(evaluate(item, operand.args[1]));
+        case 'size': {
+            const value = evaluate(item, operand.args[0], true);
+            if (value === undefined) {
+                return undefined;
+            }
+            if (isSet(value)) {
+                return value.values.length;
+            }
+            return typeof value === 'object' && !Array.isArray(value) ? Object.keys(value).length : value.length;
+        }
+        default:
+            throw awsError('ValidationException', `Invalid function name; function: ${operand.name}`);
+    }
+};
+
+/**
+ * Returns whether one document path is the other or lies inside it.
+ */
+const overlaps = (path, other) => {
+    return path.slice(0, other.length).every((part, index) => part === other[index]);
+};
+
+const formatPath = (path) => `[${path.map(part => typeof part === 'number' ? `[${part}]` : part).join(', ')}]`;
+
+/**
+ * Parses an update expression into its actions, one per document path.
+ * Like DynamoDB, rejects expressions where two of the paths overlap.
+ */
+const parseUpdate = (expression, names, values) => {
+    const parser = new Parser(expression, names, values);
+    const actions = [];
+    let clause;
+    while (!parser.done()) {
+        if (['SET', 'REMOVE', 'ADD', 'DELETE'].some(keyword => parser.isKeyword(keyword))) {
+            clause = parser.next().value.toUpperCase();
+        }
+        const action = { clause: clause, path: parser.path() };
+        const overlapping = actions.find(other => overlaps(other.path, action.path) || overlaps(action.path, other.path));
+        if (overlapping) {
+            throw awsError('ValidationException', 'Invalid UpdateExpression: Two document paths overlap with each other; '
+                + `must remove or rewrite one of these paths; path one: ${formatPath(overlapping.path)}, path two: ${formatPath(action.path)}`);
+        }
+        if (clause === 'SET') {
+            // operand (('+' | '-') operand)?
+            parser.expect('=');
+            action.operand = parser.operand();
+            if (parser.isSymbol('+') || parser.isSymbol('-')) {
+                action.operator = parser.next().value;
+                action.right = parser.operand();
+            }
+        } else if (clause === 'ADD' || clause === 'DELETE') {
+            action.operand = parser.operand();
+        } else if (clause !== 'REMOVE') {
+            throw awsError('ValidationException', `Invalid UpdateExpression: ${expression}`);
+        }
+        actions.push(action);
+        if (parser.isSymbol(',')) {
+            parser.next();
+        }
+    }
+    return actions;
+};
+
+/**
+ * Evaluates the right-hand side of a SET action.
+ */
+const setValue = (item, action) => {
+    const left = evaluate(item, action.operand);
+    if (action.operator) {
+        const right = evaluate(item, action.right);
+        if (typeof left !== 'number' || typeof right !== 'number') {
+            throw awsError('ValidationException', 'An operand in the update expression has an incorrect data type');
+        }
+        return action.operator === '+' ? left + right : left - right;
+    }
+    return left;
+};
+
+/**
+ * Applies an update expression and returns the updated copy of the item.
+ * Every operand is read from the item as it was before the update.
+ */
+const applyUpdate = (item, expression, names, values) => {
+    const before = JSON.parse(JSON.stringify(item));
+    const after = JSON.parse(JSON.stringify(item));
+    const removals = [];
+    parseUpdate(expression, names, values).forEach(action => {
+        const path = action.path;
+        if (action.clause === 'SET') {
+            setPath(after, path, setValue(before, action));
+        } else if (action.clause === 'REMOVE') {
+            removals.push(path);
+        } else {
+            const change = evaluate(before, action.operand);
+            const existing = getPath(before, path);
+            if (isSet(change)) {
+                const current = existing === undefined ? [] : existing.values;
+                const merged = action.clause === 'ADD'
+                    ? current.concat(change.values)
+                    : current.filter(value => change.values.indexOf(value) === -1);
+                if (merged.length === 0) {
+                    removals.push(path);
+                } else {
+                    setPath(after, path, createSet(merged));
+                }
+            } else if (action.clause === 'ADD' && typeof change === 'number' && (existing === undefined || typeof existing === 'number')) {
+                setPath(after, path, (existing === undefined ? 0 : existing) + change);
+            } else {
+                throw awsError('ValidationException', 'An operand in the update expression has an incorrect data type');
+            }
+        }
+    });
+    // remove from the highest list index down so earlier removals don't shift later ones
+    removals
+        .sort((a, b) => Number(b[b.length - 1]) - Number(a[a.length - 1]))
+        .forEach(path => removePath(after, path));
+    return after;
+};
+
+/**
+ * Rejects the parameters of a write that DynamoDB rejects before looking at
+ * the item: empty attribute name or value maps, maps given without an
+ * expression, names or values no expression uses and overlapping update paths.
+ */
+const checkParams = (params) => {
+    const expressions = [params.UpdateExpression, params.ConditionExpression].filter(expression => expression);
+    const used = new Set();
+    expressions.forEach(expression => tokenize(expression)
+        .filter(token => token.type === 'word')
+        .forEach(token => used.add(token.value)));
+    ['ExpressionAttributeNames', 'ExpressionAttributeValues'].forEach(attribute => {
+        if (!params[attribute]) {
+            return;
+        }
+        const keys = Object.keys(params[attribute]);
+        if (keys.length === 0) {
+            throw awsError('ValidationException', `${attribute} must not be empty`);
+        }
+        if (expressions.length === 0) {
+            throw awsError('ValidationException', `${attribute} can only be specified when using expressions`);
+        }
+        const unused = keys.filter(key => !used.has(key));
+        if (unused.length > 0) {
+            throw awsError('ValidationException', `Value provided in ${attribute} unused in expressions: keys: {${unused.join(', ')}}`);
+        }
+    });
+    if (params.UpdateExpression) {
+        parseUpdate(params.UpdateExpression, params.ExpressionAttributeNames, params.ExpressionAttributeValues);
+    }
+};
+
+const compare = (left, operator, right) => {
+    if (left === undefined || right === undefined) {
+        return operator === '<>';
+    }
+    switch (operator) {
+        case '=': return JSON.stringify(left) === JSON.stringify(right);
+        case '<>': return JSON.stringify(left) !== JSON.stringify(right);
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        default: throw awsError('ValidationException', `Invalid comparator: ${operator}`);
+    }
+};
+
+/**
+ * condition := term ('OR' term)* ; term := factor ('AND' factor)*
+ * factor := 'NOT' factor | '(' condition ')' | function | operand comparator operand
+ */
+const condition = (parser, item) => {
+    let result = conditionTerm(parser, item);
+    while (parser.isKeyword('OR')) {
+        parser.next();
+        const right = conditionTerm(parser, item);
+        result = result || right;
+    }
+    return result;
+};
+
+const conditionTerm = (parser, item) => {
+    let result = conditionFactor(parser, item);
+    while (parser.isKeyword('AND')) {
+        parser.next();
+        const right = conditionFactor(parser, item);
+        result = result && right;
+    }
+    return result;
+};
+
+const conditionFactor = (parser, item) => {
+    if (parser.isKeyword('NOT')) {
+        parser.next();
+        return !conditionFactor(parser, item);
+    }
+    if (parser.isSymbol('(')) {
+        parser.next();
+        const result = condition(parser, item);
+        parser.expect(')');
+        return result;
+    }
+    const operand = parser.operand();
+    if (operand.type === 'function' && operand.name !== 'size') {
+        const value = evaluate(item, operand.args[0], true);
+        switch (operand.name) {
+            case 'attribute_exists':
+                return value !== undefined;
+            case 'attribute_not_exists':
+                return value === undefined;
+            case 'contains': {
+                const search = evaluate(item, operand.args[1], true);
+                if (value === undefined) {
+                    return false;
+                }
+                const list = isSet(value) ? value.values : value;
+                return list.indexOf(search) !== -1;
+            }
+            case 'begins_with':
+                return typeof value === 'string' && value.startsWith(evaluate(item, operand.args[1]));
+            default:
+                throw awsError('ValidationException', `Invalid function name; function: ${operand.name}`);
+        }
+    }
+    const operator = parser.next().value;
+    const right = parser.operand();
+    return compare(evaluate(item, operand, true), operator, evaluate(item, right, true));
+};
+
+/**
+ * Returns whether the item (or undefined when missing) satisfies the condition expression.
+ */
+const matchesCondition = (item, expression, names, values) => {
+    const parser = new Parser(expression, names, values);
+    return condition(parser, item || {});
+};
+
+module.exports = {
+    awsError,
+    createSet,
+    applyUpdate,
+    matchesCondition,
+    checkParams
+};
@@ -0,0 +1,137 @@
+/**
+ * History Utility - Timestamped coffee and maintenance events kept on the item
+ **/
+'use strict';
+
+const timeZoneUtil = require('./timeZoneUtil');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Retention policy: the history keeps at most MAX_EVENTS events and none older
+ * than RETENTION_DAYS. At most MAX_TRIM events are dropped per write so that
+ * the update expression stays small; later writes drop the rest.
+ */
+const MAX_EVENTS = 1000;
+const RETENTION_DAYS = 365;
+const MAX_TRIM = 100;
+
+/**
+ * Creates a history event, `at` is an ISO timestamp.
+ * example: { type: 'coffee', at: '2020-01-01T08:00:00.000Z', amount: 2 }
+ */
+const newEvent = (type, at, details) => {
+    return Object.assign({ type: type, at: at }, details);
+};
+
+/**
+ * Get the number of events at the start of the history that the retention
+ * policy drops.
+ */
+const getExpiredCount = (history, now) => {
+    const events = history || [];
+    const oldestKept = now.getTime() - RETENTION_DAYS * DAY_IN_MS;
+    let expired = Math.max(events.length - MAX_EVENTS, 0);
+    while (expired < events.length && Date.parse(events[expired].at) < oldestKept) {
+        expired++;
+    }
+    return Math.min(expired, MAX_TRIM);
+};
+
+/**
+ * Get the number of coffees recorded from `start` (inclusive) up to `end`
+ * (exclusive, defaults to now). Only drinks of `drinkType` are counted when given.
+ */
+const countCoffees = (history, start, end, drinkType) => {
+    return (history || [])
+        .filter(event => event.type === 'coffee')
+        .filter(event => !drinkType || event.drink === drinkType)
+        .filter(event => {
+            const at = Date.parse(event.at);
+            return at >= start.getTime() && (!end || at < end.getTime());
+        })
+        .reduce((total, event) => total + event.amount, 0);
+};
+
+/**
+ * Get the most recent maintenance event for a task, undefined if there is none.
+ */
+const getLastMaintenance = (history, taskId) => {
+    const events = (history || []).filter(event => event.type === 'maintenance' && event.task === taskId);
+    return events[events.length - 1];
+};
+
+/**
+ * Get the date of the oldest event still in the history, undefined when empty.
+ */
+const getHistoryStart = (history) => {
+    return history && history.length > 0 ? new Date(history[0].at) : undefined;
+};
+
+/**
+ * Get the number of whole days between two dates.
+ */
+const daysBetween = (from, to) => {
+    return Math.floor((to.getTime() - from.getTime()) / DAY_IN_MS);
+};
+
+/**
+ * Get the number of calendar days from the day of `from` to the day of `to`
+ * in the time zone.
+ */
+const localDaysBetween = (from, to, timeZone) => {
+    return daysBetween(new Date(timeZoneUtil.getLocalDay(from, timeZone)), new Date(timeZoneUtil.getLocalDay(to, timeZone)));
+};
+
+/**
+ * Get the start of the period named by an AMAZON.DATE slot value: a day
+ * (2020-01-06), week (2020-W02), weekend (2020-W02-WE), month (2020-01) or
+ * year (2020). Weekdays such as "monday" resolve to the coming date, so a date
+ * in the future is moved back a week, or a year for months. The value is a
+ * date in the device's `timeZone`, so the start is that zone's midnight.
+ */
+const getDateSlotStart = (value, now, timeZone) => {
+    const today = timeZoneUtil.toLocalTime(now, timeZone);
+    let match;
+    let start;
+    let period;
+    if ((match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value))) {
+        start = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+        period = 'week';
+    } else if ((match = /^(\d{4})-W(\d{2})(-WE)?$/.exec(value))) {
+        // ISO week 1 is the week holding January 4th
+        const january4 = new Date(Date.UTC(Number(match[1]), 0, 4));
+        const monday = january4.getTime() - ((january4.getUTCDay() + 6) % 7) * DAY_IN_MS;
+        start = new Date(monday + (Number(match[2]) - 1) * 7 * DAY_IN_MS + (match[3] ? 5 * DAY_IN_MS : 0));
+        period = 'week';
+    } else if ((match = /^(\d{4})-(\d{2})$/.exec(value))) {
+        start = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, 1));
+        period = 'year';
+    } else if ((match = /^(\d{4})$/.exec(value))) {
+        start = new Date(Date.UTC(Number(match[1]), 0, 1));
+    } else {
+        return undefined;
+    }
+    if (start.getTime() > today.getTime() && period === 'week') {
+        start = new Date(start.getTime() - 7 * DAY_IN_MS);
+    } else if (start.getTime() > today.getTime() && period === 'year') {
+        start.setUTCFullYear(start.getUTCFullYear() - 1);
+    }
+    return timeZoneUtil.fromLocalTime(start, timeZone);
+};
+
+/**
+ * Export the list of needed for clients to use
+ **/
+module.exports = {
+    MAX_EVENTS,
+    RETENTION_DAYS,
+    newEvent,
+    getExpiredCount,
+    countCoffees,
+    getLastMaintenance,
+    getHistoryStart,
+    daysBetween,
+    localDaysBetween,
+    getDateSlotStart
+};
@@ -16,17 +16,26 @@
 //
 
 // sets up dependencies
-const AWS = require('aws-sdk');
-AWS.config.update({region: process.env.DYNAMODB_PERSISTENCE_REGION});
-
 const Alexa = require('ask-sdk-core');
 const i18n = require('i18next');
 const sprintf = require('i18next-sprintf-postprocessor');
+const maintenanceTasks = require('./maintenanceTasks');
+const personalizationUtil = require('./personalizationUtil');
+const historyUtil = require('./historyUtil');
+const reminderUtil = require('./reminderUtil');
+const aplDocument = require('./aplDocument.json');
+const machineUtil = require('./machineUtil');
+const suppliesUtil = require('./suppliesUtil');
+const drinkTypes = require('./drinkTypes');
+const statsUtil = require('./statsUtil');
+const costUtil = require('./costUtil');
+const timeZoneUtil = require('./timeZoneUtil');
+const userDataUtil = require('./userDataUtil');
+const webhookUtil = require('./webhookUtil');
+// items are kept in the storage chosen by STORAGE_BACKEND, see storage.js
+const { getStorage } = require('./storage');
 
-const dynamoDB = new AWS.DynamoDB.DocumentClient();
-const TableName = process.env.DYNAMODB_PERSISTENCE_TABLE_NAME;
-
-const cleaningThreshold = 40;
+const maxCoffeesPerRequest = 20;
 
 // helper functions for supported interfaces
 function supportsInterface(handlerInput, interfaceName) {
@@ -41,146 +50,1934 @@ function supportsAPL(handlerInput) {
   return supportsInterface(handlerInput, 'Alexa.Presentation.APL')
 }
 
-async function getItemFromDynamoDB(id) {
+async function getItemFromStorage(id) {
   const params = {
-    TableName: TableName,
     Key: { id: id },
   };
-  const data = await dynamoDB.get(params).promise();
+  const data = await getStorage().get(params);
   return data;
 }
 
-async function getCountFromDynamoDB(id) {
-  const data = await getItemFromDynamoDB(id);
-  return data.Item ? (data.Item.count ? data.Item.count : 0 ) : 0;
-}
+async function getCountFromStorage(id) {
+  const data = await getItemFromStorage(id);
+  return data.Item ? (data.Item.count ? data.Item.count : 0 ) : 0;
+}
+
+async function getCoffeeDetails(id) {
+  const data = await getItemFromStorage(id);
+  return Object.assign({ count: 0, lastMaintenance: 0 }, data.Item);
+}
+
+// speaks a date such as "October 19th 2020"
+function speakDate(date) {
+  const value = date.toISOString().slice(0, 10).replace(/-/g, '');
+  return `<say-as interpret-as="date">${value}</say-as>`;
+}
+
+// reads a number slot, NaN when it is not filled
+function getSlotNumber(request, slotName) {
+  const slot = (request.intent.slots || {})[slotName];
+  return slot && slot.value ? Number(slot.value) : NaN;
+}
+
+// reads the coffeeCount slot, defaulting to a single coffee when it is not filled.
+// returns NaN when the spoken value is not a usable number.
+function getRequestedCoffees(request) {
+  const slot = (request.intent.slots || {}).coffeeCount;
+  if (!slot || slot.value === undefined || slot.value === null || slot.value === '') {
+    return 1;
+  }
+  const amount = Number(slot.value);
+  if (!Number.isInteger(amount) || amount < 1 || amount > maxCoffeesPerRequest) {
+    return NaN;
+  }
+  return amount;
+}
+
+// `personId` is the recognized speaker, if any. It is remembered on the account
+// item so that the speaker's own item can be found again, and the speaker's own
+// count goes up in the same transaction, see getPersonCountUpdate. `usage` maps the stock
+// attributes of the supplies the coffees use to the amount used. `drinkType` is
+// the kind of drink, if named, which is counted on its own as well. `cost` is
+// what the coffees cost, if known, kept on the history event so that later
+// price changes don't change it. Resolves with { item, person }, the items as
+// stored afterwards, `person` only with a `personId`.
+async function incrementCountInStorage(id, amount, personId, usage, drinkType, cost) {
+  const details = { amount: amount };
+  if (personId) {
+    details.person = personId;
+  }
+  if (drinkType) {
+    details.drink = drinkType;
+  }
+  const action = newAction('coffee', Object.keys(usage || {}).length > 0 ? Object.assign({ used: usage }, details) : details);
+  const event = historyUtil.newEvent('coffee', action.at, cost === undefined ? details : Object.assign({ cost: cost }, details));
+  const names = { '#la': 'lastAction', '#h': 'history' };
+  const values = { ':increment': amount, ':action': action, ':empty': [], ':event': [event] };
+  const assignments = initializeItemAssignments(names, values, ':increment')
+    .concat(['#la = :action', '#h = list_append(if_not_exists(#h, :empty), :event)']);
+  addUsageAssignments(usage, '-', names, values, assignments);
+  const additions = [];
+  drinkTypes.getCountAttributes(drinkType).forEach((attribute, index) => {
+    names[`#d${index}`] = attribute;
+    additions.push(`#d${index} :increment`);
+  });
+  if (personId) {
+    names['#p'] = 'people';
+    values[':person'] = getStorage().createSet([personId]);
+    additions.push('#p :person');
+  }
+  const params = {
+    Key: { id: id },
+    UpdateExpression: `SET ${assignments.join(', ')}` + (additions.length > 0 ? ` ADD ${additions.join(', ')}` : ''),
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values,
+  };
+
+  try {
+    let item;
+    let person;
+    if (personId) {
+      [item, person] = await transactUpdatesInStorage([params, getPersonCountUpdate(personId, amount)]);
+    } else {
+      item = (await getStorage().update(Object.assign({ ReturnValues: 'ALL_NEW' }, params))).Attributes;
+    }
+    await trimHistoryInStorage(id, item.history);
+    return { item: item, person: person };
+  } catch (error) {
+    console.error(`Error updating count: ${error.message}`);
+    throw error;
+  }
+}
+
+// takes (`operator` '-') or gives back ('+') the supplies in a usage map,
+// see suppliesUtil.getDrinkUsage
+function addUsageAssignments(usage, operator, names, values, assignments) {
+  Object.keys(usage || {}).forEach((attribute, index) => {
+    names[`#u${index}`] = attribute;
+    values[`:u${index}`] = usage[attribute];
+    assignments.push(`#u${index} = #u${index} ${operator} :u${index}`);
+  });
+}
+
+const maxUpdateAttempts = 3;
+
+// runs the update `buildParams` makes from the item as stored now, in one
+// transaction with `otherUpdates` when given. such updates are conditional on
+// the attributes they read, see unchangedCondition, so when another request
+// changed them in the meantime the item is read again.
+async function updateStoredItem(id, buildParams, otherUpdates) {
+  for (let attempt = 1; ; attempt++) {
+    const data = await getItemFromStorage(id);
+    try {
+      const params = buildParams(data.Item || {});
+      if (otherUpdates) {
+        return (await transactUpdatesInStorage([params].concat(otherUpdates)))[0];
+      }
+      const result = await getStorage().update(Object.assign({ ReturnValues: 'ALL_NEW' }, params));
+      return result.Attributes;
+    } catch (error) {
+      if (!isConditionFailure(error) || attempt >= maxUpdateAttempts) {
+        throw error;
+      }
+    }
+  }
+}
+
+// whether a write failed on its condition, on its own or in a transaction
+function isConditionFailure(error) {
+  return error.code === 'ConditionalCheckFailedException'
+    || (error.code === 'TransactionCanceledException' && error.message.indexOf('ConditionalCheckFailed') !== -1);
+}
+
+// condition that `attributes` still hold the values they have in `item`
+function unchangedCondition(item, attributes, names, values) {
+  return attributes.map((attribute, index) => {
+    names[`#o${index}`] = attribute;
+    if (item[attribute] === undefined) {
+      return `attribute_not_exists(#o${index})`;
+    }
+    values[`:o${index}`] = item[attribute];
+    return `#o${index} = :o${index}`;
+  }).join(' AND ');
+}
+
+// writes the updates, DocumentClient update params without ReturnValues, in
+// one transaction, so that either all or none of them apply. resolves with the
+// items as stored afterwards, in the order of the updates.
+async function transactUpdatesInStorage(updates) {
+  await getStorage().transactWrite({ TransactItems: updates.map(update => ({ Update: update })) });
+  const items = [];
+  for (const update of updates) {
+    const data = await getStorage().get({ Key: update.Key, ConsistentRead: true });
+    items.push(data.Item);
+  }
+  return items;
+}
+
+// each voice profile has its own item, keyed by the personId, holding the
+// coffees that person had. machine counts and maintenance stay on the account
+// item, so the person's count is updated together with it.
+function getPersonCountUpdate(personId, amount) {
+  return {
+    Key: { id: personId },
+    UpdateExpression: 'ADD #c :amount',
+    ExpressionAttributeNames: { '#c': 'count' },
+    ExpressionAttributeValues: { ':amount': amount },
+  };
+}
+
+// the caffeine limit of a voice profile is kept on the person's item. the
+// account item remembers the voice profile, like a coffee they record does,
+// so that their own item is found again when the data is deleted.
+async function saveCaffeineLimitInStorage(userId, personId, limit) {
+  const limitUpdate = {
+    Key: { id: personId },
+    UpdateExpression: limit ? 'SET #cl = :limit' : 'REMOVE #cl',
+    ExpressionAttributeNames: { '#cl': 'caffeineLimit' },
+  };
+  if (limit) {
+    limitUpdate.ExpressionAttributeValues = { ':limit': limit };
+  }
+  const names = { '#p': 'people' };
+  const values = { ':person': getStorage().createSet([personId]) };
+  const assignments = initializeItemAssignments(names, values);
+  const personUpdate = {
+    Key: { id: userId },
+    UpdateExpression: `SET ${assignments.join(', ')} ADD #p :person`,
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values,
+  };
+
+  try {
+    return (await transactUpdatesInStorage([limitUpdate, personUpdate]))[0];
+  } catch (error) {
+    console.error(`Error saving caffeine limit: ${error.message}`);
+    throw error;
+  }
+}
+
+async function saveReminderTokenInStorage(id, token) {
+  const params = {
+    Key: { id: id },
+    UpdateExpression: 'SET #rt = :token',
+    ExpressionAttributeNames: { '#rt': 'cleaningReminderToken' },
+    ExpressionAttributeValues: { ':token': token },
+    ReturnValues: 'ALL_NEW'
+  };
+
+  try {
+    const data = await getStorage().update(params);
+    return data.Attributes;
+  } catch (error) {
+    console.error(`Error saving reminder: ${error.message}`);
+    throw error;
+  }
+}
+
+// cleaning also clears the pending cleaning reminder, see cancelCleaningReminder.
+// the task is recorded at the count as stored when the update runs, never at
+// one read before, so coffees recorded in the meantime from other devices count.
+async function performMaintenance(id, taskId) {
+  const task = maintenanceTasks.tasks[taskId];
+  const buildParams = (item) => {
+    // attributes that were never set are restored by removing them on undo
+    const previous = {};
+    previous[task.countAttribute] = item[task.countAttribute] !== undefined ? item[task.countAttribute] : null;
+    previous[task.timeAttribute] = item[task.timeAttribute] !== undefined ? item[task.timeAttribute] : null;
+    // supplies used by the task, such as a descaler dose, come back on undo too
+    const usage = suppliesUtil.getTaskUsage(item, taskId);
+    Object.keys(usage).forEach(attribute => {
+      previous[attribute] = item[attribute];
+    });
+    const action = newAction('maintenance', { task: taskId, previous: previous });
+    const names = { '#lc': task.countAttribute, '#lt': task.timeAttribute, '#tc': task.counter || 'count', '#la': 'lastAction', '#h': 'history' };
+    const values = {
+      ':at': action.at,
+      ':action': action,
+      ':empty': [],
+      ':event': [historyUtil.newEvent('maintenance', action.at, { task: taskId })],
+    };
+    const assignments = initializeItemAssignments(names, values, undefined, task.countAttribute)
+      .concat(['#lc = if_not_exists(#tc, :zero)', '#lt = :at', '#la = :action', '#h = list_append(if_not_exists(#h, :empty), :event)']);
+    addUsageAssignments(usage, '-', names, values, assignments);
+    const params = {
+      Key: { id: id },
+      UpdateExpression: `SET ${assignments.join(', ')}`
+        + (taskId === 'cleaning' ? ' REMOVE #rt' : ''),
+      // the values kept for undo must be the ones replaced
+      ConditionExpression: unchangedCondition(item, Object.keys(previous), names, values),
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values,
+      ReturnValues: 'ALL_NEW'
+    };
+    if (taskId === 'cleaning') {
+      params.ExpressionAttributeNames['#rt'] = 'cleaningReminderToken';
+    }
+    return params;
+  };
+
+  try {
+    const item = await updateStoredItem(id, buildParams);
+    await trimHistoryInStorage(id, item.history);
+    return item;
+  } catch (error) {
+    console.error(`Error marking last maintenance: ${error.message}`);
+    throw error;
+  }
+}
+
+// assignments giving an item that does not exist yet an empty count, so that
+// any update can be the first one. `increment` names the value, if any, that
+// is added to the count. `skipped` is an attribute the update sets itself.
+function initializeItemAssignments(names, values, increment, skipped) {
+  Object.assign(values, { ':zero': 0, ':now': new Date().toISOString() });
+  return [
+    ['#c', 'count', `if_not_exists(#c, :zero)${increment ? ` + ${increment}` : ''}`],
+    ['#lm', 'lastMaintenance', 'if_not_exists(#lm, :zero)'],
+    ['#ca', 'createdAt', 'if_not_exists(#ca, :now)'],
+  ].filter(assignment => assignment[1] !== skipped).map(assignment => {
+    names[assignment[0]] = assignment[1];
+    return `${assignment[0]} = ${assignment[2]}`;
+  });
+}
+
+async function addMachineInStorage(userId, name) {
+  const names = { '#m': 'machines' };
+  const values = { ':name': getStorage().createSet([name]) };
+  const assignments = initializeItemAssignments(names, values);
+  const params = {
+    Key: { id: userId },
+    UpdateExpression: `SET ${assignments.join(', ')} ADD #m :name`,
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values,
+    ReturnValues: 'ALL_NEW'
+  };
+
+  try {
+    const data = await getStorage().update(params);
+    return data.Attributes;
+  } catch (error) {
+    console.error(`Error adding machine: ${error.message}`);
+    throw error;
+  }
+}
+
+// adds a purchase to the stock of a supply. a stock that ran below zero
+// because of coffees made since the last purchase starts over from zero.
+async function addSuppliesInStorage(id, supplyId, amount) {
+  const attribute = suppliesUtil.supplies[supplyId].stockAttribute;
+  const buildParams = (item) => {
+    const previous = {};
+    previous[attribute] = item[attribute] !== undefined ? item[attribute] : null;
+    const names = { '#s': attribute, '#la': 'lastAction' };
+    const values = {
+      ':stock': (suppliesUtil.getStock(item, supplyId) || 0) + amount,
+      ':action': newAction('supplies', { supply: supplyId, previous: previous }),
+    };
+    const assignments = initializeItemAssignments(names, values).concat(['#s = :stock', '#la = :action']);
+    return {
+      Key: { id: id },
+      UpdateExpression: `SET ${assignments.join(', ')}`,
+      ConditionExpression: unchangedCondition(item, [attribute], names, values),
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values,
+      ReturnValues: 'ALL_NEW'
+    };
+  };
+
+  try {
+    return await updateStoredItem(id, buildParams);
+  } catch (error) {
+    console.error(`Error adding supplies: ${error.message}`);
+    throw error;
+  }
+}
+
+// stores user settings, creating the item with an empty count when needed so
+// that recording the first coffee does not replace them. `removed` lists
+// settings to clear.
+async function saveSettingsInStorage(id, settings, removed) {
+  const names = {};
+  const values = {};
+  const assignments = initializeItemAssignments(names, values);
+  Object.keys(settings).forEach((attribute, index) => {
+    names[`#s${index}`] = attribute;
+    values[`:s${index}`] = settings[attribute];
+    assignments.push(`#s${index} = :s${index}`);
+  });
+  const removals = (removed || []).map((attribute, index) => {
+    names[`#r${index}`] = attribute;
+    return `#r${index}`;
+  });
+  const params = {
+    Key: { id: id },
+    UpdateExpression: `SET ${assignments.join(', ')}` + (removals.length > 0 ? ` REMOVE ${removals.join(', ')}` : ''),
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values,
+    ReturnValues: 'ALL_NEW'
+  };
+
+  try {
+    const data = await getStorage().update(params);
+    return data.Attributes;
+  } catch (error) {
+    console.error(`Error saving settings: ${error.message}`);
+    throw error;
+  }
+}
+
+// drops the events the retention policy no longer keeps from the start of the
+// history. skipped when the history changed in the meantime, the next write
+// trims it again.
+async function trimHistoryInStorage(id, history) {
+  const expired = historyUtil.getExpiredCount(history, new Date());
+  if (expired === 0) {
+    return;
+  }
+  const removals = [];
+  for (let i = 0; i < expired; i++) {
+    removals.push(`#h[${i}]`);
+  }
+  const params = {
+    Key: { id: id },
+    UpdateExpression: `REMOVE ${removals.join(', ')}`,
+    ConditionExpression: 'size(#h) = :size',
+    ExpressionAttributeNames: { '#h': 'history' },
+    ExpressionAttributeValues: { ':size': history.length },
+  };
+
+  try {
+    await getStorage().update(params);
+  } catch (error) {
+    if (error.code !== 'ConditionalCheckFailedException') {
+      console.error(`Error trimming history: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+// the last action is kept on the item so that it can be undone.
+// coffees are undone relative to the current count, anything else restores
+// the `previous` attribute values that were overwritten.
+function newAction(type, details) {
+  return Object.assign({ type: type, at: new Date().toISOString() }, details);
+}
+
+async function setCountInStorage(id, count) {
+  const buildParams = (item) => {
+    const previous = { count: item.count || 0 };
+    const names = { '#c': 'count', '#la': 'lastAction' };
+    const values = { ':count': count };
+    const assignments = ['#c = :count', '#la = :action'];
+    const read = ['count'];
+    // keep the last maintenance of each task from pointing past the corrected count
+    maintenanceTasks.taskIds.forEach((taskId, index) => {
+      const attribute = maintenanceTasks.tasks[taskId].countAttribute;
+      if (maintenanceTasks.tasks[taskId].counter) {
+        return;
+      }
+      read.push(attribute);
+      if (item[attribute] > count) {
+        previous[attribute] = item[attribute];
+        names[`#m${index}`] = attribute;
+        values[`:m${index}`] = count;
+        assignments.push(`#m${index} = :m${index}`);
+      }
+    });
+    values[':action'] = newAction('correction', { previous: previous });
+    return {
+      Key: { id: id },
+      UpdateExpression: `SET ${assignments.join(', ')}`,
+      ConditionExpression: unchangedCondition(item, read, names, values),
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values,
+      ReturnValues: 'ALL_NEW'
+    };
+  };
+
+  try {
+    return await updateStoredItem(id, buildParams);
+  } catch (error) {
+    console.error(`Error correcting count: ${error.message}`);
+    throw error;
+  }
+}
+
+// undoes `action`, the last action of the item. the history event of the
+// action is removed by its index, so the update is conditional on the event
+// still being there: when the history was trimmed in the meantime it is read again.
+async function undoLastActionInStorage(id, action) {
+  const buildParams = (item) => buildUndoParams(id, action, item.history);
+  // the speaker's own count goes back down with the machine's
+  const otherUpdates = action.type === 'coffee' && action.person
+    ? [getPersonCountUpdate(action.person, -action.amount)]
+    : undefined;
+
+  try {
+    return await updateStoredItem(id, buildParams, otherUpdates);
+  } catch (error) {
+    console.error(`Error undoing last action: ${error.message}`);
+    throw error;
+  }
+}
+
+// the update undoing `action` on an item with the `history` as read
+function buildUndoParams(id, action, history) {
+  const names = { '#la': 'lastAction', '#at': 'at' };
+  const values = { ':at': action.at };
+  const assignments = [];
+  const removals = ['#la'];
+  // only undo the action we read, not one recorded in the meantime
+  const conditions = ['#la.#at = :at'];
+  // the history event of the action shares its timestamp
+  const eventIndex = (history || []).findIndex(event => event.at === action.at);
+  if (eventIndex !== -1) {
+    names['#h'] = 'history';
+    removals.push(`#h[${eventIndex}]`);
+    conditions.push(`#h[${eventIndex}].#at = :at`);
+  }
+  if (action.type === 'coffee') {
+    names['#c'] = 'count';
+    values[':amount'] = action.amount;
+    assignments.push('#c = #c - :amount');
+    drinkTypes.getCountAttributes(action.drink).forEach((attribute, index) => {
+      names[`#d${index}`] = attribute;
+      assignments.push(`#d${index} = #d${index} - :amount`);
+    });
+    addUsageAssignments(action.used, '+', names, values, assignments);
+  } else {
+    Object.keys(action.previous).forEach((attribute, index) => {
+      names[`#p${index}`] = attribute;
+      if (action.previous[attribute] === null) {
+        removals.push(`#p${index}`);
+      } else {
+        values[`:p${index}`] = action.previous[attribute];
+        assignments.push(`#p${index} = :p${index}`);
+      }
+    });
+  }
+  return {
+    Key: { id: id },
+    UpdateExpression: (assignments.length > 0 ? `SET ${assignments.join(', ')} ` : '') + `REMOVE ${removals.join(', ')}`,
+    ConditionExpression: conditions.join(' AND '),
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values,
+  };
+}
+
+// removes everything kept for a user, see userDataUtil.readUserData, and of the
+// given `personIds`. the account item goes last as it lists the machines, so a
+// failed delete can be repeated. returns the machine items removed.
+async function deleteUserDataInStorage(userId, personIds) {
+  const data = await userDataUtil.readUserData(userId, personIds);
+  // the account item is the first machine's
+  const ids = data.people.map(person => person.id)
+    .concat(data.machines.map(machine => machine.id).reverse());
+
+  try {
+    for (const id of ids) {
+      await getStorage().delete({ Key: { id: id } });
+    }
+    return data.machines.map(machine => machine.item);
+  } catch (error) {
+    console.error(`Error deleting user data: ${error.message}`);
+    throw error;
+  }
+}
+
+// whether the `amount` coffees just recorded took the count to the cleaning threshold
+function hasJustReachedCleaning(item, amount) {
+  const cleaningDue = item.lastMaintenance + maintenanceTasks.getTaskInterval(item, 'cleaning');
+  return Boolean(amount) && item.count >= cleaningDue && item.count - amount < cleaningDue;
+}
+
+// describes how far away cleaning is, followed by any other maintenance tasks
+// that are due. `amount` is the number of coffees just recorded, if any, so that
+// crossing the cleaning threshold with a batch of coffees can be reported.
+function getMaintenanceSpeech(requestAttributes, item, amount) {
+  const now = new Date();
+  const cleaningThreshold = maintenanceTasks.getTaskInterval(item, 'cleaning');
+  const cleaning = maintenanceTasks.getTaskStatus(item, 'cleaning', now);
+  let speechText;
+  if (hasJustReachedCleaning(item, amount)) {
+    speechText = ' ' + requestAttributes.t('CLEANING_REACHED_MESSAGE', cleaningThreshold);
+  } else if (cleaning.due) {
+    speechText = ' ' + requestAttributes.t('CLEANING_DUE_MESSAGE');
+  } else {
+    speechText = ' ' + requestAttributes.t('COFFEES_LEFT_MESSAGE', cleaning.remaining);
+  }
+  const taskNames = requestAttributes.t('TASK_NAMES');
+  const dueTasks = maintenanceTasks.getDueTasks(item, now)
+    .filter(taskId => taskId !== 'cleaning')
+    .map(taskId => taskNames[taskId]);
+  if (dueTasks.length > 0) {
+    speechText = speechText + ' ' + requestAttributes.t('ALSO_DUE_MESSAGE', speakList(requestAttributes, dueTasks));
+  }
+  return speechText;
+}
+
+// speaks a list such as "a, b and c"
+function speakList(requestAttributes, items) {
+  if (items.length < 2) {
+    return items.join('');
+  }
+  return `${items.slice(0, -1).join(', ')} ${requestAttributes.t('AND')} ${items[items.length - 1]}`;
+}
+
+// speaks a maintenance interval in its unit, such as "60 coffees" or "90 days"
+function speakInterval(requestAttributes, interval, unit) {
+  return unit === 'coffees' ? speakDrinks(requestAttributes, interval) : requestAttributes.t('DAY_COUNT', interval);
+}
+
+// speaks a number of drinks of `drinkType`, or of coffees when not given,
+// such as "1 cappuccino" or "3 coffees"
+function speakDrinks(requestAttributes, count, drinkType) {
+  return requestAttributes.t(`DRINK_COUNT.${drinkType || 'coffee'}`, count);
+}
+
+// speaks an amount of a supply in its unit, such as "850 grams of coffee beans"
+function speakSupplyAmount(requestAttributes, supplyId, amount) {
+  return requestAttributes.t(`SUPPLY_AMOUNTS.${supplyId}`, amount);
+}
+
+// speaks a price in the currency of the locale, such as "$3.50"
+function speakPrice(requestAttributes, locale, amount) {
+  return amount.toLocaleString(locale, { style: 'currency', currency: requestAttributes.t('CURRENCY') });
+}
+
+// warns about the supplies in `supplyIds` that are running low
+function getLowSuppliesSpeech(requestAttributes, item, supplyIds) {
+  const low = suppliesUtil.getLowSupplies(item, supplyIds)
+    .map(supplyId => speakSupplyAmount(requestAttributes, supplyId, suppliesUtil.getStock(item, supplyId)));
+  return low.length > 0 ? ' ' + requestAttributes.t('SUPPLIES_LOW_MESSAGE', speakList(requestAttributes, low)) : '';
+}
+
+// speaks a coming day: later today, tomorrow, on a weekday within the next
+// week or else on the date, all in the device's `timeZone`
+function speakDay(requestAttributes, date, now, timeZone) {
+  const today = timeZoneUtil.toLocalTime(statsUtil.getPeriodStart('day', now, timeZone), timeZone);
+  const day = timeZoneUtil.toLocalTime(date, timeZone);
+  const days = historyUtil.daysBetween(today, day);
+  if (days <= 0) {
+    return requestAttributes.t('LATER_TODAY');
+  } else if (days === 1) {
+    return requestAttributes.t('TOMORROW');
+  } else if (days < 7) {
+    return requestAttributes.t('ON_DAY', requestAttributes.t('WEEKDAYS')[day.getUTCDay()]);
+  }
+  return requestAttributes.t('ON_DAY', speakDate(day));
+}
+
+// estimates when a task counted in coffees is due from the recent usage rate.
+// returns undefined when there is too little history, null when no coffees
+// were made lately.
+function estimateDueDate(item, taskId, now) {
+  const status = maintenanceTasks.getTaskStatus(item, taskId, now);
+  const since = item.createdAt ? new Date(item.createdAt) : historyUtil.getHistoryStart(item.history);
+  // tasks with their own counter only count the drinks in it
+  const isCounted = maintenanceTasks.tasks[taskId].counter === drinkTypes.MILK_DRINK_COUNT_ATTRIBUTE
+    ? event => drinkTypes.isMilkDrink(event.drink)
+    : undefined;
+  const rate = statsUtil.getDailyRate(item.history, now, since, isCounted);
+  if (rate === undefined) {
+    return undefined;
+  }
+  return statsUtil.estimateDate(status.remaining, rate, now) || null;
+}
+
+// tells when a task is due next, from the calendar for tasks counted in days
+function getNextMaintenanceSpeech(requestAttributes, item, taskId, now, timeZone) {
+  const taskName = requestAttributes.t('TASK_NAMES')[taskId];
+  const status = maintenanceTasks.getTaskStatus(item, taskId, now);
+  if (!status) {
+    return requestAttributes.t('NO_MAINTENANCE_MESSAGE', taskName);
+  } else if (status.due) {
+    return requestAttributes.t('MAINTENANCE_DUE_NOW_MESSAGE', taskName);
+  } else if (status.unit === 'days') {
+    const date = new Date(now.getTime() + status.remaining * 24 * 60 * 60 * 1000);
+    return requestAttributes.t('MAINTENANCE_DUE_ON_MESSAGE', taskName, speakDay(requestAttributes, date, now, timeZone));
+  }
+  const date = estimateDueDate(item, taskId, now);
+  if (date === undefined) {
+    return requestAttributes.t('MAINTENANCE_ESTIMATE_TOO_EARLY_MESSAGE', taskName, speakDrinks(requestAttributes, status.remaining));
+  } else if (date === null) {
+    return requestAttributes.t('MAINTENANCE_ESTIMATE_NO_COFFEES_MESSAGE', taskName, speakDrinks(requestAttributes, status.remaining));
+  }
+  return requestAttributes.t('MAINTENANCE_DUE_AROUND_MESSAGE', taskName, speakDay(requestAttributes, date, now, timeZone));
+}
+
+// warns when today's coffees went over the daily caffeine limit. the limit is
+// kept on the account item, a recognized speaker has their own and only their
+// own coffees count towards it. the coffees of every machine of the account
+// count, `item` is the machine just updated. the day starts at midnight in the
+// device's time zone.
+async function getCaffeineSpeech(handlerInput, item, person) {
+  const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+  const userId = handlerInput.requestEnvelope.session.user.userId;
+  const account = item.id === userId ? item : await getCoffeeDetails(userId);
+  const limit = person ? person.caffeineLimit : account.caffeineLimit;
+  if (!limit) {
+    return '';
+  }
+  const today = statsUtil.getPeriodStart('day', new Date(), await timeZoneUtil.getTimeZone(handlerInput));
+  let caffeine = 0;
+  for (const name of machineUtil.getMachineNames(account)) {
+    const id = machineUtil.getMachineItemId(userId, account, name);
+    const machineItem = id === item.id ? item : await getCoffeeDetails(id);
+    caffeine += statsUtil.countCaffeine(machineItem.history, today, person ? person.id : undefined);
+  }
+  return caffeine > limit ? ' ' + requestAttributes.t('CAFFEINE_LIMIT_EXCEEDED_MESSAGE', caffeine, limit) : '';
+}
+
+// deletes the scheduled cleaning reminder. a reminder that already went off
+// or was deleted in the Alexa app is not an error.
+async function cancelCleaningReminder(handlerInput, token) {
+  try {
+    await reminderUtil.getReminderClient(handlerInput).deleteReminder(token);
+    return true;
+  } catch (error) {
+    console.log(`Cleaning reminder not cancelled: ${error.message}`);
+    return false;
+  }
+}
+
+// builds the dashboard shown on devices with a screen. its buttons send the
+// name of the machine along, see DashboardEventHandler
+function getDashboardData(requestAttributes, item, machine) {
+  const now = new Date();
+  const cleaningInterval = maintenanceTasks.getTaskInterval(item, 'cleaning');
+  const sinceCleaning = item.count - item.lastMaintenance;
+  const taskNames = requestAttributes.t('DASHBOARD_TASK_NAMES');
+  const tasks = maintenanceTasks.taskIds.filter(taskId => maintenanceTasks.isTaskEnabled(item, taskId)).map(taskId => {
+    const status = maintenanceTasks.getTaskStatus(item, taskId, now);
+    let statusText;
+    if (!status) {
+      statusText = requestAttributes.t('DASHBOARD_TASK_UNKNOWN');
+    } else if (status.due) {
+      statusText = requestAttributes.t('DASHBOARD_TASK_DUE');
+    } else if (status.unit === 'coffees') {
+      statusText = requestAttributes.t('DASHBOARD_TASK_COFFEES', status.remaining);
+    } else {
+      statusText = requestAttributes.t('DASHBOARD_TASK_DAYS', status.remaining);
+    }
+    return { name: taskNames[taskId], status: statusText, due: Boolean(status && status.due) };
+  });
+  return {
+    dashboard: {
+      type: 'object',
+      properties: {
+        title: requestAttributes.t('SKILL_NAME'),
+        machineName: machine.name,
+        machineText: requestAttributes.t('DASHBOARD_MACHINE', machine.name),
+        countText: requestAttributes.t('DASHBOARD_COUNT', item.count),
+        progressValue: Math.min(sinceCleaning, cleaningInterval),
+        progressTotal: cleaningInterval,
+        cleaningText: requestAttributes.t('DASHBOARD_CLEANING', sinceCleaning, cleaningInterval),
+        tasks: tasks,
+        makeCoffeeText: requestAttributes.t('DASHBOARD_MAKE_COFFEE'),
+        markCleanedText: requestAttributes.t('DASHBOARD_MARK_CLEANED'),
+      },
+    },
+  };
+}
+
+// shows the dashboard on devices with a screen, voice only devices get speech only
+function addDashboard(handlerInput, item, machine) {
+  if (supportsAPL(handlerInput)) {
+    const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+    handlerInput.responseBuilder.addDirective({
+      type: 'Alexa.Presentation.APL.RenderDocument',
+      token: 'dashboardToken',
+      document: aplDocument,
+      datasources: getDashboardData(requestAttributes, item, machine),
+    });
+  }
+  return handlerInput.responseBuilder;
+}
+
+// the home card text of a data export: the coffees, drinks and last maintenance
+// of each machine read by userDataUtil.readUserData, a paragraph per machine.
+// dates are the days in the device's `timeZone`
+function getExportCardText(requestAttributes, machines, locale, now, timeZone) {
+  const monthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+  const taskNames = requestAttributes.t('DASHBOARD_TASK_NAMES');
+  return machines.map(machine => {
+    const item = Object.assign({ count: 0 }, machine.item);
+    const lines = [requestAttributes.t('EXPORT_CARD_MACHINE', machine.name, speakDrinks(requestAttributes, item.count),
+      speakDrinks(requestAttributes, historyUtil.countCoffees(item.history, monthAgo)))];
+    const drinks = drinkTypes.drinkTypeIds
+      .filter(drinkType => item[drinkTypes.drinkTypes[drinkType].countAttribute] > 0)
+      .map(drinkType => speakDrinks(requestAttributes, item[drinkTypes.drinkTypes[drinkType].countAttribute], drinkType));
+    if (drinks.length > 0) {
+      lines.push(requestAttributes.t('EXPORT_CARD_DRINKS', speakList(requestAttributes, drinks)));
+    }
+    maintenanceTasks.taskIds
+      .filter(taskId => item[maintenanceTasks.tasks[taskId].timeAttribute])
+      .forEach(taskId => {
+        const date = new Date(item[maintenanceTasks.tasks[taskId].timeAttribute])
+          .toLocaleDateString(locale, { timeZone: timeZone, year: 'numeric', month: 'long', day: 'numeric' });
+        lines.push(requestAttributes.t('EXPORT_CARD_TASK', taskNames[taskId], date));
+      });
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+// finds the machine named by `machineName`, if given, or the `machine` slot,
+// else the account's default machine. `id` is the key of the machine's item,
+// `known` is false for names that were never added and `shared` tells whether
+// the account has several machines, so that responses name the machine.
+async function getMachine(handlerInput, machineName) {
+  const userId = handlerInput.requestEnvelope.session.user.userId;
+  const data = await getItemFromStorage(userId);
+  const account = data.Item || {};
+  const names = machineUtil.getMachineNames(account);
+  const name = machineName || machineUtil.getMachineFromSlot(handlerInput.requestEnvelope.request)
+    || machineUtil.getDefaultMachineName(account);
+  return {
+    name: name,
+    id: machineUtil.getMachineItemId(userId, account, name),
+    known: names.indexOf(name) !== -1,
+    shared: names.length > 1,
+  };
+}
+
+function getMachinePrefix(requestAttributes, machine) {
+  return machine.shared ? requestAttributes.t('MACHINE_PREFIX', machine.name) + ' ' : '';
+}
+
+function unknownMachineResponse(handlerInput, machine) {
+  const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+  const speechText = requestAttributes.t('UNKNOWN_MACHINE_MESSAGE', machine.name, machine.name);
+  return handlerInput.responseBuilder
+    .speak(speechText)
+    .reprompt(requestAttributes.t('HELP_REPROMPT'))
+    .getResponse();
+}
+
+// posts the payloads to the webhooks configured for the skill, waiting no
+// more than a small share of the time left to the request, see
+// webhookUtil.sendEvents. Called once the response is built, so a slow webhook
+// only delays it by that much. The webhooks are third parties, so payloads
+// carry no account or person ids
+async function sendWebhookEvents(handlerInput, payloads) {
+  const context = handlerInput.context;
+  const remainingTime = context && context.getRemainingTimeInMillis ? context.getRemainingTimeInMillis() : undefined;
+  await webhookUtil.sendEvents(payloads, remainingTime);
+}
+
+// the webhook payloads of recorded coffees: the coffees, and every maintenance
+// task that only became due with them. tasks due after a number of days count
+// as made due by the first coffees after they came due
+function getCoffeeWebhookPayloads(machine, item, amount, drinkType) {
+  const at = item.lastAction.at;
+  const payloads = [webhookUtil.newPayload(webhookUtil.EVENTS.COFFEE_RECORDED, at, {
+    machine: machine.name,
+    amount: amount,
+    drink: drinkType,
+    count: item.count,
+  })];
+  // the item as it was before the coffees
+  const before = Object.assign({}, item);
+  ['count'].concat(drinkTypes.getCountAttributes(drinkType)).forEach(attribute => {
+    before[attribute] = item[attribute] - amount;
+  });
+  // the time of the coffees before these ones
+  const previous = (item.history || []).slice(0, -1).reverse().find(event => event.type === 'coffee');
+  const dueBefore = maintenanceTasks.getDueTasks(before, new Date(previous ? previous.at : 0));
+  maintenanceTasks.getDueTasks(item, new Date(at))
+    .filter(taskId => dueBefore.indexOf(taskId) === -1)
+    .forEach(taskId => payloads.push(webhookUtil.newPayload(webhookUtil.EVENTS.THRESHOLD_CROSSED, at, {
+      machine: machine.name,
+      task: taskId,
+      count: item.count,
+      interval: maintenanceTasks.getTaskInterval(item, taskId),
+      unit: maintenanceTasks.getTaskUnit(taskId),
+    })));
+  return payloads;
+}
+
+// records `amount` coffees of `drinkType`, if named, for the machine and the recognized speaker
+async function recordCoffees(handlerInput, amount, machine, drinkType) {
+  const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+  try {
+    const personId = personalizationUtil.getPerson(handlerInput) ? personalizationUtil.getPersonId(handlerInput) : undefined;
+    const before = await getCoffeeDetails(machine.id);
+    const usage = suppliesUtil.getDrinkUsage(before, amount, drinkType);
+    const stored = await incrementCountInStorage(machine.id, amount, personId, usage, drinkType,
+      costUtil.getCoffeesCost(before, amount, drinkType));
+    const item = stored.item;
+    const person = stored.person;
+    const drinkKey = drinkType || 'coffee';
+    let speechText;
+    if (personId) {
+      speechText = requestAttributes.t('PERSON_RECORDED_MESSAGE', personalizationUtil.getPersonalizedPrompt(handlerInput),
+        requestAttributes.t(`PERSON_RECORDED_DRINKS.${drinkKey}`, amount),
+        speakDrinks(requestAttributes, person.count), item.count);
+    } else {
+      speechText = requestAttributes.t('COFFEES_RECORDED_MESSAGE',
+        requestAttributes.t(`RECORDED_DRINKS.${drinkKey}`, amount), item.count);
+    }
+    speechText = getMachinePrefix(requestAttributes, machine) + speechText + getMaintenanceSpeech(requestAttributes, item, amount)
+      + getLowSuppliesSpeech(requestAttributes, item, suppliesUtil.getUsedSupplies(usage))
+      + await getCaffeineSpeech(handlerInput, item, person);
+    let response;
+    if (hasJustReachedCleaning(item, amount) && !item.cleaningReminderToken) {
+      // offer a reminder, answered by the CleaningReminderAnswerHandler
+      const question = requestAttributes.t('REMINDER_OFFER_MESSAGE');
+      handlerInput.attributesManager.setSessionAttributes({ pendingQuestion: 'cleaningReminder', machineId: machine.id });
+      response = addDashboard(handlerInput, item, machine)
+        .speak(`${speechText} ${question}`)
+        .reprompt(question)
+        .getResponse();
+    } else {
+      response = addDashboard(handlerInput, item, machine)
+        .speak(speechText)
+        .getResponse();
+    }
+    await sendWebhookEvents(handlerInput, getCoffeeWebhookPayloads(machine, item, amount, drinkType));
+    return response;
+  } catch (error) {
+    console.error(`Error handled: ${error.message}`);
+    const speechText = requestAttributes.t('RECORD_ERROR_MESSAGE');
+    return handlerInput.responseBuilder
+      .speak(speechText)
+      .reprompt(speechText)
+      .getResponse();
+  }
+}
+
+async function recordMaintenance(handlerInput, taskId, machine) {
+  const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+  // the reminder token is removed by the update, so it is read first
+  const reminderToken = (await getCoffeeDetails(machine.id)).cleaningReminderToken;
+  const item = await performMaintenance(machine.id, taskId);
+  let speechText = getMachinePrefix(requestAttributes, machine) + (taskId === 'cleaning'
+    ? requestAttributes.t('CLEANED_MESSAGE', item.count)
+    : requestAttributes.t('MAINTENANCE_RECORDED_MESSAGE', requestAttributes.t('TASK_NAMES')[taskId], item.count));
+  if (taskId === 'cleaning' && reminderToken
+    && await cancelCleaningReminder(handlerInput, reminderToken)) {
+    speechText = speechText + ' ' + requestAttributes.t('REMINDER_CANCELLED_MESSAGE');
+  }
+  speechText = speechText + getLowSuppliesSpeech(requestAttributes, item,
+    suppliesUtil.getUsedSupplies(suppliesUtil.getTaskUsage(item, taskId)));
+  const response = addDashboard(handlerInput, item, machine)
+    .speak(speechText)
+    .getResponse();
+  await sendWebhookEvents(handlerInput, [webhookUtil.newPayload(webhookUtil.EVENTS.MAINTENANCE_PERFORMED, item.lastAction.at, {
+    machine: machine.name,
+    task: taskId,
+    count: item.count,
+  })]);
+  return response;
+}
+
+// asks to confirm a maintenance task, saying how long ago it was last recorded
+function getMaintenanceConfirmSpeech(requestAttributes, item, taskId) {
+  const now = new Date();
+  const taskName = requestAttributes.t('TASK_NAMES')[taskId];
+  const elapsed = maintenanceTasks.getTaskElapsed(item, taskId, now);
+  if (elapsed === undefined) {
+    return requestAttributes.t('CONFIRM_NEW_TASK_MESSAGE', taskName);
+  } else if (taskId === 'cleaning') {
+    return requestAttributes.t('CONFIRM_CLEANING_MESSAGE', speakDrinks(requestAttributes, elapsed));
+  } else if (maintenanceTasks.getTaskUnit(taskId) === 'days' && elapsed === 0) {
+    return requestAttributes.t('CONFIRM_TASK_TODAY_MESSAGE', taskName);
+  }
+  return requestAttributes.t('CONFIRM_TASK_MESSAGE', speakInterval(requestAttributes, elapsed, maintenanceTasks.getTaskUnit(taskId)), taskName);
+}
+
+// the PerformMaintenanceIntent dialog: the skill confirms the task itself so the
+// question can say how long it has been. once denied without a task named, the
+// user can still tell which task was done, which is then confirmed in turn.
+async function confirmMaintenance(handlerInput, machine) {
+  const request = handlerInput.requestEnvelope.request;
+  const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+  const intent = request.intent;
+  const taskSlot = (intent.slots || {}).task;
+  const taskId = maintenanceTasks.getTaskFromSlot(request);
+  // the intent asking for the task again, with a fresh confirmation
+  const taskQuestion = Object.assign({}, intent, {
+    confirmationStatus: 'NONE',
+    slots: Object.assign({}, intent.slots, { task: { name: 'task', confirmationStatus: 'NONE' } }),
+  });
+  if (!taskId) {
+    const speechText = requestAttributes.t('UNKNOWN_TASK_MESSAGE');
+    return handlerInput.responseBuilder
+      .speak(speechText)
+      .reprompt(speechText)
+      .addElicitSlotDirective('task', taskQuestion)
+      .getResponse();
+  } else if (intent.confirmationStatus === 'CONFIRMED') {
+    return recordMaintenance(handlerInput, taskId, machine);
+  } else if (intent.confirmationStatus === 'DENIED' && taskSlot && taskSlot.value) {
+    return handlerInput.responseBuilder
+      .speak(requestAttributes.t('MAINTENANCE_NOT_RECORDED_MESSAGE'))
+      .getResponse();
+  } else if (intent.confirmationStatus === 'DENIED') {
+    return handlerInput.responseBuilder
+      .speak(requestAttributes.t('MAINTENANCE_WHICH_TASK_MESSAGE'))
+      .reprompt(requestAttributes.t('MAINTENANCE_WHICH_TASK_REPROMPT'))
+      .addElicitSlotDirective('task', taskQuestion)
+      .getResponse();
+  }
+  // STARTED, or IN_PROGRESS once the task was named
+  const item = await getCoffeeDetails(machine.id);
+  const speechText = getMachinePrefix(requestAttributes, machine) + getMaintenanceConfirmSpeech(requestAttributes, item, taskId);
+  return handlerInput.responseBuilder
+    .speak(speechText)
+    .reprompt(speechText)
+    .addConfirmIntentDirective(intent)
+    .getResponse();
+}
+
+// core functionality for fact skill
+const MakeCoffeeHandler = {
+  canHandle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    return request.type === 'LaunchRequest'
+      || (request.type === 'IntentRequest' && request.intent.name === 'MakeCoffeeIntent')
+      || (request.type === 'IntentRequest' && request.intent.name === 'CountCoffeeIntent')
+      || (request.type === 'IntentRequest' && request.intent.name === 'PerformMaintenanceIntent');
+  },
+  async handle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+    const machine = await getMachine(handlerInput);
+    if (request.type === 'IntentRequest' && !machine.known) {
+      return unknownMachineResponse(handlerInput, machine);
+    }
+    const drinkType = request.type === 'IntentRequest' ? drinkTypes.getDrinkTypeFromSlot(request) : undefined;
+    if (drinkType === null) {
+      return handlerInput.responseBuilder
+        .speak(requestAttributes.t('UNKNOWN_DRINK_MESSAGE'))
+        .reprompt(requestAttributes.t('UNKNOWN_DRINK_MESSAGE'))
+        .getResponse();
+    }
+    if (request.type === 'IntentRequest' && request.intent.name === 'MakeCoffeeIntent') {
+      const amount = getRequestedCoffees(request);
+      if (isNaN(amount)) {
+        const speechText = requestAttributes.t('COFFEE_AMOUNT_INVALID_MESSAGE', maxCoffeesPerRequest);
+        return handlerInput.responseBuilder
+          .speak(speechText)
+          .reprompt(speechText)
+          .getResponse();
+      }
+      return recordCoffees(handlerInput, amount, machine, drinkType);
+    } else if (request.type === 'IntentRequest' && request.intent.name === 'CountCoffeeIntent' && drinkType) {
+      const item = await getCoffeeDetails(machine.id);
+      const speechText = getMachinePrefix(requestAttributes, machine) + requestAttributes.t('COUNT_MESSAGE',
+        speakDrinks(requestAttributes, item[drinkTypes.drinkTypes[drinkType].countAttribute] || 0, drinkType));
+      return handlerInput.responseBuilder
+        .speak(speechText)
+        .getResponse();
+    } else if (request.type === 'IntentRequest' && request.intent.name === 'CountCoffeeIntent') {
+      const item = await getCoffeeDetails(machine.id);
+      // the estimate is left out until there is enough history for it
+      const now = new Date();
+      const cleaningDate = maintenanceTasks.getTaskStatus(item, 'cleaning', now).due ? undefined : estimateDueDate(item, 'cleaning', now);
+      const speechText = getMachinePrefix(requestAttributes, machine)
+        + requestAttributes.t('COUNT_MESSAGE', speakDrinks(requestAttributes, item.count)) + getMaintenanceSpeech(requestAttributes, item)
+        + (cleaningDate ? ' ' + requestAttributes.t('MAINTENANCE_DUE_AROUND_MESSAGE', requestAttributes.t('TASK_NAMES').cleaning,
+          speakDay(requestAttributes, cleaningDate, now, await timeZoneUtil.getTimeZone(handlerInput))) : '');
+
+      return addDashboard(handlerInput, item, machine)
+        .speak(speechText)
+        .getResponse();
+    } else if (request.type === 'IntentRequest' && request.intent.name === 'PerformMaintenanceIntent') {
+      return confirmMaintenance(handlerInput, machine);
+    } else {
+      const greeting = personalizationUtil.getPersonalizedPrompt(handlerInput);
+      const speechText = greeting
+        ? requestAttributes.t('WELCOME_PERSON_MESSAGE', greeting)
+        : requestAttributes.t('WELCOME_MESSAGE');
+      if (supportsAPL(handlerInput)) {
+        addDashboard(handlerInput, await getCoffeeDetails(machine.id), machine);
+      }
+      return handlerInput.responseBuilder
+        .speak(speechText)
+        .reprompt(speechText)
+        .getResponse();
+    }
+  },
+};
+
+// touch events from the buttons on the dashboard, which name the event and
+// the machine shown, see getDashboardData
+const DashboardEventHandler = {
+  canHandle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    return request.type === 'Alexa.Presentation.APL.UserEvent';
+  },
+  async handle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    const event = (request.arguments || [])[0];
+    if (event !== 'makeCoffee' && event !== 'markCleaned') {
+      console.log(`Unknown dashboard event: ${event}`);
+      return handlerInput.responseBuilder.getResponse();
+    }
+    const machine = await getMachine(handlerInput, machineUtil.getMachineFromEvent(request));
+    if (!machine.known) {
+      // the machine was removed since the dashboard was shown
+      return unknownMachineResponse(handlerInput, machine);
+    }
+    return event === 'makeCoffee'
+      ? recordCoffees(handlerInput, 1, machine)
+      : recordMaintenance(handlerInput, 'cleaning', machine);
+  },
+};
+
+const CleaningReminderAnswerHandler = {
+  canHandle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    return request.type === 'IntentRequest'
+      && (request.intent.name === 'AMAZON.YesIntent'
+        || request.intent.name === 'AMAZON.NoIntent');
+  },
+  async handle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+    const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+    const machineId = sessionAttributes.machineId || handlerInput.requestEnvelope.session.user.userId;
+    if (sessionAttributes.pendingQuestion !== 'cleaningReminder') {
+      return handlerInput.responseBuilder
+        .speak(requestAttributes.t('HELP_MESSAGE'))
+        .reprompt(requestAttributes.t('HELP_REPROMPT'))
+        .getResponse();
+    }
+    delete sessionAttributes.pendingQuestion;
+    delete sessionAttributes.machineId;
+    handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+    if (request.intent.name === 'AMAZON.NoIntent') {
+      return handlerInput.responseBuilder
+        .speak(requestAttributes.t('REMINDER_DECLINED_MESSAGE'))
+        .getResponse();
+    }
+    if (!reminderUtil.hasReminderPermission(handlerInput)) {
+      return handlerInput.responseBuilder
+        .speak(requestAttributes.t('REMINDER_PERMISSION_MESSAGE'))
+        .withAskForPermissionsConsentCard([reminderUtil.REMINDERS_PERMISSION])
+        .getResponse();
+    }
+    try {
+      const reminder = reminderUtil.buildCleaningReminder(handlerInput, requestAttributes.t('REMINDER_TEXT'),
+        await timeZoneUtil.getTimeZone(handlerInput));
+      const result = await reminderUtil.getReminderClient(handlerInput).createReminder(reminder);
+      await saveReminderTokenInStorage(machineId, result.alertToken);
+      return handlerInput.responseBuilder
+        .speak(requestAttributes.t('REMINDER_CREATED_MESSAGE'))
+        .getResponse();
+    } catch (error) {
+      if (reminderUtil.isPermissionError(error)) {
+        return handlerInput.responseBuilder
+          .speak(requestAttributes.t('REMINDER_PERMISSION_MESSAGE'))
+          .withAskForPermissionsConsentCard([reminderUtil.REMINDERS_PERMISSION])
+          .getResponse();
+      }
+      console.error(`Error creating reminder: ${error.message}`);
+      return handlerInput.responseBuilder
+        .speak(requestAttributes.t('REMINDER_ERROR_MESSAGE'))
+        .getResponse();
+    }
+  },
+};
+
+const UndoLastActionHandler = {
+  canHandle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    return request.type === 'IntentRequest'
+      && request.intent.name === 'UndoLastActionIntent';
+  },
+  async handle(handlerInput) {
+    const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+    const machine = await getMachine(handlerInput);
+    if (!machine.known) {
+      return unknownMachineResponse(handlerInput, machine);
+    }
+    const data = await getItemFromStorage(machine.id);
+    const action = data.Item ? data.Item.lastAction : undefined;
+    if (!action) {
+      return handlerInput.responseBuilder
+        .speak(requestAttributes.t('NOTHING_TO_UNDO_MESSAGE'))
+        .getResponse();
+    }
+    const item = await undoLastActionInStorage(machine.id, action);
+    let speechText;
+    if (action.type === 'coffee') {
+      speechText = requestAttributes.t('UNDO_COFFEE_MESSAGE', action.amount, item.count);
+    } else if (action.type === 'maintenance') {
+      speechText = requestAttributes.t('UNDO_MAINTENANCE_MESSAGE', requestAttributes.t('TASK_NAMES')[action.task]);
+    } else if (action.type === 'supplies') {
+      speechText = requestAttributes.t('UNDO_SUPPLIES_MESSAGE', requestAttributes.t('SUPPLY_NAMES')[action.supply]);
+    } else {
+      speechText = requestAttributes.t('UNDO_CORRECTION_MESSAGE', item.count);
+    }
+    return handlerInput.responseBuilder
+      .speak(speechText)
+      .getResponse();
+  },
+};
+
+const PersonalCountHandler = {
+  canHandle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    return request.type === 'IntentRequest'
+      && request.intent.name === 'PersonalCountIntent';
+  },
+  async handle(handlerInput) {
+    const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+    const machine = await getMachine(handlerInput);
+    if (!machine.known) {
+      return unknownMachineResponse(handlerInput, machine);
+    }
+    if (!personalizationUtil.getPerson(handlerInput)) {
+      const item = await getCoffeeDetails(machine.id);
+      return handlerInput.responseBuilder
+        .speak(requestAttributes.t('PERSON_UNKNOWN_MESSAGE', item.count))
+        .getResponse();
+    }
+    const person = await getCoffeeDetails(personalizationUtil.getPersonId(handlerInput));
+    return handlerInput.responseBuilder
+      .speak(requestAttributes.t('PERSON_COUNT_MESSAGE', personalizationUtil.getPersonalizedPrompt(handlerInput),
+        speakDrinks(requestAttributes, person.count)))
+      .getResponse();
+  },
+};
+
+const MaintenanceHistoryHandler = {
+  canHandle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    return request.type === 'IntentRequest'
+      && (request.intent.name === 'LastMaintenanceIntent'
+        || request.intent.name === 'DaysSinceMaintenanceIntent');
+  },
+  async handle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+    const machine = await getMachine(handlerInput);
+    if (!machine.known) {
+      return unknownMachineResponse(handlerInput, machine);
+    }
+    const taskId = maintenanceTasks.getTaskFromSlot(request);
+    if (!taskId) {
+      return handlerInput.responseBuilder
+        .speak(requestAttributes.t('UNKNOWN_TASK_MESSAGE'))
+        .reprompt(requestAttributes.t('UNKNOWN_TASK_MESSAGE'))
+        .getResponse();
+    }
+    const task = maintenanceTasks.tasks[taskId];
+    const taskName = requestAttributes.t('TASK_NAMES')[taskId];
+    const item = await getCoffeeDetails(machine.id);
+    const timeZone = await timeZoneUtil.getTimeZone(handlerInput);
+    const lastEvent = historyUtil.getLastMaintenance(item.history, taskId);
+    const at = item[task.timeAttribute] || (lastEvent ? lastEvent.at : undefined);
+    let speechText;
+    if (!at && item[task.countAttribute]) {
+      // recorded before maintenance was timestamped
+      speechText = requestAttributes.t('LAST_MAINTENANCE_UNDATED_MESSAGE', taskName, item[task.countAttribute]);
+    } else if (!at) {
+      speechText = requestAttributes.t('NO_MAINTENANCE_MESSAGE', taskName);
+    } else if (request.intent.name === 'LastMaintenanceIntent') {
+      speechText = requestAttributes.t('LAST_MAINTENANCE_MESSAGE', taskName, speakDate(timeZoneUtil.toLocalTime(new Date(at), timeZone)), item[task.countAttribute] || 0);
+    } else {
+      const days = historyUtil.localDaysBetween(new Date(at), new Date(), timeZone);
+      speechText = days === 0
+        ? requestAttributes.t('MAINTENANCE_TODAY_MESSAGE', taskName)
+        : requestAttributes.t('DAYS_SINCE_MAINTENANCE_MESSAGE', days, taskName);
+    }
+    return handlerInput.responseBuilder
+      .speak(speechText)
+      .getResponse();
+  },
+};
+
+const NextMaintenanceHandler = {
+  canHandle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    return request.type === 'IntentRequest'
+      && request.intent.name === 'NextMaintenanceIntent';
+  },
+  async handle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+    const taskId = maintenanceTasks.getTaskFromSlot(request);
+    if (!taskId) {
+      return handlerInput.responseBuilder
+        .speak(requestAttributes.t('UNKNOWN_TASK_MESSAGE'))
+        .reprompt(requestAttributes.t('UNKNOWN_TASK_MESSAGE'))
+        .getResponse();
+    }
+    const machine = await getMachine(handlerInput);
+    if (!machine.known) {
+      return unknownMachineResponse(handlerInput, machine);
+    }
+    const item = await getCoffeeDetails(machine.id);
+    const speechText = getNextMaintenanceSpeech(requestAttributes, item, taskId, new Date(), await timeZoneUtil.getTimeZone(handlerInput));
+    return handlerInput.responseBuilder
+      .speak(getMachinePrefix(requestAttributes, machine) + speechText)
+      .getResponse();
+  },
+};
+
+const CoffeesSinceHandler = {
+  canHandle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    return request.type === 'IntentRequest'
+      && request.intent.name === 'CoffeesSinceIntent';
+  },
+  async handle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+    const machine = await getMachine(handlerInput);
+    if (!machine.known) {
+      return unknownMachineResponse(handlerInput, machine);
+    }
+    const slot = (request.intent.slots || {}).date;
+    const now = new Date();
+    const timeZone = await timeZoneUtil.getTimeZone(handlerInput);
+    const start = slot && slot.value ? historyUtil.getDateSlotStart(slot.value, now, timeZone) : undefined;
+    if (!start) {
+      return handlerInput.responseBuilder
+        .speak(requestAttributes.t('COFFEES_SINCE_INVALID_MESSAGE'))
+        .reprompt(requestAttributes.t('COFFEES_SINCE_INVALID_MESSAGE'))
+        .getResponse();
+    }
+    const drinkType = drinkTypes.getDrinkTypeFromSlot(request);
+    if (drinkType === null) {
+      return handlerInput.responseBuilder
+        .speak(requestAttributes.t('UNKNOWN_DRINK_MESSAGE'))
+        .reprompt(requestAttributes.t('UNKNOWN_DRINK_MESSAGE'))
+        .getResponse();
+    }
+    const item = await getCoffeeDetails(machine.id);
+    const count = historyUtil.countCoffees(item.history, start, undefined, drinkType);
+    const historyStart = historyUtil.getHistoryStart(item.history);
+    // coffees from before the oldest event kept can't be counted
+    const incomplete = historyStart && historyStart > start && !(item.createdAt && new Date(item.createdAt) >= start);
+    const drinks = speakDrinks(requestAttributes, count, drinkType);
+    const speechText = incomplete
+      ? requestAttributes.t('COFFEES_SINCE_INCOMPLETE_MESSAGE', speakDate(timeZoneUtil.toLocalTime(historyStart, timeZone)), drinks)
+      : requestAttributes.t('COFFEES_SINCE_MESSAGE', drinks, speakDate(timeZoneUtil.toLocalTime(start, timeZone)));
+    return handlerInput.responseBuilder
+      .speak(speechText)
+      .getResponse();
+  },
+};
+
+const SetCoffeeCountHandler = {
+  canHandle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    return request.type === 'IntentRequest'
+      && request.intent.name === 'SetCoffeeCountIntent';
+  },
+  async handle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+    const machine = await getMachine(handlerInput);
+    if (!machine.known) {
+      return unknownMachineResponse(handlerInput, machine);
+    }
+    const count = getSlotNumber(request, 'coffeeCount');
+    if (!Number.isInteger(count) || count < 0) {
+      return handlerInput.responseBuilder
+        .speak(requestAttributes.t('SET_COUNT_INVALID_MESSAGE'))
+        .reprompt(requestAttributes.t('SET_COUNT_INVALID_MESSAGE'))
+        .getResponse();
+    }
+    await setCountInStorage(machine.id, count);
+    return handlerInput.responseBuilder
+      .speak(requestAttributes.t('SET_COUNT_MESSAGE', count))
+      .getResponse();
+  },
+};
+
+const SetMaintenanceIntervalHandler = {
+  canHandle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    return request.type === 'IntentRequest'
+      && request.intent.name === 'SetMaintenanceIntervalIntent';
+  },
+  async handle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+    const machine = await getMachine(handlerInput);
+    if (!machine.known) {
+      return unknownMachineResponse(handlerInput, machine);
+    }
+    const taskId = maintenanceTasks.getTaskFromSlot(request);
+    if (!taskId) {
+      return handlerInput.responseBuilder
+        .speak(requestAttributes.t('UNKNOWN_TASK_MESSAGE'))
+        .reprompt(requestAttributes.t('UNKNOWN_TASK_MESSAGE'))
+        .getResponse();
+    }
+    const unit = maintenanceTasks.getTaskUnit(taskId);
+    const interval = getSlotNumber(request, 'interval');
+    if (!maintenanceTasks.isValidInterval(taskId, interval)) {
+      const speechText = requestAttributes.t(unit === 'coffees' ? 'INTERVAL_INVALID_COFFEES_MESSAGE' : 'INTERVAL_INVALID_DAYS_MESSAGE');
+      return handlerInput.responseBuilder
+        .speak(speechText)
+        .reprompt(speechText)
+        .getResponse();
+    }
+    const settings = {};
+    settings[maintenanceTasks.tasks[taskId].intervalAttribute] = interval;
+    await saveSettingsInStorage(machine.id, settings);
+    const taskName = requestAttributes.t('TASK_NAMES')[taskId];
+    return handlerInput.responseBuilder
+      .speak(requestAttributes.t('INTERVAL_SET_MESSAGE', taskName, speakInterval(requestAttributes, interval, unit)))
+      .getResponse();
+  },
+};
+
+const GetMaintenanceIntervalHandler = {
+  canHandle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    return request.type === 'IntentRequest'
+      && request.intent.name === 'GetMaintenanceIntervalIntent';
+  },
+  async handle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+    const machine = await getMachine(handlerInput);
+    if (!machine.known) {
+      return unknownMachineResponse(handlerInput, machine);
+    }
+    const taskId = maintenanceTasks.getTaskFromSlot(request);
+    if (!taskId) {
+      return handlerInput.responseBuilder
+        .speak(requestAttributes.t('UNKNOWN_TASK_MESSAGE'))
+        .reprompt(requestAttributes.t('UNKNOWN_TASK_MESSAGE'))
+        .getResponse();
+    }
+    const item = await getCoffeeDetails(machine.id);
+    const interval = maintenanceTasks.getTaskInterval(item, taskId);
+    const taskName = requestAttributes.t('TASK_NAMES')[taskId];
+    let speechText = requestAttributes.t('INTERVAL_MESSAGE', taskName,
+      speakInterval(requestAttributes, interval, maintenanceTasks.getTaskUnit(taskId)));
+    if (item.machineType) {
+      speechText = speechText + ' ' + requestAttributes.t('MACHINE_TYPE_MESSAGE', requestAttributes.t('MACHINE_TYPE_NAMES')[item.machineType]);
+    }
+    return handlerInput.responseBuilder
+      .speak(speechText)
+      .getResponse();
+  },
+};
+
+const SetMachineTypeHandler = {
+  canHandle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    return request.type === 'IntentRequest'
+      && request.intent.name === 'SetMachineTypeIntent';
+  },
+  async handle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+    const machine = await getMachine(handlerInput);
+    if (!machine.known) {
+      return unknownMachineResponse(handlerInput, machine);
+    }
+    const machineType = maintenanceTasks.getMachineTypeFromSlot(request);
+    if (!machineType) {
+      return handlerInput.responseBuilder
+        .speak(requestAttributes.t('UNKNOWN_MACHINE_TYPE_MESSAGE'))
+        .reprompt(requestAttributes.t('UNKNOWN_MACHINE_TYPE_MESSAGE'))
+        .getResponse();
+    }
+    // choosing a machine type starts over from its recommended intervals
+    const intervals = maintenanceTasks.taskIds.map(taskId => maintenanceTasks.tasks[taskId].intervalAttribute);
+    const item = await saveSettingsInStorage(machine.id, { machineType: machineType }, intervals);
+    const speechText = requestAttributes.t('MACHINE_TYPE_SET_MESSAGE',
+      requestAttributes.t('MACHINE_TYPE_NAMES')[machineType],
+      maintenanceTasks.getTaskInterval(item, 'cleaning'));
+    return handlerInput.responseBuilder
+      .speak(speechText)
+      .getResponse();
+  },
+};
+
+const StatsHandler = {
+  canHandle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    return request.type === 'IntentRequest'
+      && request.intent.name === 'StatsIntent';
+  },
+  async handle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+    const period = statsUtil.getPeriodFromSlot(request);
+    if (period === null) {
+      return handlerInput.responseBuilder
+        .speak(requestAttributes.t('UNKNOWN_PERIOD_MESSAGE'))
+        .reprompt(requestAttributes.t('UNKNOWN_PERIOD_MESSAGE'))
+        .getResponse();
+    }
+    const machine = await getMachine(handlerInput);
+    if (!machine.known) {
+      return unknownMachineResponse(handlerInput, machine);
+    }
+    const item = await getCoffeeDetails(machine.id);
+    const now = new Date();
+    const timeZone = await timeZoneUtil.getTimeZone(handlerInput);
+    const since = item.createdAt ? new Date(item.createdAt) : historyUtil.getHistoryStart(item.history);
+    let speechText;
+    if (period) {
+      // a single period in detail
+      const stats = statsUtil.getStats(item.history, statsUtil.getPeriodStart(period, now, timeZone), now, since, timeZone);
+      speechText = requestAttributes.t('STATS_PERIOD_MESSAGE', requestAttributes.t('STATS_PERIOD_NAMES')[period],
+        speakDrinks(requestAttributes, stats.total));
+      if (period !== 'day') {
+        speechText = speechText + ' ' + requestAttributes.t('STATS_AVERAGE_MESSAGE', stats.average.toLocaleString(request.locale));
+      }
+      if (period !== 'day' && stats.busiestDay) {
+        speechText = speechText + ' ' + requestAttributes.t('STATS_BUSIEST_DAY_MESSAGE', speakDate(stats.busiestDay),
+          speakDrinks(requestAttributes, stats.busiestCount));
+      }
+      speechText = speechText + ' ' + requestAttributes.t('STATS_CAFFEINE_MESSAGE', stats.caffeine);
+    } else {
+      // an overview of today, this week and this month
+      const totals = statsUtil.periods.map(id => {
+        return statsUtil.getStats(item.history, statsUtil.getPeriodStart(id, now, timeZone), now, since, timeZone);
+      });
+      const month = totals[2];
+      speechText = requestAttributes.t('STATS_OVERVIEW_MESSAGE', speakDrinks(requestAttributes, totals[0].total), totals[1].total, month.total)
+        + ' ' + requestAttributes.t('STATS_MONTH_AVERAGE_MESSAGE', month.average.toLocaleString(request.locale));
+      if (month.busiestDay) {
+        speechText = speechText + ' ' + requestAttributes.t('STATS_BUSIEST_DAY_MESSAGE', speakDate(month.busiestDay),
+          speakDrinks(requestAttributes, month.busiestCount));
+      }
+      speechText = speechText + ' ' + requestAttributes.t('STATS_CAFFEINE_TODAY_MESSAGE', totals[0].caffeine);
+    }
+    return handlerInput.responseBuilder
+      .speak(getMachinePrefix(requestAttributes, machine) + speechText)
+      .getResponse();
+  },
+};
 
-async function getCoffeeDetails(id) {
-  const data = await getItemFromDynamoDB(id);
-  const count =  data.Item ? (data.Item.count ? data.Item.count : 0 ) : 0;
-  const lm = data.Item ? ( data.Item.lastMaintenance ? data.Item.lastMaintenance : 0) : 0;
-  return [count, lm];
-}
+const SetCaffeineLimitHandler = {
+  canHandle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    return request.type === 'IntentRequest'
+      && request.intent.name === 'SetCaffeineLimitIntent';
+  },
+  async handle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+    const limit = getSlotNumber(request, 'limit');
+    if (!statsUtil.isValidCaffeineLimit(limit)) {
+      const speechText = requestAttributes.t('CAFFEINE_LIMIT_INVALID_MESSAGE', statsUtil.MAX_CAFFEINE_LIMIT);
+      return handlerInput.responseBuilder
+        .speak(speechText)
+        .reprompt(speechText)
+        .getResponse();
+    }
+    if (personalizationUtil.getPerson(handlerInput)) {
+      await saveCaffeineLimitInStorage(handlerInput.requestEnvelope.session.user.userId,
+        personalizationUtil.getPersonId(handlerInput), limit);
+    } else {
+      // the limit is the account's, whichever machine the coffees are made on
+      const userId = handlerInput.requestEnvelope.session.user.userId;
+      if (limit) {
+        await saveSettingsInStorage(userId, { caffeineLimit: limit });
+      } else {
+        await saveSettingsInStorage(userId, {}, ['caffeineLimit']);
+      }
+    }
+    return handlerInput.responseBuilder
+      .speak(limit ? requestAttributes.t('CAFFEINE_LIMIT_SET_MESSAGE', limit) : requestAttributes.t('CAFFEINE_LIMIT_REMOVED_MESSAGE'))
+      .getResponse();
+  },
+};
 
-async function incrementCountInDynamoDB(id) {
-  const params = {
-    TableName: TableName,
-    Key: { id: id },
-    UpdateExpression: 'ADD #lm :change SET #c = #c + :increment',
-    ExpressionAttributeNames: { '#c': 'count', '#lm': 'lastMaintenance' },
-    ExpressionAttributeValues: { ':increment': 1, ':change': 0 },
-    ReturnValues: 'ALL_NEW'
-  };
+const AddSuppliesHandler = {
+  canHandle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    return request.type === 'IntentRequest'
+      && request.intent.name === 'AddSuppliesIntent';
+  },
+  async handle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+    const supplyId = suppliesUtil.getSupplyFromSlot(request);
+    if (!supplyId) {
+      return handlerInput.responseBuilder
+        .speak(requestAttributes.t('UNKNOWN_SUPPLY_MESSAGE'))
+        .reprompt(requestAttributes.t('UNKNOWN_SUPPLY_MESSAGE'))
+        .getResponse();
+    }
+    const amount = suppliesUtil.getSlotAmount(request, supplyId);
+    if (!(amount > 0)) {
+      const speechText = requestAttributes.t('SUPPLY_AMOUNT_INVALID_MESSAGE', requestAttributes.t('SUPPLY_NAMES')[supplyId]);
+      return handlerInput.responseBuilder
+        .speak(speechText)
+        .reprompt(speechText)
+        .getResponse();
+    }
+    const machine = await getMachine(handlerInput);
+    if (!machine.known) {
+      return unknownMachineResponse(handlerInput, machine);
+    }
+    const item = await addSuppliesInStorage(machine.id, supplyId, amount);
+    const speechText = requestAttributes.t('SUPPLIES_ADDED_MESSAGE',
+      speakSupplyAmount(requestAttributes, supplyId, amount),
+      speakSupplyAmount(requestAttributes, supplyId, suppliesUtil.getStock(item, supplyId)));
+    return handlerInput.responseBuilder
+      .speak(getMachinePrefix(requestAttributes, machine) + speechText)
+      .getResponse();
+  },
+};
 
-  try {
-    const data = await dynamoDB.update(params).promise();
-    const updatedCount = data.Attributes.count;
-    const lm = data.Attributes.lastMaintenance;
-    return [updatedCount, lm];
-  } catch (error) {
-    if (error.code === 'ValidationException' && error.message.includes('The provided expression refers to an attribute that does not exist in the item')) {
-      // Item doesn't exist, attempt to create a new item
-      const count = await createNewItem(id);
-      return [count, 0];
+const SupplyStockHandler = {
+  canHandle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    return request.type === 'IntentRequest'
+      && request.intent.name === 'SupplyStockIntent';
+  },
+  async handle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+    const supplyId = suppliesUtil.getSupplyFromSlot(request);
+    if (supplyId === null) {
+      return handlerInput.responseBuilder
+        .speak(requestAttributes.t('UNKNOWN_SUPPLY_MESSAGE'))
+        .reprompt(requestAttributes.t('UNKNOWN_SUPPLY_MESSAGE'))
+        .getResponse();
+    }
+    const machine = await getMachine(handlerInput);
+    if (!machine.known) {
+      return unknownMachineResponse(handlerInput, machine);
+    }
+    const item = await getCoffeeDetails(machine.id);
+    // without a supply named, every supply that is tracked is read out
+    const supplyIds = (supplyId ? [supplyId] : suppliesUtil.supplyIds)
+      .filter(id => suppliesUtil.isTracked(item, id));
+    let speechText;
+    if (supplyIds.length === 0) {
+      speechText = supplyId
+        ? requestAttributes.t('SUPPLY_NOT_TRACKED_MESSAGE', requestAttributes.t('SUPPLY_NAMES')[supplyId])
+        : requestAttributes.t('NO_SUPPLIES_MESSAGE');
     } else {
-      console.error(`Error updating count: ${error.message}`);
-      throw error;
+      const amounts = supplyIds.map(id => speakSupplyAmount(requestAttributes, id, suppliesUtil.getStock(item, id)));
+      const low = suppliesUtil.getLowSupplies(item, supplyIds).map(id => requestAttributes.t('SUPPLY_NAMES')[id]);
+      speechText = requestAttributes.t('SUPPLY_STOCK_MESSAGE', speakList(requestAttributes, amounts))
+        + (low.length > 0 ? ' ' + requestAttributes.t('SUPPLIES_RESTOCK_MESSAGE', speakList(requestAttributes, low)) : '');
     }
-  }
-}
+    return handlerInput.responseBuilder
+      .speak(getMachinePrefix(requestAttributes, machine) + speechText)
+      .getResponse();
+  },
+};
 
-async function createNewItem(id) {
-  const newCount = 1;
-  const params = {
-    TableName: TableName,
-    Item: { id: id, count: newCount },
-  };
-  await dynamoDB.put(params).promise();
-  return newCount;
-}
+// sets either the low stock level or the amount each coffee uses of a supply
+const SupplySettingsHandler = {
+  canHandle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    return request.type === 'IntentRequest'
+      && (request.intent.name === 'SetLowStockLevelIntent'
+        || request.intent.name === 'SetSupplyUsageIntent');
+  },
+  async handle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+    const supplyId = suppliesUtil.getSupplyFromSlot(request);
+    if (!supplyId) {
+      return handlerInput.responseBuilder
+        .speak(requestAttributes.t('UNKNOWN_SUPPLY_MESSAGE'))
+        .reprompt(requestAttributes.t('UNKNOWN_SUPPLY_MESSAGE'))
+        .getResponse();
+    }
+    const amount = suppliesUtil.getSlotAmount(request, supplyId);
+    if (Number.isNaN(amount)) {
+      const speechText = requestAttributes.t('SUPPLY_AMOUNT_INVALID_MESSAGE', requestAttributes.t('SUPPLY_NAMES')[supplyId]);
+      return handlerInput.responseBuilder
+        .speak(speechText)
+        .reprompt(speechText)
+        .getResponse();
+    }
+    const machine = await getMachine(handlerInput);
+    if (!machine.known) {
+      return unknownMachineResponse(handlerInput, machine);
+    }
+    const supply = suppliesUtil.supplies[supplyId];
+    const isLevel = request.intent.name === 'SetLowStockLevelIntent';
+    const settings = {};
+    settings[isLevel ? supply.lowLevelAttribute : supply.usageAttribute] = amount;
+    await saveSettingsInStorage(machine.id, settings);
+    const speechText = requestAttributes.t(isLevel ? 'LOW_STOCK_LEVEL_SET_MESSAGE' : 'SUPPLY_USAGE_SET_MESSAGE',
+      speakSupplyAmount(requestAttributes, supplyId, amount));
+    return handlerInput.responseBuilder
+      .speak(getMachinePrefix(requestAttributes, machine) + speechText)
+      .getResponse();
+  },
+};
 
-async function performMaintenance(id, count) {
-  const params = {
-    TableName: TableName,
-    Key: { id: id },
-    UpdateExpression: 'SET #lm = :count',
-    ExpressionAttributeNames: { '#lm': 'lastMaintenance' },
-    ExpressionAttributeValues: { ':count': count },
-  };
+const SetCostHandler = {
+  canHandle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    return request.type === 'IntentRequest'
+      && request.intent.name === 'SetCostIntent';
+  },
+  async handle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+    const supplyId = suppliesUtil.getSupplyFromSlot(request);
+    if (costUtil.costSupplyIds.indexOf(supplyId) === -1) {
+      return handlerInput.responseBuilder
+        .speak(requestAttributes.t('COST_SUPPLY_MESSAGE'))
+        .reprompt(requestAttributes.t('COST_SUPPLY_MESSAGE'))
+        .getResponse();
+    }
+    const cost = costUtil.getSlotCost(request, supplyId);
+    if (Number.isNaN(cost)) {
+      return handlerInput.responseBuilder
+        .speak(requestAttributes.t('COST_INVALID_MESSAGE'))
+        .reprompt(requestAttributes.t('COST_INVALID_MESSAGE'))
+        .getResponse();
+    }
+    const machine = await getMachine(handlerInput);
+    if (!machine.known) {
+      return unknownMachineResponse(handlerInput, machine);
+    }
+    const settings = {};
+    settings[suppliesUtil.supplies[supplyId].costAttribute] = cost;
+    const item = await saveSettingsInStorage(machine.id, settings);
+    const speechText = requestAttributes.t('COST_SET_MESSAGE', requestAttributes.t('SUPPLY_NAMES')[supplyId],
+      speakPrice(requestAttributes, request.locale, costUtil.getDrinkCost(item)));
+    return handlerInput.responseBuilder
+      .speak(getMachinePrefix(requestAttributes, machine) + speechText)
+      .getResponse();
+  },
+};
 
-  try {
-    await dynamoDB.update(params).promise();
-  } catch (error) {
-    console.error(`Error marking last maintenance: ${error.message}`);
-    throw error;
-  }
-}
+const SetCafePriceHandler = {
+  canHandle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    return request.type === 'IntentRequest'
+      && request.intent.name === 'SetCafePriceIntent';
+  },
+  async handle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+    const price = costUtil.getSlotPrice(request);
+    if (Number.isNaN(price)) {
+      return handlerInput.responseBuilder
+        .speak(requestAttributes.t('CAFE_PRICE_INVALID_MESSAGE'))
+        .reprompt(requestAttributes.t('CAFE_PRICE_INVALID_MESSAGE'))
+        .getResponse();
+    }
+    const machine = await getMachine(handlerInput);
+    if (!machine.known) {
+      return unknownMachineResponse(handlerInput, machine);
+    }
+    const settings = {};
+    settings[costUtil.CAFE_PRICE_ATTRIBUTE] = price;
+    await saveSettingsInStorage(machine.id, settings);
+    const speechText = requestAttributes.t('CAFE_PRICE_SET_MESSAGE', speakPrice(requestAttributes, request.locale, price));
+    return handlerInput.responseBuilder
+      .speak(getMachinePrefix(requestAttributes, machine) + speechText)
+      .getResponse();
+  },
+};
 
-// core functionality for fact skill
-const MakeCoffeeHandler = {
+// answers what the coffees of a period cost, this month by default, and how
+// much that saved compared to the café
+const SpendingHandler = {
   canHandle(handlerInput) {
     const request = handlerInput.requestEnvelope.request;
-    return request.type === 'LaunchRequest'
-      || (request.type === 'IntentRequest' && request.intent.name === 'MakeCoffeeIntent')
-      || (request.type === 'IntentRequest' && request.intent.name === 'CountCoffeeIntent')
-      || (request.type === 'IntentRequest' && request.intent.name === 'PerformMaintenanceIntent');
+    return request.type === 'IntentRequest'
+      && (request.intent.name === 'SpendingIntent'
+        || request.intent.name === 'SavingsIntent');
   },
   async handle(handlerInput) {
     const request = handlerInput.requestEnvelope.request;
     const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
-    const userId = handlerInput.requestEnvelope.session.user.userId;    
-    if (request.type === 'IntentRequest' && request.intent.name === 'MakeCoffeeIntent') {
-        try {
-          const item = await incrementCountInDynamoDB(userId);
-          const count = item[0];
-          const lm = item[1];
-          let speechText = `Coffee recorded. Your coffee count is now ${count}.`;
-          if (count >= lm + cleaningThreshold) {
-            speechText = speechText + ` Please clean your machine as soon as possible.`;
-          } else {
-            const nextCleaning = lm + cleaningThreshold - count;
-            speechText = speechText + ` ${nextCleaning} coffees left before cleaning.`;
-          }
-          return handlerInput.responseBuilder
-            .speak(speechText)
-            .getResponse();
-        } catch (error) {
-          console.error(`Error handled: ${error.message}`);
-          const speechText = 'Sorry, I couldn\'t record your coffee. Please try again.';
-          return handlerInput.responseBuilder
-            .speak(speechText)
-            .reprompt(speechText)
-            .getResponse();
-        } 
-    } else if (request.type === 'IntentRequest' && request.intent.name === 'CountCoffeeIntent') {
-      const item = await getCoffeeDetails(userId);
-      const count = item[0];
-      const lm = item[1];      
-      let speechText = `You have made ${count} coffees.`;
-      if (count >= lm + cleaningThreshold) {
-        speechText = speechText + ` Please clean your machine as soon as possible.`;
+    const period = statsUtil.getPeriodFromSlot(request);
+    if (period === null) {
+      return handlerInput.responseBuilder
+        .speak(requestAttributes.t('UNKNOWN_PERIOD_MESSAGE'))
+        .reprompt(requestAttributes.t('UNKNOWN_PERIOD_MESSAGE'))
+        .getResponse();
+    }
+    const machine = await getMachine(handlerInput);
+    if (!machine.known) {
+      return unknownMachineResponse(handlerInput, machine);
+    }
+    const item = await getCoffeeDetails(machine.id);
+    const isSavings = request.intent.name === 'SavingsIntent';
+    let speechText;
+    if (!costUtil.hasCosts(item)) {
+      speechText = requestAttributes.t('NO_COSTS_MESSAGE');
+    } else if (isSavings && item[costUtil.CAFE_PRICE_ATTRIBUTE] === undefined) {
+      speechText = requestAttributes.t('NO_CAFE_PRICE_MESSAGE');
+    } else {
+      const periodId = period || 'month';
+      const timeZone = await timeZoneUtil.getTimeZone(handlerInput);
+      const spending = costUtil.getSpending(item, statsUtil.getPeriodStart(periodId, new Date(), timeZone));
+      const periodName = requestAttributes.t('STATS_PERIOD_NAMES')[periodId];
+      const drinks = speakDrinks(requestAttributes, spending.coffees);
+      const spent = speakPrice(requestAttributes, request.locale, spending.spent);
+      if (!isSavings) {
+        speechText = requestAttributes.t('SPENDING_MESSAGE', periodName, spent, drinks);
+      } else if (spending.cafe >= spending.spent) {
+        speechText = requestAttributes.t('SAVINGS_MESSAGE', periodName, drinks,
+          speakPrice(requestAttributes, request.locale, spending.cafe), spent,
+          speakPrice(requestAttributes, request.locale, Math.round((spending.cafe - spending.spent) * 100) / 100));
       } else {
-        const nextCleaning = lm + cleaningThreshold - count;
-        speechText = speechText + ` ${nextCleaning} coffees left before cleaning.`;
+        speechText = requestAttributes.t('NO_SAVINGS_MESSAGE', periodName, drinks,
+          speakPrice(requestAttributes, request.locale, spending.cafe), spent);
       }
+    }
+    return handlerInput.responseBuilder
+      .speak(getMachinePrefix(requestAttributes, machine) + speechText)
+      .getResponse();
+  },
+};
 
+const AddMachineHandler = {
+  canHandle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    return request.type === 'IntentRequest'
+      && request.intent.name === 'AddMachineIntent';
+  },
+  async handle(handlerInput) {
+    const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+    const name = machineUtil.getMachineFromSlot(handlerInput.requestEnvelope.request);
+    if (!name) {
       return handlerInput.responseBuilder
-        .speak(speechText)
+        .speak(requestAttributes.t('MACHINE_NAME_MISSING_MESSAGE'))
+        .reprompt(requestAttributes.t('MACHINE_NAME_MISSING_MESSAGE'))
         .getResponse();
-    } else if (request.type === 'IntentRequest' && request.intent.name === 'PerformMaintenanceIntent') {
-      const count = await getCountFromDynamoDB(userId);
-      await performMaintenance(userId, count);
-      const speechText = `You have cleaned the machine on coffee number ${count}.`;
+    }
+    const machine = await getMachine(handlerInput);
+    if (machine.known) {
       return handlerInput.responseBuilder
-        .speak(speechText)
-        .getResponse();        
-    } else {
-      const speechText = 'Welcome to coffee machine skill. You can say make coffee, perform cleaning or count coffee';
+        .speak(requestAttributes.t('MACHINE_EXISTS_MESSAGE', name))
+        .getResponse();
+    }
+    await addMachineInStorage(handlerInput.requestEnvelope.session.user.userId, name);
+    return handlerInput.responseBuilder
+      .speak(requestAttributes.t('MACHINE_ADDED_MESSAGE', name, name))
+      .getResponse();
+  },
+};
+
+const SetDefaultMachineHandler = {
+  canHandle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    return request.type === 'IntentRequest'
+      && request.intent.name === 'SetDefaultMachineIntent';
+  },
+  async handle(handlerInput) {
+    const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+    if (!machineUtil.getMachineFromSlot(handlerInput.requestEnvelope.request)) {
+      return handlerInput.responseBuilder
+        .speak(requestAttributes.t('MACHINE_NAME_MISSING_MESSAGE'))
+        .reprompt(requestAttributes.t('MACHINE_NAME_MISSING_MESSAGE'))
+        .getResponse();
+    }
+    const machine = await getMachine(handlerInput);
+    if (!machine.known) {
+      return unknownMachineResponse(handlerInput, machine);
+    }
+    await saveSettingsInStorage(handlerInput.requestEnvelope.session.user.userId, { defaultMachine: machine.name });
+    return handlerInput.responseBuilder
+      .speak(requestAttributes.t('DEFAULT_MACHINE_SET_MESSAGE', machine.name))
+      .getResponse();
+  },
+};
+
+const ListMachinesHandler = {
+  canHandle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    return request.type === 'IntentRequest'
+      && request.intent.name === 'ListMachinesIntent';
+  },
+  async handle(handlerInput) {
+    const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+    const data = await getItemFromStorage(handlerInput.requestEnvelope.session.user.userId);
+    const account = data.Item || {};
+    const names = machineUtil.getMachineNames(account);
+    const speechText = names.length === 1
+      ? requestAttributes.t('ONE_MACHINE_MESSAGE', names[0])
+      : requestAttributes.t('MACHINES_MESSAGE', speakList(requestAttributes, names), machineUtil.getDefaultMachineName(account));
+    return handlerInput.responseBuilder
+      .speak(speechText)
+      .getResponse();
+  },
+};
+
+// sends the summary of the user's data to the Alexa app, the full history is
+// exported with export.js
+const ExportDataHandler = {
+  canHandle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    return request.type === 'IntentRequest'
+      && request.intent.name === 'ExportDataIntent';
+  },
+  async handle(handlerInput) {
+    const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+    const data = await userDataUtil.readUserData(handlerInput.requestEnvelope.session.user.userId);
+    if (data.machines.length === 0) {
+      return handlerInput.responseBuilder
+        .speak(requestAttributes.t('EXPORT_NO_DATA_MESSAGE'))
+        .getResponse();
+    }
+    const cardText = getExportCardText(requestAttributes, data.machines, handlerInput.requestEnvelope.request.locale, new Date(),
+      await timeZoneUtil.getTimeZone(handlerInput));
+    return handlerInput.responseBuilder
+      .speak(requestAttributes.t('EXPORT_SENT_MESSAGE'))
+      .withSimpleCard(requestAttributes.t('EXPORT_CARD_TITLE'), cardText)
+      .getResponse();
+  },
+};
+
+// deletes all of the user's data once they confirmed it, see deleteUserDataInStorage
+const DeleteMyDataHandler = {
+  canHandle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    return request.type === 'IntentRequest'
+      && request.intent.name === 'DeleteMyDataIntent';
+  },
+  async handle(handlerInput) {
+    const intent = handlerInput.requestEnvelope.request.intent;
+    const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+    if (intent.confirmationStatus === 'DENIED') {
+      return handlerInput.responseBuilder
+        .speak(requestAttributes.t('DATA_KEPT_MESSAGE'))
+        .getResponse();
+    } else if (intent.confirmationStatus !== 'CONFIRMED') {
+      const speechText = requestAttributes.t('DELETE_DATA_CONFIRM_MESSAGE');
       return handlerInput.responseBuilder
         .speak(speechText)
         .reprompt(speechText)
+        .addConfirmIntentDirective(intent)
         .getResponse();
     }
+    const personId = personalizationUtil.getPerson(handlerInput) ? personalizationUtil.getPersonId(handlerInput) : undefined;
+    const machines = await deleteUserDataInStorage(handlerInput.requestEnvelope.session.user.userId, personId ? [personId] : []);
+    // reminders are kept by Alexa, not with the data
+    for (const machine of machines) {
+      if (machine.cleaningReminderToken) {
+        await cancelCleaningReminder(handlerInput, machine.cleaningReminderToken);
+      }
+    }
+    return handlerInput.responseBuilder
+      .speak(requestAttributes.t('DATA_DELETED_MESSAGE'))
+      .withShouldEndSession(true)
+      .getResponse();
+  },
+};
+
+// the skill was disabled in the Alexa app, so nothing is kept for the user
+const SkillDisabledHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'AlexaSkillEvent.SkillDisabled';
+  },
+  async handle(handlerInput) {
+    const userId = handlerInput.requestEnvelope.context.System.user.userId;
+    await deleteUserDataInStorage(userId);
+    console.log(`Deleted the data of a disabled skill, persistence status: ${(handlerInput.requestEnvelope.request.body || {}).userInformationPersistenceStatus}`);
+    return handlerInput.responseBuilder.getResponse();
   },
 };
 
@@ -262,6 +2059,7 @@ const LocalizationInterceptor = {
     // Gets the locale from the request and initializes i18next.
     const localizationClient = i18n.use(sprintf).init({
       lng: handlerInput.requestEnvelope.request.locale,
+      fallbackLng: 'en',
       resources: languageStrings,
       returnObjects: true
     });
@@ -269,18 +2067,23 @@ const LocalizationInterceptor = {
     localizationClient.localize = function localize() {
       // gets arguments through and passes them to
       // i18next using sprintf to replace string placeholders
-      // with arguments.
+      // with arguments. a number as first argument is also the
+      // count that picks the `_plural` variant of the string.
       const args = arguments;
       let values = [];
 
       for (var i = 1; i < args.length; i++) {
         values.push(args[i]);
       }
-      const value = i18n.t(args[0], {
+      const options = {
         returnObjects: true,
         postProcess: 'sprintf',
         sprintf: values
-      });
+      };
+      if (typeof values[0] === 'number') {
+        options.count = values[0];
+      }
+      const value = i18n.t(args[0], options);
       return value;
     };
     // this gets the request attributes and save the localize function inside
@@ -297,6 +2100,31 @@ const skillBuilder = Alexa.SkillBuilders.custom();
 exports.handler = skillBuilder
   .addRequestHandlers(
     MakeCoffeeHandler,
+    DashboardEventHandler,
+    CleaningReminderAnswerHandler,
+    UndoLastActionHandler,
+    PersonalCountHandler,
+    MaintenanceHistoryHandler,
+    NextMaintenanceHandler,
+    CoffeesSinceHandler,
+    SetCoffeeCountHandler,
+    SetMaintenanceIntervalHandler,
+    GetMaintenanceIntervalHandler,
+    SetMachineTypeHandler,
+    StatsHandler,
+    SetCaffeineLimitHandler,
+    AddSuppliesHandler,
+    SupplyStockHandler,
+    SupplySettingsHandler,
+    SetCostHandler,
+    SetCafePriceHandler,
+    SpendingHandler,
+    AddMachineHandler,
+    SetDefaultMachineHandler,
+    ListMachinesHandler,
+    ExportDataHandler,
+    DeleteMyDataHandler,
+    SkillDisabledHandler,
     HelpHandler,
     ExitHandler,
     FallbackHandler,
@@ -304,21 +2132,15 @@ exports.handler = skillBuilder
   )
   .addRequestInterceptors(LocalizationInterceptor)
   .addErrorHandlers(ErrorHandler)
+  .withApiClient(new Alexa.DefaultApiClient())
   .withCustomUserAgent('sample/basic-fact/v2')
   .lambda();
 
-const enData = {
-  translation: {
-    SKILL_NAME: '%s Facts',
-    HELP_MESSAGE: 'You can say make coffee, say perform maintenance or say count coffees',
-    HELP_REPROMPT: 'What can I help you with?',
-    FALLBACK_MESSAGE: 'The Facts skill can\'t help you with that.  It can help you discover facts if you say tell me a fact. What can I help you with?',
-    FALLBACK_REPROMPT: 'What can I help you with?',
-    ERROR_MESSAGE: 'Sorry, an error occurred.',
-  }
-};
-
 // constructs i18n and l10n data structure
 const languageStrings = {
-  'en': enData,
+  'en': require('./languageStrings/en'),
+  'de': require('./languageStrings/de'),
+  'fr': require('./languageStrings/fr'),
+  'es': require('./languageStrings/es'),
+  'it': require('./languageStrings/it'),
 };
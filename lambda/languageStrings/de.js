@@ -0,0 +1,231 @@
+/**
+ * German speech
+ **/
+'use strict';
+
+module.exports = {
+    translation: {
+        SKILL_NAME: 'Kaffeemaschine',
+        WELCOME_MESSAGE: 'Willkommen bei deiner Kaffeemaschine. Du kannst sagen, mach einen Kaffee, ich habe die Maschine gereinigt oder wie viele Kaffees',
+        WELCOME_PERSON_MESSAGE: 'Willkommen %s. Du kannst sagen, mach einen Kaffee, ich habe die Maschine gereinigt oder wie viele Kaffees',
+        HELP_MESSAGE: 'Ich zähle die Kaffees, die du machst, und sage dir, wann deine Maschine gepflegt werden muss. Du kannst sagen, mach einen Cappuccino, ich habe die Maschine gereinigt, wie viele Kaffees, wann ist die Reinigung fällig oder ich habe ein Kilo Bohnen gekauft. Was möchtest du tun?',
+        HELP_REPROMPT: 'Wobei kann ich dir helfen?',
+        FALLBACK_MESSAGE: 'Dabei kann dir die Kaffeemaschine leider nicht helfen. Du kannst sagen, mach einen Kaffee, wie viele Kaffees oder ich habe die Maschine gereinigt. Was möchtest du tun?',
+        FALLBACK_REPROMPT: 'Wobei kann ich dir helfen?',
+        STOP_MESSAGE: 'Tschüss!',
+        ERROR_MESSAGE: 'Entschuldigung, da ist etwas schiefgegangen.',
+        AND: 'und',
+        DRINK_COUNT: {
+            coffee: '%d Kaffee',
+            coffee_plural: '%d Kaffees',
+            espresso: '%d Espresso',
+            espresso_plural: '%d Espressi',
+            lungo: '%d Lungo',
+            lungo_plural: '%d Lungos',
+            cappuccino: '%d Cappuccino',
+            cappuccino_plural: '%d Cappuccinos',
+            latte: '%d Latte macchiato',
+            latte_plural: '%d Latte macchiatos',
+            americano: '%d Americano',
+            americano_plural: '%d Americanos',
+        },
+        DAY_COUNT: '%d Tag',
+        DAY_COUNT_plural: '%d Tage',
+        RECORDED_DRINKS: {
+            coffee: 'Kaffee',
+            coffee_plural: '%d Kaffees',
+            espresso: 'Espresso',
+            espresso_plural: '%d Espressi',
+            lungo: 'Lungo',
+            lungo_plural: '%d Lungos',
+            cappuccino: 'Cappuccino',
+            cappuccino_plural: '%d Cappuccinos',
+            latte: 'Latte macchiato',
+            latte_plural: '%d Latte macchiatos',
+            americano: 'Americano',
+            americano_plural: '%d Americanos',
+        },
+        PERSON_RECORDED_DRINKS: {
+            coffee: 'dein Kaffee ist notiert',
+            coffee_plural: 'deine %d Kaffees sind notiert',
+            espresso: 'dein Espresso ist notiert',
+            espresso_plural: 'deine %d Espressi sind notiert',
+            lungo: 'dein Lungo ist notiert',
+            lungo_plural: 'deine %d Lungos sind notiert',
+            cappuccino: 'dein Cappuccino ist notiert',
+            cappuccino_plural: 'deine %d Cappuccinos sind notiert',
+            latte: 'dein Latte macchiato ist notiert',
+            latte_plural: 'deine %d Latte macchiatos sind notiert',
+            americano: 'dein Americano ist notiert',
+            americano_plural: 'deine %d Americanos sind notiert',
+        },
+        COFFEES_RECORDED_MESSAGE: '%s notiert. Dein Kaffeezähler steht jetzt bei %d.',
+        PERSON_RECORDED_MESSAGE: '%s, %s. Du hattest %s. Der Zähler der Maschine steht jetzt bei %d.',
+        RECORD_ERROR_MESSAGE: 'Entschuldigung, ich konnte deinen Kaffee nicht notieren. Bitte versuche es noch einmal.',
+        COFFEE_AMOUNT_INVALID_MESSAGE: 'Entschuldigung, ich kann nur zwischen 1 und %d Kaffees auf einmal notieren. Wie viele Kaffees hast du gemacht?',
+        COUNT_MESSAGE: 'Du hast %s gemacht.',
+        CLEANING_REACHED_MESSAGE: 'Du hast gerade %d Kaffee seit der letzten Reinigung erreicht. Bitte reinige deine Maschine so bald wie möglich.',
+        CLEANING_REACHED_MESSAGE_plural: 'Du hast gerade %d Kaffees seit der letzten Reinigung erreicht. Bitte reinige deine Maschine so bald wie möglich.',
+        CLEANING_DUE_MESSAGE: 'Bitte reinige deine Maschine so bald wie möglich.',
+        COFFEES_LEFT_MESSAGE: 'Noch %d Kaffee bis zur Reinigung.',
+        COFFEES_LEFT_MESSAGE_plural: 'Noch %d Kaffees bis zur Reinigung.',
+        ALSO_DUE_MESSAGE: 'Außerdem fällig: %s.',
+        CLEANED_MESSAGE: 'Du hast die Maschine bei Kaffee Nummer %d gereinigt.',
+        MAINTENANCE_RECORDED_MESSAGE: 'Alles klar, ich habe %s bei Kaffee Nummer %d notiert.',
+        CONFIRM_CLEANING_MESSAGE: 'Du bist bei %s seit der letzten Reinigung. Soll ich die Maschine als gereinigt markieren?',
+        CONFIRM_TASK_MESSAGE: 'Seit dem letzten Eintrag für %2$s sind %1$s vergangen. Soll ich es jetzt notieren?',
+        CONFIRM_TASK_TODAY_MESSAGE: 'Du hast %s heute schon notiert. Soll ich es noch einmal notieren?',
+        CONFIRM_NEW_TASK_MESSAGE: 'Soll ich jetzt %s notieren?',
+        MAINTENANCE_NOT_RECORDED_MESSAGE: 'Alles klar, ich habe nichts notiert.',
+        MAINTENANCE_WHICH_TASK_MESSAGE: 'Alles klar, ich habe keine Reinigung notiert. Falls du etwas anderes gemacht hast, was war es?',
+        MAINTENANCE_WHICH_TASK_REPROMPT: 'Was hast du gemacht? Du kannst sagen Entkalken, Wasserfilter, Milchsystem oder Abtropfschale.',
+        PERSON_COUNT_MESSAGE: '%s, du hattest %s.',
+        PERSON_UNKNOWN_MESSAGE: 'Ich erkenne deine Stimme nicht, deshalb kann ich deine Kaffees nicht zuordnen. In der Alexa App kannst du ein Stimmprofil einrichten. Die Maschine hat %d Kaffee gemacht.',
+        PERSON_UNKNOWN_MESSAGE_plural: 'Ich erkenne deine Stimme nicht, deshalb kann ich deine Kaffees nicht zuordnen. In der Alexa App kannst du ein Stimmprofil einrichten. Die Maschine hat %d Kaffees gemacht.',
+        LAST_MAINTENANCE_MESSAGE: 'Zuletzt hast du %s am %s notiert, bei Kaffee Nummer %d.',
+        LAST_MAINTENANCE_UNDATED_MESSAGE: 'Zuletzt hast du %s bei Kaffee Nummer %d notiert, bevor ich mir Daten gemerkt habe.',
+        NO_MAINTENANCE_MESSAGE: 'Ich habe noch keinen Eintrag für %s.',
+        MAINTENANCE_DUE_NOW_MESSAGE: 'Jetzt ist %s fällig.',
+        MAINTENANCE_DUE_ON_MESSAGE: 'Nach dem Kalender ist %s %s fällig.',
+        MAINTENANCE_DUE_AROUND_MESSAGE: 'Bei deinem jetzigen Tempo ist %s voraussichtlich %s fällig.',
+        MAINTENANCE_ESTIMATE_TOO_EARLY_MESSAGE: 'Ich brauche noch ein paar Tage mit Kaffees, um zu schätzen, wann %s fällig ist. Bis dahin ist es in %s fällig.',
+        MAINTENANCE_ESTIMATE_NO_COFFEES_MESSAGE: 'Du hast in letzter Zeit keinen Kaffee gemacht, deshalb kann ich nicht sagen, wann %s fällig ist. Es ist in %s fällig.',
+        LATER_TODAY: 'heute noch',
+        TOMORROW: 'morgen',
+        ON_DAY: 'am %s',
+        WEEKDAYS: ['Sonntag', 'Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag'],
+        DAYS_SINCE_MAINTENANCE_MESSAGE: 'Der letzte Eintrag für %2$s ist %1$d Tag her.',
+        DAYS_SINCE_MAINTENANCE_MESSAGE_plural: 'Der letzte Eintrag für %2$s ist %1$d Tage her.',
+        MAINTENANCE_TODAY_MESSAGE: 'Du hast heute %s notiert.',
+        COFFEES_SINCE_MESSAGE: 'Du hast %s seit %s gemacht.',
+        COFFEES_SINCE_INCOMPLETE_MESSAGE: 'Meine Aufzeichnungen reichen nur bis %s zurück. Seitdem hast du %s gemacht.',
+        COFFEES_SINCE_INVALID_MESSAGE: 'Seit wann? Du kannst sagen seit Montag oder seit letzter Woche.',
+        REMINDER_OFFER_MESSAGE: 'Soll ich dich morgen um 8 Uhr an die Reinigung erinnern?',
+        REMINDER_TEXT: 'Zeit, deine Kaffeemaschine zu reinigen.',
+        REMINDER_CREATED_MESSAGE: 'Alles klar, ich erinnere dich morgen um 8 Uhr an die Reinigung.',
+        REMINDER_DECLINED_MESSAGE: 'Alles klar, keine Erinnerung.',
+        REMINDER_PERMISSION_MESSAGE: 'Für Erinnerungen brauche ich deine Erlaubnis. Ich habe dir eine Karte in die Alexa App geschickt, auf der du sie erteilen kannst. Frag mich danach noch einmal.',
+        REMINDER_ERROR_MESSAGE: 'Entschuldigung, ich konnte die Erinnerung nicht einrichten. Bitte versuche es später noch einmal.',
+        REMINDER_CANCELLED_MESSAGE: 'Ich habe auch deine Erinnerung an die Reinigung gelöscht.',
+        DASHBOARD_MACHINE: 'Maschine %s',
+        DASHBOARD_COUNT: '%d Kaffee',
+        DASHBOARD_COUNT_plural: '%d Kaffees',
+        DASHBOARD_CLEANING: '%d von %d Kaffees seit der letzten Reinigung',
+        DASHBOARD_TASK_NAMES: {
+            cleaning: 'Reinigung',
+            descale: 'Entkalken',
+            filter: 'Wasserfilter',
+            milk: 'Milchsystem',
+            dripTray: 'Abtropfschale',
+            milkClean: 'Milchsystem reinigen',
+        },
+        DASHBOARD_TASK_DUE: 'Jetzt fällig',
+        DASHBOARD_TASK_COFFEES: 'In %d Kaffee',
+        DASHBOARD_TASK_COFFEES_plural: 'In %d Kaffees',
+        DASHBOARD_TASK_DAYS: 'In %d Tag',
+        DASHBOARD_TASK_DAYS_plural: 'In %d Tagen',
+        DASHBOARD_TASK_UNKNOWN: 'Noch nicht notiert',
+        DASHBOARD_MAKE_COFFEE: 'Kaffee machen',
+        DASHBOARD_MARK_CLEANED: 'Als gereinigt markieren',
+        NOTHING_TO_UNDO_MESSAGE: 'Es gibt nichts rückgängig zu machen.',
+        UNDO_COFFEE_MESSAGE: 'Rückgängig gemacht. Ich habe %d von deinem Kaffeezähler abgezogen, er steht jetzt bei %d.',
+        UNDO_MAINTENANCE_MESSAGE: 'Rückgängig gemacht. Ich habe den letzten Eintrag für %s entfernt.',
+        UNDO_CORRECTION_MESSAGE: 'Rückgängig gemacht. Dein Kaffeezähler steht wieder bei %d.',
+        UNDO_SUPPLIES_MESSAGE: 'Rückgängig gemacht. Ich habe die zuletzt hinzugefügten %s entfernt.',
+        SET_COUNT_MESSAGE: 'Alles klar, dein Kaffeezähler steht jetzt bei %d.',
+        SET_COUNT_INVALID_MESSAGE: 'Entschuldigung, ich habe die Zahl nicht verstanden. Auf welchen Wert soll dein Kaffeezähler stehen?',
+        TASK_NAMES: {
+            cleaning: 'die Reinigung',
+            descale: 'das Entkalken',
+            filter: 'das Wechseln des Wasserfilters',
+            milk: 'das Spülen des Milchsystems',
+            dripTray: 'das Leeren der Abtropfschale',
+            milkClean: 'die Reinigung des Milchsystems',
+        },
+        MACHINE_TYPE_NAMES: {
+            capsule: 'Kapselmaschine',
+            beanToCup: 'Vollautomat',
+            espresso: 'Siebträgermaschine',
+        },
+        UNKNOWN_TASK_MESSAGE: 'Entschuldigung, diese Pflege kenne ich nicht. Du kannst sagen Reinigung, Entkalken, Wasserfilter, Milchsystem oder Abtropfschale.',
+        UNKNOWN_MACHINE_TYPE_MESSAGE: 'Entschuldigung, diese Art von Maschine kenne ich nicht. Du kannst sagen Kapselmaschine, Vollautomat oder Siebträger.',
+        INTERVAL_SET_MESSAGE: 'Alles klar, %s ist jetzt alle %s fällig.',
+        INTERVAL_MESSAGE: 'Dein Intervall für %s ist alle %s.',
+        INTERVAL_INVALID_COFFEES_MESSAGE: 'Entschuldigung, das Intervall muss zwischen 1 und 1000 Kaffees liegen. Wie viele Kaffees sollen es sein?',
+        INTERVAL_INVALID_DAYS_MESSAGE: 'Entschuldigung, das Intervall muss zwischen 1 und 365 Tagen liegen. Wie viele Tage sollen es sein?',
+        MACHINE_TYPE_MESSAGE: 'Deine Maschine ist als %s eingerichtet.',
+        MACHINE_TYPE_SET_MESSAGE: 'Alles klar, deine Maschine ist jetzt als %s mit den empfohlenen Pflegeintervallen eingerichtet. Die Reinigung ist alle %d Kaffees fällig.',
+        UNKNOWN_DRINK_MESSAGE: 'Entschuldigung, ich kenne Espresso, Lungo, Cappuccino, Latte macchiato und Americano. Welches Getränk hast du gemacht?',
+        STATS_PERIOD_NAMES: {
+            day: 'Heute',
+            week: 'Diese Woche',
+            month: 'Diesen Monat',
+        },
+        STATS_PERIOD_MESSAGE: '%s hast du %s gemacht.',
+        STATS_AVERAGE_MESSAGE: 'Das sind im Schnitt %s am Tag.',
+        STATS_OVERVIEW_MESSAGE: 'Heute hast du %s gemacht, %d diese Woche und %d diesen Monat.',
+        STATS_MONTH_AVERAGE_MESSAGE: 'Diesen Monat sind das im Schnitt %s am Tag.',
+        STATS_BUSIEST_DAY_MESSAGE: 'Dein stärkster Tag war der %s mit %s.',
+        STATS_CAFFEINE_MESSAGE: 'Das sind etwa %d Milligramm Koffein.',
+        STATS_CAFFEINE_TODAY_MESSAGE: 'Die Kaffees von heute haben etwa %d Milligramm Koffein.',
+        UNKNOWN_PERIOD_MESSAGE: 'Entschuldigung, ich habe Statistiken für heute, diese Woche und diesen Monat. Welche möchtest du hören?',
+        CAFFEINE_LIMIT_SET_MESSAGE: 'Alles klar, ich warne dich, wenn du an einem Tag mehr als %d Milligramm Koffein hattest.',
+        CAFFEINE_LIMIT_REMOVED_MESSAGE: 'Alles klar, ich habe deine tägliche Koffeingrenze entfernt.',
+        CAFFEINE_LIMIT_INVALID_MESSAGE: 'Entschuldigung, die tägliche Koffeingrenze muss eine Zahl in Milligramm bis %d sein. Wie hoch soll sie sein?',
+        CAFFEINE_LIMIT_EXCEEDED_MESSAGE: 'Damit hattest du heute etwa %d Milligramm Koffein, mehr als deine tägliche Grenze von %d.',
+        SUPPLY_NAMES: {
+            beans: 'Kaffeebohnen',
+            capsules: 'Kapseln',
+            milk: 'Milch',
+            descaler: 'Entkalker',
+        },
+        SUPPLY_AMOUNTS: {
+            beans: '%d Gramm Kaffeebohnen',
+            beans_plural: '%d Gramm Kaffeebohnen',
+            capsules: '%d Kapsel',
+            capsules_plural: '%d Kapseln',
+            milk: '%d Milliliter Milch',
+            milk_plural: '%d Milliliter Milch',
+            descaler: '%d Portion Entkalker',
+            descaler_plural: '%d Portionen Entkalker',
+        },
+        UNKNOWN_SUPPLY_MESSAGE: 'Entschuldigung, ich kann mir Kaffeebohnen, Kapseln, Milch und Entkalker merken. Was davon meinst du?',
+        SUPPLY_AMOUNT_INVALID_MESSAGE: 'Entschuldigung, ich habe nicht verstanden, wie viel %s. Sag zum Beispiel, ich habe eine Packung mit 1 Kilogramm Bohnen gekauft.',
+        SUPPLIES_ADDED_MESSAGE: 'Alles klar, ich habe %s hinzugefügt. Du hast jetzt %s.',
+        SUPPLY_STOCK_MESSAGE: 'Du hast noch %s.',
+        SUPPLY_NOT_TRACKED_MESSAGE: 'Ich weiß noch nicht, wie viel %s du hast. Sag mir Bescheid, wenn du welche kaufst, zum Beispiel, ich habe eine Packung mit 1 Kilogramm Bohnen gekauft.',
+        NO_SUPPLIES_MESSAGE: 'Ich merke mir noch keine Vorräte. Sag mir Bescheid, wenn du etwas kaufst, zum Beispiel, füge 50 Kapseln hinzu.',
+        SUPPLIES_LOW_MESSAGE: 'Dein Vorrat geht zur Neige, nur noch %s.',
+        SUPPLIES_RESTOCK_MESSAGE: 'Zeit, neue %s zu kaufen.',
+        LOW_STOCK_LEVEL_SET_MESSAGE: 'Alles klar, ich warne dich, wenn du weniger als %s hast.',
+        SUPPLY_USAGE_SET_MESSAGE: 'Alles klar, jeder Kaffee verbraucht jetzt %s.',
+        CURRENCY: 'EUR',
+        COST_SUPPLY_MESSAGE: 'Entschuldigung, ich kann die Kosten von Kaffeebohnen und Kapseln berechnen. Was davon meinst du?',
+        COST_INVALID_MESSAGE: 'Entschuldigung, ich habe den Preis nicht verstanden. Sag zum Beispiel Kapseln kosten 45 Cent, oder Kaffeebohnen kosten 20 Euro pro Kilogramm.',
+        COST_SET_MESSAGE: 'Alles klar, ich habe mir den Preis für %s gemerkt. Ein Kaffee kostet dich jetzt %s.',
+        CAFE_PRICE_INVALID_MESSAGE: 'Entschuldigung, ich habe den Preis nicht verstanden. Sag zum Beispiel ein Kaffee im Café kostet 3 Euro 50.',
+        CAFE_PRICE_SET_MESSAGE: 'Alles klar, ein Kaffee im Café kostet %s.',
+        NO_COSTS_MESSAGE: 'Ich weiß noch nicht, was dein Kaffee kostet. Sag zum Beispiel Kapseln kosten 45 Cent, oder Kaffeebohnen kosten 20 Euro pro Kilogramm.',
+        NO_CAFE_PRICE_MESSAGE: 'Ich weiß noch nicht, was ein Kaffee im Café kostet. Sag zum Beispiel ein Kaffee im Café kostet 3 Euro 50.',
+        SPENDING_MESSAGE: '%s hast du %s für %s ausgegeben.',
+        SAVINGS_MESSAGE: '%s hätten deine %s im Café %s gekostet statt %s. Du hast %s gespart.',
+        NO_SAVINGS_MESSAGE: '%s hätten deine %s im Café %s gekostet, weniger als die %s, die du ausgegeben hast.',
+        MACHINE_PREFIX: 'Auf der Maschine %s.',
+        UNKNOWN_MACHINE_MESSAGE: 'Die Maschine %s kenne ich noch nicht. Du kannst sagen, füge die Maschine %s hinzu.',
+        MACHINE_NAME_MISSING_MESSAGE: 'Welche Maschine meinst du? Sag zum Beispiel, füge die Maschine Büro hinzu.',
+        MACHINE_EXISTS_MESSAGE: 'Du hast schon eine Maschine %s.',
+        MACHINE_ADDED_MESSAGE: 'Alles klar, ich habe die Maschine %s hinzugefügt. Um dort einen Kaffee zu zählen, sag mach einen Kaffee auf der Maschine %s.',
+        DEFAULT_MACHINE_SET_MESSAGE: 'Alles klar, Kaffees werden jetzt auf der Maschine %s gezählt, wenn du keine andere nennst.',
+        ONE_MACHINE_MESSAGE: 'Du hast eine Maschine, die Maschine %s.',
+        MACHINES_MESSAGE: 'Deine Maschinen sind %s. Kaffees werden auf der Maschine %s gezählt, wenn du keine andere nennst.',
+        EXPORT_SENT_MESSAGE: 'Ich habe dir eine Zusammenfassung deiner Kaffeedaten in die Alexa App geschickt.',
+        EXPORT_NO_DATA_MESSAGE: 'Du hast noch nichts notiert, daher gibt es nichts zu schicken.',
+        EXPORT_CARD_TITLE: 'Deine Kaffeedaten',
+        EXPORT_CARD_MACHINE: 'Maschine %s: %s insgesamt, %s in den letzten 30 Tagen.',
+        EXPORT_CARD_DRINKS: 'Getränke: %s.',
+        EXPORT_CARD_TASK: '%s: zuletzt am %s.',
+        DELETE_DATA_CONFIRM_MESSAGE: 'Damit löschst du alle Kaffeezähler, Wartungen, den Verlauf und die Einstellungen, für jede Maschine und jedes Stimmprofil, und das lässt sich nicht rückgängig machen. Soll ich deine Daten löschen?',
+        DATA_DELETED_MESSAGE: 'Alles klar, ich habe alle deine Daten gelöscht. Tschüss!',
+        DATA_KEPT_MESSAGE: 'Alles klar, deine Daten bleiben erhalten.',
+    },
+};
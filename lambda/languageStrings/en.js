@@ -0,0 +1,235 @@
+/**
+ * English speech
+ *
+ * Keys ending in `_plural` are used when the first argument is a number other
+ * than 1, see the LocalizationInterceptor. Messages counting something that is
+ * not their first argument take it from a count key such as DRINK_COUNT.
+ **/
+'use strict';
+
+module.exports = {
+    translation: {
+        SKILL_NAME: 'Coffee Machine',
+        WELCOME_MESSAGE: 'Welcome to coffee machine skill. You can say make coffee, perform cleaning or count coffee',
+        WELCOME_PERSON_MESSAGE: 'Welcome %s. You can say make coffee, perform cleaning or count coffee',
+        HELP_MESSAGE: 'I count the coffees you make and tell you when your machine needs maintenance. You can say make a cappuccino, I cleaned the machine, how many coffees, when is cleaning due, or I bought a kilo of beans. What would you like to do?',
+        HELP_REPROMPT: 'What can I help you with?',
+        FALLBACK_MESSAGE: 'Sorry, the coffee machine skill can\'t help with that. You can say make coffee, count coffees or perform maintenance. What would you like to do?',
+        FALLBACK_REPROMPT: 'What can I help you with?',
+        STOP_MESSAGE: 'Goodbye!',
+        ERROR_MESSAGE: 'Sorry, an error occurred.',
+        AND: 'and',
+        DRINK_COUNT: {
+            coffee: '%d coffee',
+            coffee_plural: '%d coffees',
+            espresso: '%d espresso',
+            espresso_plural: '%d espressos',
+            lungo: '%d lungo',
+            lungo_plural: '%d lungos',
+            cappuccino: '%d cappuccino',
+            cappuccino_plural: '%d cappuccinos',
+            latte: '%d latte',
+            latte_plural: '%d lattes',
+            americano: '%d americano',
+            americano_plural: '%d americanos',
+        },
+        DAY_COUNT: '%d day',
+        DAY_COUNT_plural: '%d days',
+        RECORDED_DRINKS: {
+            coffee: 'Coffee',
+            coffee_plural: '%d coffees',
+            espresso: 'Espresso',
+            espresso_plural: '%d espressos',
+            lungo: 'Lungo',
+            lungo_plural: '%d lungos',
+            cappuccino: 'Cappuccino',
+            cappuccino_plural: '%d cappuccinos',
+            latte: 'Latte',
+            latte_plural: '%d lattes',
+            americano: 'Americano',
+            americano_plural: '%d americanos',
+        },
+        PERSON_RECORDED_DRINKS: {
+            coffee: 'your coffee is recorded',
+            coffee_plural: 'your %d coffees are recorded',
+            espresso: 'your espresso is recorded',
+            espresso_plural: 'your %d espressos are recorded',
+            lungo: 'your lungo is recorded',
+            lungo_plural: 'your %d lungos are recorded',
+            cappuccino: 'your cappuccino is recorded',
+            cappuccino_plural: 'your %d cappuccinos are recorded',
+            latte: 'your latte is recorded',
+            latte_plural: 'your %d lattes are recorded',
+            americano: 'your americano is recorded',
+            americano_plural: 'your %d americanos are recorded',
+        },
+        COFFEES_RECORDED_MESSAGE: '%s recorded. Your coffee count is now %d.',
+        PERSON_RECORDED_MESSAGE: '%s, %s. You have had %s. The machine count is now %d.',
+        RECORD_ERROR_MESSAGE: 'Sorry, I couldn\'t record your coffee. Please try again.',
+        COFFEE_AMOUNT_INVALID_MESSAGE: 'Sorry, I can only record between 1 and %d coffees at a time. How many coffees did you make?',
+        COUNT_MESSAGE: 'You have made %s.',
+        CLEANING_REACHED_MESSAGE: 'You have just reached %d coffee since the last cleaning. Please clean your machine as soon as possible.',
+        CLEANING_REACHED_MESSAGE_plural: 'You have just reached %d coffees since the last cleaning. Please clean your machine as soon as possible.',
+        CLEANING_DUE_MESSAGE: 'Please clean your machine as soon as possible.',
+        COFFEES_LEFT_MESSAGE: '%d coffee left before cleaning.',
+        COFFEES_LEFT_MESSAGE_plural: '%d coffees left before cleaning.',
+        ALSO_DUE_MESSAGE: 'Also due: %s.',
+        CLEANED_MESSAGE: 'You have cleaned the machine on coffee number %d.',
+        MAINTENANCE_RECORDED_MESSAGE: 'Got it, I recorded %s on coffee number %d.',
+        CONFIRM_CLEANING_MESSAGE: 'You are at %s since the last cleaning. Should I mark the machine as cleaned?',
+        CONFIRM_TASK_MESSAGE: 'It has been %s since %s was last recorded. Should I record it now?',
+        CONFIRM_TASK_TODAY_MESSAGE: 'You already recorded %s today. Should I record it again?',
+        CONFIRM_NEW_TASK_MESSAGE: 'Should I record %s now?',
+        MAINTENANCE_NOT_RECORDED_MESSAGE: 'Okay, I didn\'t record anything.',
+        MAINTENANCE_WHICH_TASK_MESSAGE: 'Okay, I didn\'t record the cleaning. If you did another task, which one was it?',
+        MAINTENANCE_WHICH_TASK_REPROMPT: 'Which task did you do? You can say descaling, water filter, milk system or drip tray.',
+        PERSON_COUNT_MESSAGE: '%s, you have had %s.',
+        PERSON_UNKNOWN_MESSAGE: 'I don\'t recognize your voice, so I can\'t tell your coffees apart. You can set up a voice profile in the Alexa app. The machine has made %d coffee.',
+        PERSON_UNKNOWN_MESSAGE_plural: 'I don\'t recognize your voice, so I can\'t tell your coffees apart. You can set up a voice profile in the Alexa app. The machine has made %d coffees.',
+        LAST_MAINTENANCE_MESSAGE: 'You last recorded %s on %s, on coffee number %d.',
+        LAST_MAINTENANCE_UNDATED_MESSAGE: 'You last recorded %s on coffee number %d, before I kept track of dates.',
+        NO_MAINTENANCE_MESSAGE: 'I have no record of %s yet.',
+        MAINTENANCE_DUE_NOW_MESSAGE: 'It is time for %s now.',
+        MAINTENANCE_DUE_ON_MESSAGE: 'By the calendar, %s will be due %s.',
+        MAINTENANCE_DUE_AROUND_MESSAGE: 'At your current rate, %s will probably be due %s.',
+        MAINTENANCE_ESTIMATE_TOO_EARLY_MESSAGE: 'I need a few more days of coffees to estimate when %s will be due. For now, it is due in %s.',
+        MAINTENANCE_ESTIMATE_NO_COFFEES_MESSAGE: 'You haven\'t made any coffees lately, so I can\'t tell when %s will be due. It is due in %s.',
+        LATER_TODAY: 'later today',
+        TOMORROW: 'tomorrow',
+        ON_DAY: 'on %s',
+        WEEKDAYS: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+        DAYS_SINCE_MAINTENANCE_MESSAGE: 'It has been %d day since %s.',
+        DAYS_SINCE_MAINTENANCE_MESSAGE_plural: 'It has been %d days since %s.',
+        MAINTENANCE_TODAY_MESSAGE: 'You recorded %s today.',
+        COFFEES_SINCE_MESSAGE: 'You have made %s since %s.',
+        COFFEES_SINCE_INCOMPLETE_MESSAGE: 'I only keep history back to %s. Since then you have made %s.',
+        COFFEES_SINCE_INVALID_MESSAGE: 'Since when? You can say since Monday or since last week.',
+        REMINDER_OFFER_MESSAGE: 'Would you like me to remind you tomorrow at 8 to clean it?',
+        REMINDER_TEXT: 'Time to clean your coffee machine.',
+        REMINDER_CREATED_MESSAGE: 'Okay, I will remind you tomorrow at 8 to clean the machine.',
+        REMINDER_DECLINED_MESSAGE: 'Okay, no reminder.',
+        REMINDER_PERMISSION_MESSAGE: 'To set reminders I need your permission. I sent a card to the Alexa app where you can allow it, then ask me again.',
+        REMINDER_ERROR_MESSAGE: 'Sorry, I couldn\'t set the reminder. Please try again later.',
+        REMINDER_CANCELLED_MESSAGE: 'I also cancelled your cleaning reminder.',
+        DASHBOARD_MACHINE: 'The %s machine',
+        DASHBOARD_COUNT: '%d coffee',
+        DASHBOARD_COUNT_plural: '%d coffees',
+        DASHBOARD_CLEANING: '%d of %d coffees since the last cleaning',
+        DASHBOARD_TASK_NAMES: {
+            cleaning: 'Cleaning',
+            descale: 'Descaling',
+            filter: 'Water filter',
+            milk: 'Milk system',
+            dripTray: 'Drip tray',
+            milkClean: 'Milk system cleaning',
+        },
+        DASHBOARD_TASK_DUE: 'Due now',
+        DASHBOARD_TASK_COFFEES: 'In %d coffee',
+        DASHBOARD_TASK_COFFEES_plural: 'In %d coffees',
+        DASHBOARD_TASK_DAYS: 'In %d day',
+        DASHBOARD_TASK_DAYS_plural: 'In %d days',
+        DASHBOARD_TASK_UNKNOWN: 'Not recorded yet',
+        DASHBOARD_MAKE_COFFEE: 'Make coffee',
+        DASHBOARD_MARK_CLEANED: 'Mark cleaned',
+        NOTHING_TO_UNDO_MESSAGE: 'There is nothing to undo.',
+        UNDO_COFFEE_MESSAGE: 'Undone. I took %d off your coffee count, which is now %d.',
+        UNDO_MAINTENANCE_MESSAGE: 'Undone. I removed the last record of %s.',
+        UNDO_CORRECTION_MESSAGE: 'Undone. Your coffee count is back to %d.',
+        UNDO_SUPPLIES_MESSAGE: 'Undone. I removed the %s you last added.',
+        SET_COUNT_MESSAGE: 'Okay, your coffee count is now %d.',
+        SET_COUNT_INVALID_MESSAGE: 'Sorry, I didn\'t catch the number. What should your coffee count be?',
+        TASK_NAMES: {
+            cleaning: 'cleaning',
+            descale: 'descaling',
+            filter: 'the water filter change',
+            milk: 'the milk system rinse',
+            dripTray: 'emptying the drip tray',
+            milkClean: 'cleaning the milk system',
+        },
+        MACHINE_TYPE_NAMES: {
+            capsule: 'capsule',
+            beanToCup: 'bean to cup',
+            espresso: 'espresso',
+        },
+        UNKNOWN_TASK_MESSAGE: 'Sorry, I don\'t know that maintenance task. You can say cleaning, descaling, water filter, milk system or drip tray.',
+        UNKNOWN_MACHINE_TYPE_MESSAGE: 'Sorry, I don\'t know that kind of machine. You can say capsule, bean to cup or espresso.',
+        INTERVAL_SET_MESSAGE: 'Okay, %s is now due every %s.',
+        INTERVAL_MESSAGE: 'Your interval for %s is every %s.',
+        INTERVAL_INVALID_COFFEES_MESSAGE: 'Sorry, the interval has to be between 1 and 1000 coffees. How many coffees should it be?',
+        INTERVAL_INVALID_DAYS_MESSAGE: 'Sorry, the interval has to be between 1 and 365 days. How many days should it be?',
+        MACHINE_TYPE_MESSAGE: 'Your machine is set up as a %s machine.',
+        MACHINE_TYPE_SET_MESSAGE: 'Okay, your machine is now set up as a %s machine with its recommended maintenance intervals. Cleaning is due every %d coffees.',
+        UNKNOWN_DRINK_MESSAGE: 'Sorry, I know espresso, lungo, cappuccino, latte and americano. Which drink did you make?',
+        STATS_PERIOD_NAMES: {
+            day: 'Today',
+            week: 'This week',
+            month: 'This month',
+        },
+        STATS_PERIOD_MESSAGE: '%s you have made %s.',
+        STATS_AVERAGE_MESSAGE: 'That is %s a day on average.',
+        STATS_OVERVIEW_MESSAGE: 'Today you have made %s, %d this week and %d this month.',
+        STATS_MONTH_AVERAGE_MESSAGE: 'This month that is %s a day on average.',
+        STATS_BUSIEST_DAY_MESSAGE: 'Your busiest day was %s with %s.',
+        STATS_CAFFEINE_MESSAGE: 'That is about %d milligrams of caffeine.',
+        STATS_CAFFEINE_TODAY_MESSAGE: 'Today\'s coffees have about %d milligrams of caffeine.',
+        UNKNOWN_PERIOD_MESSAGE: 'Sorry, I have statistics for today, this week and this month. Which one would you like?',
+        CAFFEINE_LIMIT_SET_MESSAGE: 'Okay, I will warn you when you have more than %d milligrams of caffeine in a day.',
+        CAFFEINE_LIMIT_REMOVED_MESSAGE: 'Okay, I removed your daily caffeine limit.',
+        CAFFEINE_LIMIT_INVALID_MESSAGE: 'Sorry, the daily caffeine limit should be a number of milligrams up to %d. What should it be?',
+        CAFFEINE_LIMIT_EXCEEDED_MESSAGE: 'That makes about %d milligrams of caffeine today, more than your daily limit of %d.',
+        SUPPLY_NAMES: {
+            beans: 'coffee beans',
+            capsules: 'capsules',
+            milk: 'milk',
+            descaler: 'descaler',
+        },
+        SUPPLY_AMOUNTS: {
+            beans: '%d gram of coffee beans',
+            beans_plural: '%d grams of coffee beans',
+            capsules: '%d capsule',
+            capsules_plural: '%d capsules',
+            milk: '%d milliliter of milk',
+            milk_plural: '%d milliliters of milk',
+            descaler: '%d dose of descaler',
+            descaler_plural: '%d doses of descaler',
+        },
+        UNKNOWN_SUPPLY_MESSAGE: 'Sorry, I can keep track of coffee beans, capsules, milk and descaler. Which one do you mean?',
+        SUPPLY_AMOUNT_INVALID_MESSAGE: 'Sorry, I didn\'t catch how much %s. For example, say I bought a 1 kilogram bag of beans.',
+        SUPPLIES_ADDED_MESSAGE: 'Okay, I added %s. You now have %s.',
+        SUPPLY_STOCK_MESSAGE: 'You have %s left.',
+        SUPPLY_NOT_TRACKED_MESSAGE: 'I don\'t know how much %s you have yet. Tell me when you buy some, for example say I bought a 1 kilogram bag of beans.',
+        NO_SUPPLIES_MESSAGE: 'I don\'t keep track of any supplies yet. Tell me when you buy some, for example say add 50 capsules.',
+        SUPPLIES_LOW_MESSAGE: 'You are running low, only %s left.',
+        SUPPLIES_RESTOCK_MESSAGE: 'Time to buy more %s.',
+        LOW_STOCK_LEVEL_SET_MESSAGE: 'Okay, I will warn you when you have less than %s.',
+        SUPPLY_USAGE_SET_MESSAGE: 'Okay, each coffee now uses %s.',
+        CURRENCY: 'USD',
+        COST_SUPPLY_MESSAGE: 'Sorry, I can count the cost of coffee beans and capsules. Which one do you mean?',
+        COST_INVALID_MESSAGE: 'Sorry, I didn\'t catch the price. For example, say capsules cost 45 cents, or coffee beans cost 20 dollars per kilogram.',
+        COST_SET_MESSAGE: 'Okay, I noted the price of %s. A coffee now costs you %s.',
+        CAFE_PRICE_INVALID_MESSAGE: 'Sorry, I didn\'t catch the price. For example, say a coffee at the cafe costs 3 dollars 50.',
+        CAFE_PRICE_SET_MESSAGE: 'Okay, a coffee at the café costs %s.',
+        NO_COSTS_MESSAGE: 'I don\'t know what your coffee costs yet. For example, say capsules cost 45 cents, or coffee beans cost 20 dollars per kilogram.',
+        NO_CAFE_PRICE_MESSAGE: 'I don\'t know what a coffee at the café costs yet. For example, say a coffee at the cafe costs 3 dollars 50.',
+        SPENDING_MESSAGE: '%s you have spent %s on %s.',
+        SAVINGS_MESSAGE: '%s your %s would have cost %s at the café instead of %s. You saved %s.',
+        NO_SAVINGS_MESSAGE: '%s your %s would have cost %s at the café, less than the %s you spent.',
+        MACHINE_PREFIX: 'On the %s machine.',
+        UNKNOWN_MACHINE_MESSAGE: 'I don\'t know the %s machine yet. You can say add the %s machine.',
+        MACHINE_NAME_MISSING_MESSAGE: 'Which machine do you mean? For example, say add the office machine.',
+        MACHINE_EXISTS_MESSAGE: 'You already have a %s machine.',
+        MACHINE_ADDED_MESSAGE: 'Okay, I added the %s machine. To count a coffee on it, say make coffee on the %s machine.',
+        DEFAULT_MACHINE_SET_MESSAGE: 'Okay, coffees are now counted on the %s machine unless you name another one.',
+        ONE_MACHINE_MESSAGE: 'You have one machine, the %s machine.',
+        MACHINES_MESSAGE: 'Your machines are %s. Coffees are counted on the %s machine unless you name another one.',
+        EXPORT_SENT_MESSAGE: 'I sent a summary of your coffee data to the Alexa app.',
+        EXPORT_NO_DATA_MESSAGE: 'You haven\'t recorded anything yet, so there is nothing to send.',
+        EXPORT_CARD_TITLE: 'Your coffee data',
+        EXPORT_CARD_MACHINE: 'The %s machine: %s in total, %s in the last 30 days.',
+        EXPORT_CARD_DRINKS: 'Drinks: %s.',
+        EXPORT_CARD_TASK: '%s: last recorded on %s.',
+        DELETE_DATA_CONFIRM_MESSAGE: 'This deletes all your coffee counts, maintenance, history and settings, for every machine and voice profile, and can\'t be undone. Should I delete your data?',
+        DATA_DELETED_MESSAGE: 'Okay, I deleted all your data. Goodbye!',
+        DATA_KEPT_MESSAGE: 'Okay, I kept your data.',
+    },
+};
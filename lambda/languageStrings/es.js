@@ -0,0 +1,231 @@
+/**
+ * Spanish speech
+ **/
+'use strict';
+
+module.exports = {
+    translation: {
+        SKILL_NAME: 'Mi cafetera',
+        WELCOME_MESSAGE: 'Bienvenido a tu cafetera. Puedes decir haz un café, he limpiado la cafetera o cuántos cafés',
+        WELCOME_PERSON_MESSAGE: 'Bienvenido %s. Puedes decir haz un café, he limpiado la cafetera o cuántos cafés',
+        HELP_MESSAGE: 'Cuento los cafés que haces y te digo cuándo tu cafetera necesita mantenimiento. Puedes decir haz un capuchino, he limpiado la cafetera, cuántos cafés, cuándo toca limpiar o he comprado un kilo de café en grano. ¿Qué quieres hacer?',
+        HELP_REPROMPT: '¿En qué te puedo ayudar?',
+        FALLBACK_MESSAGE: 'Lo siento, la cafetera no puede ayudarte con eso. Puedes decir haz un café, cuántos cafés o he limpiado la cafetera. ¿Qué quieres hacer?',
+        FALLBACK_REPROMPT: '¿En qué te puedo ayudar?',
+        STOP_MESSAGE: '¡Hasta luego!',
+        ERROR_MESSAGE: 'Lo siento, se ha producido un error.',
+        AND: 'y',
+        DRINK_COUNT: {
+            coffee: '%d café',
+            coffee_plural: '%d cafés',
+            espresso: '%d expreso',
+            espresso_plural: '%d expresos',
+            lungo: '%d lungo',
+            lungo_plural: '%d lungos',
+            cappuccino: '%d capuchino',
+            cappuccino_plural: '%d capuchinos',
+            latte: '%d café con leche',
+            latte_plural: '%d cafés con leche',
+            americano: '%d americano',
+            americano_plural: '%d americanos',
+        },
+        DAY_COUNT: '%d día',
+        DAY_COUNT_plural: '%d días',
+        RECORDED_DRINKS: {
+            coffee: 'Café anotado',
+            coffee_plural: '%d cafés anotados',
+            espresso: 'Expreso anotado',
+            espresso_plural: '%d expresos anotados',
+            lungo: 'Lungo anotado',
+            lungo_plural: '%d lungos anotados',
+            cappuccino: 'Capuchino anotado',
+            cappuccino_plural: '%d capuchinos anotados',
+            latte: 'Café con leche anotado',
+            latte_plural: '%d cafés con leche anotados',
+            americano: 'Americano anotado',
+            americano_plural: '%d americanos anotados',
+        },
+        PERSON_RECORDED_DRINKS: {
+            coffee: 'he anotado tu café',
+            coffee_plural: 'he anotado tus %d cafés',
+            espresso: 'he anotado tu expreso',
+            espresso_plural: 'he anotado tus %d expresos',
+            lungo: 'he anotado tu lungo',
+            lungo_plural: 'he anotado tus %d lungos',
+            cappuccino: 'he anotado tu capuchino',
+            cappuccino_plural: 'he anotado tus %d capuchinos',
+            latte: 'he anotado tu café con leche',
+            latte_plural: 'he anotado tus %d cafés con leche',
+            americano: 'he anotado tu americano',
+            americano_plural: 'he anotado tus %d americanos',
+        },
+        COFFEES_RECORDED_MESSAGE: '%s. Tu contador de cafés está ahora en %d.',
+        PERSON_RECORDED_MESSAGE: '%s, %s. Llevas %s. El contador de la cafetera está ahora en %d.',
+        RECORD_ERROR_MESSAGE: 'Lo siento, no he podido anotar tu café. Inténtalo de nuevo.',
+        COFFEE_AMOUNT_INVALID_MESSAGE: 'Lo siento, solo puedo anotar entre 1 y %d cafés a la vez. ¿Cuántos cafés has hecho?',
+        COUNT_MESSAGE: 'Has hecho %s.',
+        CLEANING_REACHED_MESSAGE: 'Acabas de llegar a %d café desde la última limpieza. Limpia tu cafetera lo antes posible.',
+        CLEANING_REACHED_MESSAGE_plural: 'Acabas de llegar a %d cafés desde la última limpieza. Limpia tu cafetera lo antes posible.',
+        CLEANING_DUE_MESSAGE: 'Limpia tu cafetera lo antes posible.',
+        COFFEES_LEFT_MESSAGE: 'Queda %d café para la limpieza.',
+        COFFEES_LEFT_MESSAGE_plural: 'Quedan %d cafés para la limpieza.',
+        ALSO_DUE_MESSAGE: 'También toca: %s.',
+        CLEANED_MESSAGE: 'Has limpiado la cafetera en el café número %d.',
+        MAINTENANCE_RECORDED_MESSAGE: 'Entendido, he anotado %s en el café número %d.',
+        CONFIRM_CLEANING_MESSAGE: 'Llevas %s desde la última limpieza. ¿Marco la cafetera como limpia?',
+        CONFIRM_TASK_MESSAGE: 'Han pasado %s desde que anotaste %s. ¿Lo anoto ahora?',
+        CONFIRM_TASK_TODAY_MESSAGE: 'Ya has anotado %s hoy. ¿Lo anoto otra vez?',
+        CONFIRM_NEW_TASK_MESSAGE: '¿Anoto %s ahora?',
+        MAINTENANCE_NOT_RECORDED_MESSAGE: 'Vale, no he anotado nada.',
+        MAINTENANCE_WHICH_TASK_MESSAGE: 'Vale, no he anotado la limpieza. Si has hecho otra tarea, ¿cuál ha sido?',
+        MAINTENANCE_WHICH_TASK_REPROMPT: '¿Qué tarea has hecho? Puedes decir descalcificación, filtro de agua, sistema de leche o bandeja de goteo.',
+        PERSON_COUNT_MESSAGE: '%s, llevas %s.',
+        PERSON_UNKNOWN_MESSAGE: 'No reconozco tu voz, así que no puedo distinguir tus cafés. Puedes crear un perfil de voz en la aplicación de Alexa. La cafetera ha hecho %d café.',
+        PERSON_UNKNOWN_MESSAGE_plural: 'No reconozco tu voz, así que no puedo distinguir tus cafés. Puedes crear un perfil de voz en la aplicación de Alexa. La cafetera ha hecho %d cafés.',
+        LAST_MAINTENANCE_MESSAGE: 'La última vez que anotaste %s fue el %s, en el café número %d.',
+        LAST_MAINTENANCE_UNDATED_MESSAGE: 'La última vez que anotaste %s fue en el café número %d, antes de que guardara las fechas.',
+        NO_MAINTENANCE_MESSAGE: 'Todavía no tengo ningún registro de %s.',
+        MAINTENANCE_DUE_NOW_MESSAGE: 'Ya toca %s.',
+        MAINTENANCE_DUE_ON_MESSAGE: 'Según el calendario, %s tocará %s.',
+        MAINTENANCE_DUE_AROUND_MESSAGE: 'A tu ritmo actual, %s tocará probablemente %s.',
+        MAINTENANCE_ESTIMATE_TOO_EARLY_MESSAGE: 'Necesito unos días más de cafés para estimar cuándo tocará %s. Por ahora, toca dentro de %s.',
+        MAINTENANCE_ESTIMATE_NO_COFFEES_MESSAGE: 'No has hecho cafés últimamente, así que no sé cuándo tocará %s. Toca dentro de %s.',
+        LATER_TODAY: 'hoy más tarde',
+        TOMORROW: 'mañana',
+        ON_DAY: 'el %s',
+        WEEKDAYS: ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'],
+        DAYS_SINCE_MAINTENANCE_MESSAGE: 'Ha pasado %d día desde %s.',
+        DAYS_SINCE_MAINTENANCE_MESSAGE_plural: 'Han pasado %d días desde %s.',
+        MAINTENANCE_TODAY_MESSAGE: 'Has anotado %s hoy.',
+        COFFEES_SINCE_MESSAGE: 'Has hecho %s desde el %s.',
+        COFFEES_SINCE_INCOMPLETE_MESSAGE: 'Solo guardo el historial desde el %s. Desde entonces has hecho %s.',
+        COFFEES_SINCE_INVALID_MESSAGE: '¿Desde cuándo? Puedes decir desde el lunes o desde la semana pasada.',
+        REMINDER_OFFER_MESSAGE: '¿Quieres que te recuerde mañana a las 8 que la limpies?',
+        REMINDER_TEXT: 'Es hora de limpiar tu cafetera.',
+        REMINDER_CREATED_MESSAGE: 'Vale, mañana a las 8 te recordaré que limpies la cafetera.',
+        REMINDER_DECLINED_MESSAGE: 'Vale, sin recordatorio.',
+        REMINDER_PERMISSION_MESSAGE: 'Para crear recordatorios necesito tu permiso. Te he enviado una tarjeta a la aplicación de Alexa donde puedes darlo. Después, vuelve a pedírmelo.',
+        REMINDER_ERROR_MESSAGE: 'Lo siento, no he podido crear el recordatorio. Inténtalo más tarde.',
+        REMINDER_CANCELLED_MESSAGE: 'También he cancelado tu recordatorio de limpieza.',
+        DASHBOARD_MACHINE: 'Cafetera %s',
+        DASHBOARD_COUNT: '%d café',
+        DASHBOARD_COUNT_plural: '%d cafés',
+        DASHBOARD_CLEANING: '%d de %d cafés desde la última limpieza',
+        DASHBOARD_TASK_NAMES: {
+            cleaning: 'Limpieza',
+            descale: 'Descalcificación',
+            filter: 'Filtro de agua',
+            milk: 'Sistema de leche',
+            dripTray: 'Bandeja de goteo',
+            milkClean: 'Limpieza del sistema de leche',
+        },
+        DASHBOARD_TASK_DUE: 'Toca ahora',
+        DASHBOARD_TASK_COFFEES: 'En %d café',
+        DASHBOARD_TASK_COFFEES_plural: 'En %d cafés',
+        DASHBOARD_TASK_DAYS: 'En %d día',
+        DASHBOARD_TASK_DAYS_plural: 'En %d días',
+        DASHBOARD_TASK_UNKNOWN: 'Sin registrar',
+        DASHBOARD_MAKE_COFFEE: 'Hacer café',
+        DASHBOARD_MARK_CLEANED: 'Marcar como limpia',
+        NOTHING_TO_UNDO_MESSAGE: 'No hay nada que deshacer.',
+        UNDO_COFFEE_MESSAGE: 'Hecho. He quitado %d de tu contador de cafés, que ahora está en %d.',
+        UNDO_MAINTENANCE_MESSAGE: 'Hecho. He borrado el último registro de %s.',
+        UNDO_CORRECTION_MESSAGE: 'Hecho. Tu contador de cafés vuelve a estar en %d.',
+        UNDO_SUPPLIES_MESSAGE: 'Hecho. He quitado los %s que añadiste la última vez.',
+        SET_COUNT_MESSAGE: 'Vale, tu contador de cafés está ahora en %d.',
+        SET_COUNT_INVALID_MESSAGE: 'Lo siento, no he entendido el número. ¿En cuánto pongo tu contador de cafés?',
+        TASK_NAMES: {
+            cleaning: 'la limpieza',
+            descale: 'la descalcificación',
+            filter: 'el cambio del filtro de agua',
+            milk: 'el enjuague del sistema de leche',
+            dripTray: 'vaciar la bandeja de goteo',
+            milkClean: 'la limpieza del sistema de leche',
+        },
+        MACHINE_TYPE_NAMES: {
+            capsule: 'cafetera de cápsulas',
+            beanToCup: 'cafetera superautomática',
+            espresso: 'cafetera expreso',
+        },
+        UNKNOWN_TASK_MESSAGE: 'Lo siento, no conozco esa tarea de mantenimiento. Puedes decir limpieza, descalcificación, filtro de agua, sistema de leche o bandeja de goteo.',
+        UNKNOWN_MACHINE_TYPE_MESSAGE: 'Lo siento, no conozco ese tipo de cafetera. Puedes decir de cápsulas, superautomática o expreso.',
+        INTERVAL_SET_MESSAGE: 'Vale, ahora %s toca cada %s.',
+        INTERVAL_MESSAGE: 'Tu intervalo para %s es cada %s.',
+        INTERVAL_INVALID_COFFEES_MESSAGE: 'Lo siento, el intervalo tiene que estar entre 1 y 1000 cafés. ¿Cuántos cafés quieres?',
+        INTERVAL_INVALID_DAYS_MESSAGE: 'Lo siento, el intervalo tiene que estar entre 1 y 365 días. ¿Cuántos días quieres?',
+        MACHINE_TYPE_MESSAGE: 'Tu cafetera está configurada como %s.',
+        MACHINE_TYPE_SET_MESSAGE: 'Vale, tu cafetera está ahora configurada como %s con sus intervalos de mantenimiento recomendados. La limpieza toca cada %d cafés.',
+        UNKNOWN_DRINK_MESSAGE: 'Lo siento, conozco expreso, lungo, capuchino, café con leche y americano. ¿Qué bebida has hecho?',
+        STATS_PERIOD_NAMES: {
+            day: 'Hoy',
+            week: 'Esta semana',
+            month: 'Este mes',
+        },
+        STATS_PERIOD_MESSAGE: '%s has hecho %s.',
+        STATS_AVERAGE_MESSAGE: 'Eso son %s al día de media.',
+        STATS_OVERVIEW_MESSAGE: 'Hoy has hecho %s, %d esta semana y %d este mes.',
+        STATS_MONTH_AVERAGE_MESSAGE: 'Este mes son %s al día de media.',
+        STATS_BUSIEST_DAY_MESSAGE: 'Tu día con más cafés fue el %s, con %s.',
+        STATS_CAFFEINE_MESSAGE: 'Eso son unos %d miligramos de cafeína.',
+        STATS_CAFFEINE_TODAY_MESSAGE: 'Los cafés de hoy tienen unos %d miligramos de cafeína.',
+        UNKNOWN_PERIOD_MESSAGE: 'Lo siento, tengo estadísticas de hoy, esta semana y este mes. ¿Cuáles quieres?',
+        CAFFEINE_LIMIT_SET_MESSAGE: 'Vale, te avisaré cuando tomes más de %d miligramos de cafeína en un día.',
+        CAFFEINE_LIMIT_REMOVED_MESSAGE: 'Vale, he quitado tu límite diario de cafeína.',
+        CAFFEINE_LIMIT_INVALID_MESSAGE: 'Lo siento, el límite diario de cafeína tiene que ser un número de miligramos hasta %d. ¿Cuál quieres?',
+        CAFFEINE_LIMIT_EXCEEDED_MESSAGE: 'Con eso llevas unos %d miligramos de cafeína hoy, más que tu límite diario de %d.',
+        SUPPLY_NAMES: {
+            beans: 'café en grano',
+            capsules: 'cápsulas',
+            milk: 'leche',
+            descaler: 'descalcificador',
+        },
+        SUPPLY_AMOUNTS: {
+            beans: '%d gramo de café en grano',
+            beans_plural: '%d gramos de café en grano',
+            capsules: '%d cápsula',
+            capsules_plural: '%d cápsulas',
+            milk: '%d mililitro de leche',
+            milk_plural: '%d mililitros de leche',
+            descaler: '%d dosis de descalcificador',
+            descaler_plural: '%d dosis de descalcificador',
+        },
+        UNKNOWN_SUPPLY_MESSAGE: 'Lo siento, puedo llevar la cuenta del café en grano, las cápsulas, la leche y el descalcificador. ¿Cuál quieres decir?',
+        SUPPLY_AMOUNT_INVALID_MESSAGE: 'Lo siento, no he entendido cuánto %s. Por ejemplo, di he comprado una bolsa de 1 kilogramo de café en grano.',
+        SUPPLIES_ADDED_MESSAGE: 'Vale, he añadido %s. Ahora tienes %s.',
+        SUPPLY_STOCK_MESSAGE: 'Te quedan %s.',
+        SUPPLY_NOT_TRACKED_MESSAGE: 'Todavía no sé cuánto %s tienes. Dímelo cuando compres, por ejemplo di he comprado una bolsa de 1 kilogramo de café en grano.',
+        NO_SUPPLIES_MESSAGE: 'Todavía no llevo la cuenta de ningún consumible. Dímelo cuando compres, por ejemplo di añade 50 cápsulas.',
+        SUPPLIES_LOW_MESSAGE: 'Te queda poco, solo %s.',
+        SUPPLIES_RESTOCK_MESSAGE: 'Es hora de comprar %s.',
+        LOW_STOCK_LEVEL_SET_MESSAGE: 'Vale, te avisaré cuando tengas menos de %s.',
+        SUPPLY_USAGE_SET_MESSAGE: 'Vale, ahora cada café usa %s.',
+        CURRENCY: 'EUR',
+        COST_SUPPLY_MESSAGE: 'Lo siento, puedo calcular el coste del café en grano y de las cápsulas. ¿Cuál quieres decir?',
+        COST_INVALID_MESSAGE: 'Lo siento, no he entendido el precio. Por ejemplo, di las cápsulas cuestan 45 céntimos, o el café en grano cuesta 20 euros el kilogramo.',
+        COST_SET_MESSAGE: 'Vale, he anotado el precio de %s. Ahora un café te cuesta %s.',
+        CAFE_PRICE_INVALID_MESSAGE: 'Lo siento, no he entendido el precio. Por ejemplo, di un café en la cafetería cuesta 1 euro 50.',
+        CAFE_PRICE_SET_MESSAGE: 'Vale, un café en la cafetería cuesta %s.',
+        NO_COSTS_MESSAGE: 'Todavía no sé cuánto te cuesta el café. Por ejemplo, di las cápsulas cuestan 45 céntimos, o el café en grano cuesta 20 euros el kilogramo.',
+        NO_CAFE_PRICE_MESSAGE: 'Todavía no sé cuánto cuesta un café en la cafetería. Por ejemplo, di un café en la cafetería cuesta 1 euro 50.',
+        SPENDING_MESSAGE: '%s has gastado %s en %s.',
+        SAVINGS_MESSAGE: '%s tus %s habrían costado %s en la cafetería en lugar de %s. Has ahorrado %s.',
+        NO_SAVINGS_MESSAGE: '%s tus %s habrían costado %s en la cafetería, menos que los %s que has gastado.',
+        MACHINE_PREFIX: 'En la cafetera %s.',
+        UNKNOWN_MACHINE_MESSAGE: 'Todavía no conozco la cafetera %s. Puedes decir añade la cafetera %s.',
+        MACHINE_NAME_MISSING_MESSAGE: '¿Qué cafetera quieres decir? Por ejemplo, di añade la cafetera oficina.',
+        MACHINE_EXISTS_MESSAGE: 'Ya tienes una cafetera %s.',
+        MACHINE_ADDED_MESSAGE: 'Vale, he añadido la cafetera %s. Para contar un café en ella, di haz un café en la cafetera %s.',
+        DEFAULT_MACHINE_SET_MESSAGE: 'Vale, ahora los cafés se cuentan en la cafetera %s si no nombras otra.',
+        ONE_MACHINE_MESSAGE: 'Tienes una cafetera, la cafetera %s.',
+        MACHINES_MESSAGE: 'Tus cafeteras son %s. Los cafés se cuentan en la cafetera %s si no nombras otra.',
+        EXPORT_SENT_MESSAGE: 'Te he enviado un resumen de tus datos de café a la aplicación de Alexa.',
+        EXPORT_NO_DATA_MESSAGE: 'Todavía no has anotado nada, así que no hay nada que enviar.',
+        EXPORT_CARD_TITLE: 'Tus datos de café',
+        EXPORT_CARD_MACHINE: 'Cafetera %s: %s en total, %s en los últimos 30 días.',
+        EXPORT_CARD_DRINKS: 'Bebidas: %s.',
+        EXPORT_CARD_TASK: '%s: última vez el %s.',
+        DELETE_DATA_CONFIRM_MESSAGE: 'Esto borra todos tus contadores de cafés, mantenimientos, historial y ajustes, de cada cafetera y perfil de voz, y no se puede deshacer. ¿Borro tus datos?',
+        DATA_DELETED_MESSAGE: 'Vale, he borrado todos tus datos. ¡Hasta luego!',
+        DATA_KEPT_MESSAGE: 'Vale, conservo tus datos.',
+    },
+};
@@ -0,0 +1,231 @@
+/**
+ * French speech
+ **/
+'use strict';
+
+module.exports = {
+    translation: {
+        SKILL_NAME: 'Machine à café',
+        WELCOME_MESSAGE: 'Bienvenue dans votre machine à café. Vous pouvez dire fais un café, j\'ai nettoyé la machine ou combien de cafés',
+        WELCOME_PERSON_MESSAGE: 'Bienvenue %s. Vous pouvez dire fais un café, j\'ai nettoyé la machine ou combien de cafés',
+        HELP_MESSAGE: 'Je compte les cafés que vous faites et je vous dis quand votre machine a besoin d\'entretien. Vous pouvez dire fais un cappuccino, j\'ai nettoyé la machine, combien de cafés, quand dois-je nettoyer ou j\'ai acheté un kilo de grains. Que voulez-vous faire ?',
+        HELP_REPROMPT: 'Comment puis-je vous aider ?',
+        FALLBACK_MESSAGE: 'Désolé, la machine à café ne peut pas vous aider avec ça. Vous pouvez dire fais un café, combien de cafés ou j\'ai nettoyé la machine. Que voulez-vous faire ?',
+        FALLBACK_REPROMPT: 'Comment puis-je vous aider ?',
+        STOP_MESSAGE: 'Au revoir !',
+        ERROR_MESSAGE: 'Désolé, une erreur s\'est produite.',
+        AND: 'et',
+        DRINK_COUNT: {
+            coffee: '%d café',
+            coffee_plural: '%d cafés',
+            espresso: '%d espresso',
+            espresso_plural: '%d espressos',
+            lungo: '%d lungo',
+            lungo_plural: '%d lungos',
+            cappuccino: '%d cappuccino',
+            cappuccino_plural: '%d cappuccinos',
+            latte: '%d latte',
+            latte_plural: '%d lattes',
+            americano: '%d café allongé',
+            americano_plural: '%d cafés allongés',
+        },
+        DAY_COUNT: '%d jour',
+        DAY_COUNT_plural: '%d jours',
+        RECORDED_DRINKS: {
+            coffee: 'Café enregistré',
+            coffee_plural: '%d cafés enregistrés',
+            espresso: 'Espresso enregistré',
+            espresso_plural: '%d espressos enregistrés',
+            lungo: 'Lungo enregistré',
+            lungo_plural: '%d lungos enregistrés',
+            cappuccino: 'Cappuccino enregistré',
+            cappuccino_plural: '%d cappuccinos enregistrés',
+            latte: 'Latte enregistré',
+            latte_plural: '%d lattes enregistrés',
+            americano: 'Café allongé enregistré',
+            americano_plural: '%d cafés allongés enregistrés',
+        },
+        PERSON_RECORDED_DRINKS: {
+            coffee: 'votre café est enregistré',
+            coffee_plural: 'vos %d cafés sont enregistrés',
+            espresso: 'votre espresso est enregistré',
+            espresso_plural: 'vos %d espressos sont enregistrés',
+            lungo: 'votre lungo est enregistré',
+            lungo_plural: 'vos %d lungos sont enregistrés',
+            cappuccino: 'votre cappuccino est enregistré',
+            cappuccino_plural: 'vos %d cappuccinos sont enregistrés',
+            latte: 'votre latte est enregistré',
+            latte_plural: 'vos %d lattes sont enregistrés',
+            americano: 'votre café allongé est enregistré',
+            americano_plural: 'vos %d cafés allongés sont enregistrés',
+        },
+        COFFEES_RECORDED_MESSAGE: '%s. Votre compteur de cafés est maintenant à %d.',
+        PERSON_RECORDED_MESSAGE: '%s, %s. Vous avez pris %s. Le compteur de la machine est maintenant à %d.',
+        RECORD_ERROR_MESSAGE: 'Désolé, je n\'ai pas pu enregistrer votre café. Veuillez réessayer.',
+        COFFEE_AMOUNT_INVALID_MESSAGE: 'Désolé, je ne peux enregistrer qu\'entre 1 et %d cafés à la fois. Combien de cafés avez-vous faits ?',
+        COUNT_MESSAGE: 'Vous avez fait %s.',
+        CLEANING_REACHED_MESSAGE: 'Vous venez d\'atteindre %d café depuis le dernier nettoyage. Veuillez nettoyer votre machine dès que possible.',
+        CLEANING_REACHED_MESSAGE_plural: 'Vous venez d\'atteindre %d cafés depuis le dernier nettoyage. Veuillez nettoyer votre machine dès que possible.',
+        CLEANING_DUE_MESSAGE: 'Veuillez nettoyer votre machine dès que possible.',
+        COFFEES_LEFT_MESSAGE: 'Encore %d café avant le nettoyage.',
+        COFFEES_LEFT_MESSAGE_plural: 'Encore %d cafés avant le nettoyage.',
+        ALSO_DUE_MESSAGE: 'Également à faire : %s.',
+        CLEANED_MESSAGE: 'Vous avez nettoyé la machine au café numéro %d.',
+        MAINTENANCE_RECORDED_MESSAGE: 'C\'est noté, j\'ai enregistré %s au café numéro %d.',
+        CONFIRM_CLEANING_MESSAGE: 'Vous en êtes à %s depuis le dernier nettoyage. Dois-je marquer la machine comme nettoyée ?',
+        CONFIRM_TASK_MESSAGE: 'Cela fait %s depuis le dernier enregistrement pour %s. Dois-je l\'enregistrer maintenant ?',
+        CONFIRM_TASK_TODAY_MESSAGE: 'Vous avez déjà enregistré %s aujourd\'hui. Dois-je l\'enregistrer à nouveau ?',
+        CONFIRM_NEW_TASK_MESSAGE: 'Dois-je enregistrer %s maintenant ?',
+        MAINTENANCE_NOT_RECORDED_MESSAGE: 'D\'accord, je n\'ai rien enregistré.',
+        MAINTENANCE_WHICH_TASK_MESSAGE: 'D\'accord, je n\'ai pas enregistré de nettoyage. Si vous avez fait un autre entretien, lequel était-ce ?',
+        MAINTENANCE_WHICH_TASK_REPROMPT: 'Quel entretien avez-vous fait ? Vous pouvez dire détartrage, filtre à eau, circuit de lait ou bac d\'égouttage.',
+        PERSON_COUNT_MESSAGE: '%s, vous avez pris %s.',
+        PERSON_UNKNOWN_MESSAGE: 'Je ne reconnais pas votre voix, je ne peux donc pas distinguer vos cafés. Vous pouvez créer un profil vocal dans l\'application Alexa. La machine a fait %d café.',
+        PERSON_UNKNOWN_MESSAGE_plural: 'Je ne reconnais pas votre voix, je ne peux donc pas distinguer vos cafés. Vous pouvez créer un profil vocal dans l\'application Alexa. La machine a fait %d cafés.',
+        LAST_MAINTENANCE_MESSAGE: 'Vous avez enregistré %s pour la dernière fois le %s, au café numéro %d.',
+        LAST_MAINTENANCE_UNDATED_MESSAGE: 'Vous avez enregistré %s pour la dernière fois au café numéro %d, avant que je note les dates.',
+        NO_MAINTENANCE_MESSAGE: 'Je n\'ai encore rien enregistré pour %s.',
+        MAINTENANCE_DUE_NOW_MESSAGE: 'Il est temps de faire %s.',
+        MAINTENANCE_DUE_ON_MESSAGE: 'D\'après le calendrier, %s sera à faire %s.',
+        MAINTENANCE_DUE_AROUND_MESSAGE: 'À votre rythme actuel, %s sera probablement à faire %s.',
+        MAINTENANCE_ESTIMATE_TOO_EARLY_MESSAGE: 'Il me faut encore quelques jours de cafés pour estimer quand %s sera à faire. Pour l\'instant, ce sera dans %s.',
+        MAINTENANCE_ESTIMATE_NO_COFFEES_MESSAGE: 'Vous n\'avez pas fait de café ces derniers temps, je ne peux donc pas dire quand %s sera à faire. Ce sera dans %s.',
+        LATER_TODAY: 'plus tard aujourd\'hui',
+        TOMORROW: 'demain',
+        ON_DAY: '%s',
+        WEEKDAYS: ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'],
+        DAYS_SINCE_MAINTENANCE_MESSAGE: 'Cela fait %d jour depuis %s.',
+        DAYS_SINCE_MAINTENANCE_MESSAGE_plural: 'Cela fait %d jours depuis %s.',
+        MAINTENANCE_TODAY_MESSAGE: 'Vous avez enregistré %s aujourd\'hui.',
+        COFFEES_SINCE_MESSAGE: 'Vous avez fait %s depuis %s.',
+        COFFEES_SINCE_INCOMPLETE_MESSAGE: 'Mon historique ne remonte qu\'au %s. Depuis, vous avez fait %s.',
+        COFFEES_SINCE_INVALID_MESSAGE: 'Depuis quand ? Vous pouvez dire depuis lundi ou depuis la semaine dernière.',
+        REMINDER_OFFER_MESSAGE: 'Voulez-vous que je vous rappelle de la nettoyer demain à 8 heures ?',
+        REMINDER_TEXT: 'Il est temps de nettoyer votre machine à café.',
+        REMINDER_CREATED_MESSAGE: 'D\'accord, je vous rappellerai demain à 8 heures de nettoyer la machine.',
+        REMINDER_DECLINED_MESSAGE: 'D\'accord, pas de rappel.',
+        REMINDER_PERMISSION_MESSAGE: 'Pour créer des rappels, j\'ai besoin de votre autorisation. Je vous ai envoyé une carte dans l\'application Alexa pour l\'accorder, puis redemandez-moi.',
+        REMINDER_ERROR_MESSAGE: 'Désolé, je n\'ai pas pu créer le rappel. Veuillez réessayer plus tard.',
+        REMINDER_CANCELLED_MESSAGE: 'J\'ai aussi annulé votre rappel de nettoyage.',
+        DASHBOARD_MACHINE: 'Machine %s',
+        DASHBOARD_COUNT: '%d café',
+        DASHBOARD_COUNT_plural: '%d cafés',
+        DASHBOARD_CLEANING: '%d cafés sur %d depuis le dernier nettoyage',
+        DASHBOARD_TASK_NAMES: {
+            cleaning: 'Nettoyage',
+            descale: 'Détartrage',
+            filter: 'Filtre à eau',
+            milk: 'Circuit de lait',
+            dripTray: 'Bac d\'égouttage',
+            milkClean: 'Nettoyage du circuit de lait',
+        },
+        DASHBOARD_TASK_DUE: 'À faire',
+        DASHBOARD_TASK_COFFEES: 'Dans %d café',
+        DASHBOARD_TASK_COFFEES_plural: 'Dans %d cafés',
+        DASHBOARD_TASK_DAYS: 'Dans %d jour',
+        DASHBOARD_TASK_DAYS_plural: 'Dans %d jours',
+        DASHBOARD_TASK_UNKNOWN: 'Pas encore enregistré',
+        DASHBOARD_MAKE_COFFEE: 'Faire un café',
+        DASHBOARD_MARK_CLEANED: 'Marquer nettoyée',
+        NOTHING_TO_UNDO_MESSAGE: 'Il n\'y a rien à annuler.',
+        UNDO_COFFEE_MESSAGE: 'C\'est annulé. J\'ai retiré %d de votre compteur de cafés, qui est maintenant à %d.',
+        UNDO_MAINTENANCE_MESSAGE: 'C\'est annulé. J\'ai supprimé le dernier enregistrement pour %s.',
+        UNDO_CORRECTION_MESSAGE: 'C\'est annulé. Votre compteur de cafés est revenu à %d.',
+        UNDO_SUPPLIES_MESSAGE: 'C\'est annulé. J\'ai retiré les %s que vous venez d\'ajouter.',
+        SET_COUNT_MESSAGE: 'D\'accord, votre compteur de cafés est maintenant à %d.',
+        SET_COUNT_INVALID_MESSAGE: 'Désolé, je n\'ai pas compris le nombre. À combien dois-je mettre votre compteur de cafés ?',
+        TASK_NAMES: {
+            cleaning: 'le nettoyage',
+            descale: 'le détartrage',
+            filter: 'le changement du filtre à eau',
+            milk: 'le rinçage du circuit de lait',
+            dripTray: 'le vidage du bac d\'égouttage',
+            milkClean: 'le nettoyage du circuit de lait',
+        },
+        MACHINE_TYPE_NAMES: {
+            capsule: 'machine à capsules',
+            beanToCup: 'machine à grains',
+            espresso: 'machine à expresso',
+        },
+        UNKNOWN_TASK_MESSAGE: 'Désolé, je ne connais pas cet entretien. Vous pouvez dire nettoyage, détartrage, filtre à eau, circuit de lait ou bac d\'égouttage.',
+        UNKNOWN_MACHINE_TYPE_MESSAGE: 'Désolé, je ne connais pas ce type de machine. Vous pouvez dire machine à capsules, machine à grains ou machine à expresso.',
+        INTERVAL_SET_MESSAGE: 'D\'accord, %s est maintenant à faire tous les %s.',
+        INTERVAL_MESSAGE: 'Votre intervalle pour %s est de %s.',
+        INTERVAL_INVALID_COFFEES_MESSAGE: 'Désolé, l\'intervalle doit être compris entre 1 et 1000 cafés. Combien de cafés voulez-vous ?',
+        INTERVAL_INVALID_DAYS_MESSAGE: 'Désolé, l\'intervalle doit être compris entre 1 et 365 jours. Combien de jours voulez-vous ?',
+        MACHINE_TYPE_MESSAGE: 'Votre machine est configurée comme %s.',
+        MACHINE_TYPE_SET_MESSAGE: 'D\'accord, votre machine est maintenant configurée comme %s avec les intervalles d\'entretien recommandés. Le nettoyage est à faire tous les %d cafés.',
+        UNKNOWN_DRINK_MESSAGE: 'Désolé, je connais espresso, lungo, cappuccino, latte et café allongé. Quelle boisson avez-vous faite ?',
+        STATS_PERIOD_NAMES: {
+            day: 'Aujourd\'hui',
+            week: 'Cette semaine',
+            month: 'Ce mois-ci',
+        },
+        STATS_PERIOD_MESSAGE: '%s, vous avez fait %s.',
+        STATS_AVERAGE_MESSAGE: 'Cela fait %s par jour en moyenne.',
+        STATS_OVERVIEW_MESSAGE: 'Aujourd\'hui, vous avez fait %s, %d cette semaine et %d ce mois-ci.',
+        STATS_MONTH_AVERAGE_MESSAGE: 'Ce mois-ci, cela fait %s par jour en moyenne.',
+        STATS_BUSIEST_DAY_MESSAGE: 'Votre plus grosse journée était le %s avec %s.',
+        STATS_CAFFEINE_MESSAGE: 'Cela représente environ %d milligrammes de caféine.',
+        STATS_CAFFEINE_TODAY_MESSAGE: 'Les cafés d\'aujourd\'hui contiennent environ %d milligrammes de caféine.',
+        UNKNOWN_PERIOD_MESSAGE: 'Désolé, j\'ai des statistiques pour aujourd\'hui, cette semaine et ce mois-ci. Lesquelles voulez-vous ?',
+        CAFFEINE_LIMIT_SET_MESSAGE: 'D\'accord, je vous préviendrai quand vous dépasserez %d milligrammes de caféine dans la journée.',
+        CAFFEINE_LIMIT_REMOVED_MESSAGE: 'D\'accord, j\'ai supprimé votre limite quotidienne de caféine.',
+        CAFFEINE_LIMIT_INVALID_MESSAGE: 'Désolé, la limite quotidienne de caféine doit être un nombre de milligrammes jusqu\'à %d. Quelle limite voulez-vous ?',
+        CAFFEINE_LIMIT_EXCEEDED_MESSAGE: 'Cela fait environ %d milligrammes de caféine aujourd\'hui, plus que votre limite quotidienne de %d.',
+        SUPPLY_NAMES: {
+            beans: 'grains de café',
+            capsules: 'capsules',
+            milk: 'lait',
+            descaler: 'détartrant',
+        },
+        SUPPLY_AMOUNTS: {
+            beans: '%d gramme de grains de café',
+            beans_plural: '%d grammes de grains de café',
+            capsules: '%d capsule',
+            capsules_plural: '%d capsules',
+            milk: '%d millilitre de lait',
+            milk_plural: '%d millilitres de lait',
+            descaler: '%d dose de détartrant',
+            descaler_plural: '%d doses de détartrant',
+        },
+        UNKNOWN_SUPPLY_MESSAGE: 'Désolé, je peux suivre les grains de café, les capsules, le lait et le détartrant. Duquel parlez-vous ?',
+        SUPPLY_AMOUNT_INVALID_MESSAGE: 'Désolé, je n\'ai pas compris la quantité de %s. Par exemple, dites j\'ai acheté un paquet de 1 kilogramme de grains.',
+        SUPPLIES_ADDED_MESSAGE: 'D\'accord, j\'ai ajouté %s. Vous avez maintenant %s.',
+        SUPPLY_STOCK_MESSAGE: 'Il vous reste %s.',
+        SUPPLY_NOT_TRACKED_MESSAGE: 'Je ne sais pas encore combien de %s vous avez. Dites-le-moi quand vous en achetez, par exemple j\'ai acheté un paquet de 1 kilogramme de grains.',
+        NO_SUPPLIES_MESSAGE: 'Je ne suis encore aucune fourniture. Dites-le-moi quand vous en achetez, par exemple ajoute 50 capsules.',
+        SUPPLIES_LOW_MESSAGE: 'Votre stock baisse, il ne reste que %s.',
+        SUPPLIES_RESTOCK_MESSAGE: 'Pensez à racheter : %s.',
+        LOW_STOCK_LEVEL_SET_MESSAGE: 'D\'accord, je vous préviendrai quand vous aurez moins de %s.',
+        SUPPLY_USAGE_SET_MESSAGE: 'D\'accord, chaque café utilise maintenant %s.',
+        CURRENCY: 'EUR',
+        COST_SUPPLY_MESSAGE: 'Désolé, je peux calculer le coût des grains de café et des capsules. Duquel parlez-vous ?',
+        COST_INVALID_MESSAGE: 'Désolé, je n\'ai pas compris le prix. Par exemple, dites les capsules coûtent 45 centimes, ou les grains de café coûtent 20 euros le kilogramme.',
+        COST_SET_MESSAGE: 'D\'accord, j\'ai noté le prix des %s. Un café vous coûte maintenant %s.',
+        CAFE_PRICE_INVALID_MESSAGE: 'Désolé, je n\'ai pas compris le prix. Par exemple, dites un café au bistrot coûte 2 euros 50.',
+        CAFE_PRICE_SET_MESSAGE: 'D\'accord, un café au bistrot coûte %s.',
+        NO_COSTS_MESSAGE: 'Je ne sais pas encore ce que vous coûte votre café. Par exemple, dites les capsules coûtent 45 centimes, ou les grains de café coûtent 20 euros le kilogramme.',
+        NO_CAFE_PRICE_MESSAGE: 'Je ne sais pas encore combien coûte un café au bistrot. Par exemple, dites un café au bistrot coûte 2 euros 50.',
+        SPENDING_MESSAGE: '%s, vous avez dépensé %s pour %s.',
+        SAVINGS_MESSAGE: '%s, vos %s auraient coûté %s au bistrot au lieu de %s. Vous avez économisé %s.',
+        NO_SAVINGS_MESSAGE: '%s, vos %s auraient coûté %s au bistrot, moins que les %s que vous avez dépensés.',
+        MACHINE_PREFIX: 'Sur la machine %s.',
+        UNKNOWN_MACHINE_MESSAGE: 'Je ne connais pas encore la machine %s. Vous pouvez dire ajoute la machine %s.',
+        MACHINE_NAME_MISSING_MESSAGE: 'De quelle machine parlez-vous ? Par exemple, dites ajoute la machine bureau.',
+        MACHINE_EXISTS_MESSAGE: 'Vous avez déjà une machine %s.',
+        MACHINE_ADDED_MESSAGE: 'D\'accord, j\'ai ajouté la machine %s. Pour y compter un café, dites fais un café sur la machine %s.',
+        DEFAULT_MACHINE_SET_MESSAGE: 'D\'accord, les cafés sont maintenant comptés sur la machine %s, sauf si vous en nommez une autre.',
+        ONE_MACHINE_MESSAGE: 'Vous avez une machine, la machine %s.',
+        MACHINES_MESSAGE: 'Vos machines sont %s. Les cafés sont comptés sur la machine %s, sauf si vous en nommez une autre.',
+        EXPORT_SENT_MESSAGE: 'J\'ai envoyé un résumé de vos données de café dans l\'application Alexa.',
+        EXPORT_NO_DATA_MESSAGE: 'Vous n\'avez encore rien enregistré, il n\'y a donc rien à envoyer.',
+        EXPORT_CARD_TITLE: 'Vos données de café',
+        EXPORT_CARD_MACHINE: 'Machine %s : %s au total, %s ces 30 derniers jours.',
+        EXPORT_CARD_DRINKS: 'Boissons : %s.',
+        EXPORT_CARD_TASK: '%s : dernière fois le %s.',
+        DELETE_DATA_CONFIRM_MESSAGE: 'Cela supprime tous vos compteurs de cafés, entretiens, historique et réglages, pour chaque machine et chaque profil vocal, et ne peut pas être annulé. Dois-je supprimer vos données ?',
+        DATA_DELETED_MESSAGE: 'D\'accord, j\'ai supprimé toutes vos données. Au revoir !',
+        DATA_KEPT_MESSAGE: 'D\'accord, je garde vos données.',
+    },
+};
@@ -0,0 +1,231 @@
+/**
+ * Italian speech
+ **/
+'use strict';
+
+module.exports = {
+    translation: {
+        SKILL_NAME: 'Macchina del caffè',
+        WELCOME_MESSAGE: 'Benvenuto nella tua macchina del caffè. Puoi dire fai un caffè, ho pulito la macchina o quanti caffè',
+        WELCOME_PERSON_MESSAGE: 'Benvenuto %s. Puoi dire fai un caffè, ho pulito la macchina o quanti caffè',
+        HELP_MESSAGE: 'Conto i caffè che fai e ti dico quando la macchina ha bisogno di manutenzione. Puoi dire fai un cappuccino, ho pulito la macchina, quanti caffè, quando va pulita o ho comprato un chilo di caffè in grani. Cosa vuoi fare?',
+        HELP_REPROMPT: 'Come posso aiutarti?',
+        FALLBACK_MESSAGE: 'Mi dispiace, la macchina del caffè non può aiutarti con questo. Puoi dire fai un caffè, quanti caffè o ho pulito la macchina. Cosa vuoi fare?',
+        FALLBACK_REPROMPT: 'Come posso aiutarti?',
+        STOP_MESSAGE: 'Ciao!',
+        ERROR_MESSAGE: 'Mi dispiace, si è verificato un errore.',
+        AND: 'e',
+        DRINK_COUNT: {
+            coffee: '%d caffè',
+            coffee_plural: '%d caffè',
+            espresso: '%d espresso',
+            espresso_plural: '%d espressi',
+            lungo: '%d caffè lungo',
+            lungo_plural: '%d caffè lunghi',
+            cappuccino: '%d cappuccino',
+            cappuccino_plural: '%d cappuccini',
+            latte: '%d latte macchiato',
+            latte_plural: '%d latte macchiati',
+            americano: '%d caffè americano',
+            americano_plural: '%d caffè americani',
+        },
+        DAY_COUNT: '%d giorno',
+        DAY_COUNT_plural: '%d giorni',
+        RECORDED_DRINKS: {
+            coffee: 'Caffè registrato',
+            coffee_plural: '%d caffè registrati',
+            espresso: 'Espresso registrato',
+            espresso_plural: '%d espressi registrati',
+            lungo: 'Caffè lungo registrato',
+            lungo_plural: '%d caffè lunghi registrati',
+            cappuccino: 'Cappuccino registrato',
+            cappuccino_plural: '%d cappuccini registrati',
+            latte: 'Latte macchiato registrato',
+            latte_plural: '%d latte macchiati registrati',
+            americano: 'Caffè americano registrato',
+            americano_plural: '%d caffè americani registrati',
+        },
+        PERSON_RECORDED_DRINKS: {
+            coffee: 'il tuo caffè è registrato',
+            coffee_plural: 'i tuoi %d caffè sono registrati',
+            espresso: 'il tuo espresso è registrato',
+            espresso_plural: 'i tuoi %d espressi sono registrati',
+            lungo: 'il tuo caffè lungo è registrato',
+            lungo_plural: 'i tuoi %d caffè lunghi sono registrati',
+            cappuccino: 'il tuo cappuccino è registrato',
+            cappuccino_plural: 'i tuoi %d cappuccini sono registrati',
+            latte: 'il tuo latte macchiato è registrato',
+            latte_plural: 'i tuoi %d latte macchiati sono registrati',
+            americano: 'il tuo caffè americano è registrato',
+            americano_plural: 'i tuoi %d caffè americani sono registrati',
+        },
+        COFFEES_RECORDED_MESSAGE: '%s. Il tuo contatore dei caffè ora è a %d.',
+        PERSON_RECORDED_MESSAGE: '%s, %s. Hai bevuto %s. Il contatore della macchina ora è a %d.',
+        RECORD_ERROR_MESSAGE: 'Mi dispiace, non sono riuscita a registrare il tuo caffè. Riprova.',
+        COFFEE_AMOUNT_INVALID_MESSAGE: 'Mi dispiace, posso registrare solo da 1 a %d caffè alla volta. Quanti caffè hai fatto?',
+        COUNT_MESSAGE: 'Hai fatto %s.',
+        CLEANING_REACHED_MESSAGE: 'Hai appena raggiunto %d caffè dall\'ultima pulizia. Pulisci la macchina il prima possibile.',
+        CLEANING_REACHED_MESSAGE_plural: 'Hai appena raggiunto %d caffè dall\'ultima pulizia. Pulisci la macchina il prima possibile.',
+        CLEANING_DUE_MESSAGE: 'Pulisci la macchina il prima possibile.',
+        COFFEES_LEFT_MESSAGE: 'Manca %d caffè alla pulizia.',
+        COFFEES_LEFT_MESSAGE_plural: 'Mancano %d caffè alla pulizia.',
+        ALSO_DUE_MESSAGE: 'Da fare anche: %s.',
+        CLEANED_MESSAGE: 'Hai pulito la macchina al caffè numero %d.',
+        MAINTENANCE_RECORDED_MESSAGE: 'Va bene, ho registrato %s al caffè numero %d.',
+        CONFIRM_CLEANING_MESSAGE: 'Sei a %s dall\'ultima pulizia. Segno la macchina come pulita?',
+        CONFIRM_TASK_MESSAGE: 'Sono passati %s da quando hai registrato %s. Lo registro ora?',
+        CONFIRM_TASK_TODAY_MESSAGE: 'Hai già registrato %s oggi. Lo registro di nuovo?',
+        CONFIRM_NEW_TASK_MESSAGE: 'Registro %s ora?',
+        MAINTENANCE_NOT_RECORDED_MESSAGE: 'Va bene, non ho registrato niente.',
+        MAINTENANCE_WHICH_TASK_MESSAGE: 'Va bene, non ho registrato la pulizia. Se hai fatto un\'altra manutenzione, quale era?',
+        MAINTENANCE_WHICH_TASK_REPROMPT: 'Che manutenzione hai fatto? Puoi dire decalcificazione, filtro dell\'acqua, sistema del latte o vaschetta raccogligocce.',
+        PERSON_COUNT_MESSAGE: '%s, hai bevuto %s.',
+        PERSON_UNKNOWN_MESSAGE: 'Non riconosco la tua voce, quindi non posso distinguere i tuoi caffè. Puoi creare un profilo vocale nell\'app Alexa. La macchina ha fatto %d caffè.',
+        PERSON_UNKNOWN_MESSAGE_plural: 'Non riconosco la tua voce, quindi non posso distinguere i tuoi caffè. Puoi creare un profilo vocale nell\'app Alexa. La macchina ha fatto %d caffè.',
+        LAST_MAINTENANCE_MESSAGE: 'L\'ultima volta hai registrato %s il %s, al caffè numero %d.',
+        LAST_MAINTENANCE_UNDATED_MESSAGE: 'L\'ultima volta hai registrato %s al caffè numero %d, prima che tenessi traccia delle date.',
+        NO_MAINTENANCE_MESSAGE: 'Non ho ancora nessuna registrazione per %s.',
+        MAINTENANCE_DUE_NOW_MESSAGE: 'È ora di fare %s.',
+        MAINTENANCE_DUE_ON_MESSAGE: 'Secondo il calendario, %s andrà fatta %s.',
+        MAINTENANCE_DUE_AROUND_MESSAGE: 'Al tuo ritmo attuale, %s andrà fatta probabilmente %s.',
+        MAINTENANCE_ESTIMATE_TOO_EARLY_MESSAGE: 'Mi servono ancora alcuni giorni di caffè per stimare quando andrà fatta %s. Per ora, mancano %s.',
+        MAINTENANCE_ESTIMATE_NO_COFFEES_MESSAGE: 'Ultimamente non hai fatto caffè, quindi non so dire quando andrà fatta %s. Mancano %s.',
+        LATER_TODAY: 'più tardi oggi',
+        TOMORROW: 'domani',
+        ON_DAY: '%s',
+        WEEKDAYS: ['domenica', 'lunedì', 'martedì', 'mercoledì', 'giovedì', 'venerdì', 'sabato'],
+        DAYS_SINCE_MAINTENANCE_MESSAGE: 'È passato %d giorno da %s.',
+        DAYS_SINCE_MAINTENANCE_MESSAGE_plural: 'Sono passati %d giorni da %s.',
+        MAINTENANCE_TODAY_MESSAGE: 'Hai registrato %s oggi.',
+        COFFEES_SINCE_MESSAGE: 'Hai fatto %s dal %s.',
+        COFFEES_SINCE_INCOMPLETE_MESSAGE: 'Conservo la cronologia solo dal %s. Da allora hai fatto %s.',
+        COFFEES_SINCE_INVALID_MESSAGE: 'Da quando? Puoi dire da lunedì o dalla settimana scorsa.',
+        REMINDER_OFFER_MESSAGE: 'Vuoi che ti ricordi domani alle 8 di pulirla?',
+        REMINDER_TEXT: 'È ora di pulire la macchina del caffè.',
+        REMINDER_CREATED_MESSAGE: 'Va bene, domani alle 8 ti ricorderò di pulire la macchina.',
+        REMINDER_DECLINED_MESSAGE: 'Va bene, nessun promemoria.',
+        REMINDER_PERMISSION_MESSAGE: 'Per creare promemoria mi serve il tuo permesso. Ti ho inviato una scheda nell\'app Alexa dove puoi concederlo, poi chiedimelo di nuovo.',
+        REMINDER_ERROR_MESSAGE: 'Mi dispiace, non sono riuscita a creare il promemoria. Riprova più tardi.',
+        REMINDER_CANCELLED_MESSAGE: 'Ho anche annullato il tuo promemoria per la pulizia.',
+        DASHBOARD_MACHINE: 'Macchina %s',
+        DASHBOARD_COUNT: '%d caffè',
+        DASHBOARD_COUNT_plural: '%d caffè',
+        DASHBOARD_CLEANING: '%d di %d caffè dall\'ultima pulizia',
+        DASHBOARD_TASK_NAMES: {
+            cleaning: 'Pulizia',
+            descale: 'Decalcificazione',
+            filter: 'Filtro dell\'acqua',
+            milk: 'Sistema del latte',
+            dripTray: 'Vaschetta raccogligocce',
+            milkClean: 'Pulizia del sistema del latte',
+        },
+        DASHBOARD_TASK_DUE: 'Da fare ora',
+        DASHBOARD_TASK_COFFEES: 'Tra %d caffè',
+        DASHBOARD_TASK_COFFEES_plural: 'Tra %d caffè',
+        DASHBOARD_TASK_DAYS: 'Tra %d giorno',
+        DASHBOARD_TASK_DAYS_plural: 'Tra %d giorni',
+        DASHBOARD_TASK_UNKNOWN: 'Non ancora registrato',
+        DASHBOARD_MAKE_COFFEE: 'Fai un caffè',
+        DASHBOARD_MARK_CLEANED: 'Segna come pulita',
+        NOTHING_TO_UNDO_MESSAGE: 'Non c\'è niente da annullare.',
+        UNDO_COFFEE_MESSAGE: 'Annullato. Ho tolto %d dal tuo contatore dei caffè, che ora è a %d.',
+        UNDO_MAINTENANCE_MESSAGE: 'Annullato. Ho rimosso l\'ultima registrazione per %s.',
+        UNDO_CORRECTION_MESSAGE: 'Annullato. Il tuo contatore dei caffè è tornato a %d.',
+        UNDO_SUPPLIES_MESSAGE: 'Annullato. Ho tolto %s che avevi aggiunto.',
+        SET_COUNT_MESSAGE: 'Va bene, il tuo contatore dei caffè ora è a %d.',
+        SET_COUNT_INVALID_MESSAGE: 'Mi dispiace, non ho capito il numero. A quanto devo mettere il tuo contatore dei caffè?',
+        TASK_NAMES: {
+            cleaning: 'la pulizia',
+            descale: 'la decalcificazione',
+            filter: 'la sostituzione del filtro dell\'acqua',
+            milk: 'la risciacquatura del sistema del latte',
+            dripTray: 'la vuotatura della vaschetta raccogligocce',
+            milkClean: 'la pulizia del sistema del latte',
+        },
+        MACHINE_TYPE_NAMES: {
+            capsule: 'macchina a capsule',
+            beanToCup: 'macchina automatica',
+            espresso: 'macchina espresso',
+        },
+        UNKNOWN_TASK_MESSAGE: 'Mi dispiace, non conosco questa manutenzione. Puoi dire pulizia, decalcificazione, filtro dell\'acqua, sistema del latte o vaschetta raccogligocce.',
+        UNKNOWN_MACHINE_TYPE_MESSAGE: 'Mi dispiace, non conosco questo tipo di macchina. Puoi dire a capsule, automatica o espresso.',
+        INTERVAL_SET_MESSAGE: 'Va bene, ora %s va fatta ogni %s.',
+        INTERVAL_MESSAGE: 'Il tuo intervallo per %s è ogni %s.',
+        INTERVAL_INVALID_COFFEES_MESSAGE: 'Mi dispiace, l\'intervallo deve essere tra 1 e 1000 caffè. Quanti caffè vuoi?',
+        INTERVAL_INVALID_DAYS_MESSAGE: 'Mi dispiace, l\'intervallo deve essere tra 1 e 365 giorni. Quanti giorni vuoi?',
+        MACHINE_TYPE_MESSAGE: 'La tua macchina è impostata come %s.',
+        MACHINE_TYPE_SET_MESSAGE: 'Va bene, la tua macchina ora è impostata come %s con gli intervalli di manutenzione consigliati. La pulizia va fatta ogni %d caffè.',
+        UNKNOWN_DRINK_MESSAGE: 'Mi dispiace, conosco espresso, caffè lungo, cappuccino, latte macchiato e caffè americano. Che bevanda hai fatto?',
+        STATS_PERIOD_NAMES: {
+            day: 'Oggi',
+            week: 'Questa settimana',
+            month: 'Questo mese',
+        },
+        STATS_PERIOD_MESSAGE: '%s hai fatto %s.',
+        STATS_AVERAGE_MESSAGE: 'Sono in media %s al giorno.',
+        STATS_OVERVIEW_MESSAGE: 'Oggi hai fatto %s, %d questa settimana e %d questo mese.',
+        STATS_MONTH_AVERAGE_MESSAGE: 'Questo mese sono in media %s al giorno.',
+        STATS_BUSIEST_DAY_MESSAGE: 'Il tuo giorno più intenso è stato il %s, con %s.',
+        STATS_CAFFEINE_MESSAGE: 'Sono circa %d milligrammi di caffeina.',
+        STATS_CAFFEINE_TODAY_MESSAGE: 'I caffè di oggi hanno circa %d milligrammi di caffeina.',
+        UNKNOWN_PERIOD_MESSAGE: 'Mi dispiace, ho statistiche per oggi, questa settimana e questo mese. Quali vuoi sentire?',
+        CAFFEINE_LIMIT_SET_MESSAGE: 'Va bene, ti avviserò quando superi %d milligrammi di caffeina in un giorno.',
+        CAFFEINE_LIMIT_REMOVED_MESSAGE: 'Va bene, ho rimosso il tuo limite giornaliero di caffeina.',
+        CAFFEINE_LIMIT_INVALID_MESSAGE: 'Mi dispiace, il limite giornaliero di caffeina deve essere un numero di milligrammi fino a %d. Quale vuoi?',
+        CAFFEINE_LIMIT_EXCEEDED_MESSAGE: 'Così oggi hai preso circa %d milligrammi di caffeina, più del tuo limite giornaliero di %d.',
+        SUPPLY_NAMES: {
+            beans: 'caffè in grani',
+            capsules: 'capsule',
+            milk: 'latte',
+            descaler: 'decalcificante',
+        },
+        SUPPLY_AMOUNTS: {
+            beans: '%d grammo di caffè in grani',
+            beans_plural: '%d grammi di caffè in grani',
+            capsules: '%d capsula',
+            capsules_plural: '%d capsule',
+            milk: '%d millilitro di latte',
+            milk_plural: '%d millilitri di latte',
+            descaler: '%d dose di decalcificante',
+            descaler_plural: '%d dosi di decalcificante',
+        },
+        UNKNOWN_SUPPLY_MESSAGE: 'Mi dispiace, posso tenere traccia di caffè in grani, capsule, latte e decalcificante. Quale intendi?',
+        SUPPLY_AMOUNT_INVALID_MESSAGE: 'Mi dispiace, non ho capito quanto %s. Per esempio, di\' ho comprato un pacco da 1 chilogrammo di caffè in grani.',
+        SUPPLIES_ADDED_MESSAGE: 'Va bene, ho aggiunto %s. Ora hai %s.',
+        SUPPLY_STOCK_MESSAGE: 'Ti restano %s.',
+        SUPPLY_NOT_TRACKED_MESSAGE: 'Non so ancora quanto %s hai. Dimmelo quando lo compri, per esempio di\' ho comprato un pacco da 1 chilogrammo di caffè in grani.',
+        NO_SUPPLIES_MESSAGE: 'Non tengo ancora traccia di nessuna scorta. Dimmelo quando compri qualcosa, per esempio di\' aggiungi 50 capsule.',
+        SUPPLIES_LOW_MESSAGE: 'Stai finendo le scorte, restano solo %s.',
+        SUPPLIES_RESTOCK_MESSAGE: 'È ora di comprare %s.',
+        LOW_STOCK_LEVEL_SET_MESSAGE: 'Va bene, ti avviserò quando avrai meno di %s.',
+        SUPPLY_USAGE_SET_MESSAGE: 'Va bene, ora ogni caffè usa %s.',
+        CURRENCY: 'EUR',
+        COST_SUPPLY_MESSAGE: 'Mi dispiace, posso calcolare il costo di caffè in grani e capsule. Quale intendi?',
+        COST_INVALID_MESSAGE: 'Mi dispiace, non ho capito il prezzo. Per esempio, di\' le capsule costano 45 centesimi, oppure il caffè in grani costa 20 euro al chilogrammo.',
+        COST_SET_MESSAGE: 'Va bene, ho annotato il prezzo di %s. Ora un caffè ti costa %s.',
+        CAFE_PRICE_INVALID_MESSAGE: 'Mi dispiace, non ho capito il prezzo. Per esempio, di\' un caffè al bar costa 1 euro e 20.',
+        CAFE_PRICE_SET_MESSAGE: 'Va bene, un caffè al bar costa %s.',
+        NO_COSTS_MESSAGE: 'Non so ancora quanto ti costa il caffè. Per esempio, di\' le capsule costano 45 centesimi, oppure il caffè in grani costa 20 euro al chilogrammo.',
+        NO_CAFE_PRICE_MESSAGE: 'Non so ancora quanto costa un caffè al bar. Per esempio, di\' un caffè al bar costa 1 euro e 20.',
+        SPENDING_MESSAGE: '%s hai speso %s per %s.',
+        SAVINGS_MESSAGE: '%s i tuoi %s sarebbero costati %s al bar invece di %s. Hai risparmiato %s.',
+        NO_SAVINGS_MESSAGE: '%s i tuoi %s sarebbero costati %s al bar, meno dei %s che hai speso.',
+        MACHINE_PREFIX: 'Sulla macchina %s.',
+        UNKNOWN_MACHINE_MESSAGE: 'Non conosco ancora la macchina %s. Puoi dire aggiungi la macchina %s.',
+        MACHINE_NAME_MISSING_MESSAGE: 'Quale macchina intendi? Per esempio, di\' aggiungi la macchina ufficio.',
+        MACHINE_EXISTS_MESSAGE: 'Hai già una macchina %s.',
+        MACHINE_ADDED_MESSAGE: 'Va bene, ho aggiunto la macchina %s. Per contare un caffè su di essa, di\' fai un caffè sulla macchina %s.',
+        DEFAULT_MACHINE_SET_MESSAGE: 'Va bene, ora i caffè vengono contati sulla macchina %s se non ne nomini un\'altra.',
+        ONE_MACHINE_MESSAGE: 'Hai una macchina, la macchina %s.',
+        MACHINES_MESSAGE: 'Le tue macchine sono %s. I caffè vengono contati sulla macchina %s se non ne nomini un\'altra.',
+        EXPORT_SENT_MESSAGE: 'Ti ho inviato un riepilogo dei tuoi dati sul caffè nell\'app Alexa.',
+        EXPORT_NO_DATA_MESSAGE: 'Non hai ancora registrato niente, quindi non c\'è niente da inviare.',
+        EXPORT_CARD_TITLE: 'I tuoi dati sul caffè',
+        EXPORT_CARD_MACHINE: 'Macchina %s: %s in totale, %s negli ultimi 30 giorni.',
+        EXPORT_CARD_DRINKS: 'Bevande: %s.',
+        EXPORT_CARD_TASK: '%s: ultima volta il %s.',
+        DELETE_DATA_CONFIRM_MESSAGE: 'Così elimini tutti i contatori dei caffè, le manutenzioni, la cronologia e le impostazioni, per ogni macchina e profilo vocale, e non si può annullare. Elimino i tuoi dati?',
+        DATA_DELETED_MESSAGE: 'Va bene, ho eliminato tutti i tuoi dati. Ciao!',
+        DATA_KEPT_MESSAGE: 'Va bene, conservo i tuoi dati.',
+    },
+};
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+/**
+ * Local Server - Serves the skill's lambda handler over HTTP
+ *
+ * usage: node local-server.js [--port 3000] [--storage-file local-storage.json]
+ *
+ * Every POST carries a request envelope and is answered with the response
+ * envelope, the way the Alexa service calls an HTTPS endpoint. Items are kept
+ * in the local storage, see localSkill.js.
+ **/
+'use strict';
+
+const http = require('http');
+const localSkill = require('./localSkill');
+
+const USAGE = 'usage: node local-server.js [--port 3000] [--storage-file local-storage.json]';
+const DEFAULT_PORT = 3000;
+
+/**
+ * Parses the command line arguments into { port, storageFile }, throws with
+ * the usage on anything else.
+ */
+const parseArgs = (args) => {
+    const options = { port: DEFAULT_PORT };
+    for (let i = 0; i < args.length; i += 2) {
+        if (args[i] === '--port' && /^\d+$/.test(args[i + 1] || '') && Number(args[i + 1]) <= 65535) {
+            options.port = Number(args[i + 1]);
+        } else if (args[i] === '--storage-file' && args[i + 1] !== undefined) {
+            options.storageFile = args[i + 1];
+        } else {
+            throw new Error(USAGE);
+        }
+    }
+    return options;
+};
+
+const send = (response, statusCode, body) => {
+    const json = JSON.stringify(body);
+    response.writeHead(statusCode, {
+        'Content-Type': 'application/json;charset=UTF-8',
+        'Content-Length': Buffer.byteLength(json),
+    });
+    response.end(json);
+};
+
+/**
+ * Creates the HTTP server, `invoke` runs a request envelope through the skill.
+ */
+const createServer = (invoke) => {
+    return http.createServer((request, response) => {
+        if (request.method !== 'POST') {
+            send(response, 405, { error: 'Send request envelopes with POST' });
+            return;
+        }
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', chunk => {
+            body += chunk;
+        });
+        request.on('end', async () => {
+            let envelope;
+            try {
+                envelope = JSON.parse(body);
+            } catch (error) {
+                send(response, 400, { error: `Invalid request envelope: ${error.message}` });
+                return;
+            }
+            try {
+                const responseEnvelope = await (invoke || localSkill.invokeSkill)(envelope);
+                console.log(`${(envelope.request || {}).type} ${((envelope.request || {}).intent || {}).name || ''}`.trim());
+                send(response, 200, responseEnvelope);
+            } catch (error) {
+                console.error(`Error invoking the skill: ${error.message}`);
+                send(response, 500, { error: error.message });
+            }
+        });
+    });
+};
+
+if (require.main === module) {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        localSkill.useLocalStorage(options.storageFile);
+        localSkill.useLocalTimeZone();
+        const server = createServer();
+        server.listen(options.port, () => {
+            console.log(`Serving the skill on http://localhost:${server.address().port}/`);
+        });
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Export the list of needed for clients to use
+ **/
+module.exports = {
+    parseArgs,
+    createServer
+};
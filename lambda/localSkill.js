@@ -0,0 +1,68 @@
+/**
+ * Local Skill - Runs the skill's lambda handler outside of Lambda, for the
+ * local server and the simulator
+ *
+ * Items are kept in local-storage.json unless STORAGE_BACKEND chooses
+ * another backend, see storage.js, and the device is in the time zone of
+ * this computer, so the skill runs offline.
+ **/
+'use strict';
+
+const storage = require('./storage');
+const timeZoneUtil = require('./timeZoneUtil');
+
+/**
+ * Time Alexa waits for a response, given to the handler like Lambda would.
+ */
+const RESPONSE_TIMEOUT_MS = 8000;
+
+/**
+ * Makes the skill use the local storage at `file`, or the backend chosen by
+ * STORAGE_BACKEND when it is set.
+ */
+const useLocalStorage = (file) => {
+    const config = { backend: process.env.STORAGE_BACKEND || 'file' };
+    if (file) {
+        config.file = file;
+    }
+    storage.setStorage(storage.createStorage(config));
+};
+
+/**
+ * Makes the skill use the time zone of this computer as the device's, or
+ * TZ when it is set, instead of reading it from the Alexa Settings API.
+ */
+const useLocalTimeZone = () => {
+    const timeZone = process.env.TZ || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    timeZoneUtil.setUpsClientFactory(() => ({ getSystemTimeZone: async () => timeZone }));
+};
+
+/**
+ * Creates a context like the one Lambda passes to the handler.
+ */
+const createContext = () => {
+    const deadline = Date.now() + RESPONSE_TIMEOUT_MS;
+    return {
+        getRemainingTimeInMillis: () => Math.max(deadline - Date.now(), 0),
+    };
+};
+
+/**
+ * Invokes the skill's handler with a request envelope, resolves with the
+ * response envelope.
+ */
+const invokeSkill = (envelope) => {
+    const skill = require('./index');
+    return new Promise((resolve, reject) => {
+        skill.handler(envelope, createContext(), (error, response) => error ? reject(error) : resolve(response));
+    });
+};
+
+/**
+ * Export the list of needed for clients to use
+ **/
+module.exports = {
+    useLocalStorage,
+    useLocalTimeZone,
+    invokeSkill
+};
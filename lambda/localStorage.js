@@ -0,0 +1,156 @@
+/**
+ * Local Storage - In-memory table, optionally saved to a JSON file, for running
+ * the skill without AWS. Behaves like the DynamoDB storage, including the
+ * errors DynamoDB rejects with.
+ **/
+'use strict';
+
+const fs = require('fs');
+const expressionUtil = require('./expressionUtil');
+
+const KEY = 'id';
+
+const copy = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+/**
+ * Get the attributes to return for the ReturnValues of an update.
+ */
+const returnValues = (returnValue, before, after) => {
+    const changed = (source, other) => {
+        const attributes = {};
+        Object.keys(source).forEach(name => {
+            if (JSON.stringify(source[name]) !== JSON.stringify(other[name])) {
+                attributes[name] = source[name];
+            }
+        });
+        return attributes;
+    };
+    switch (returnValue) {
+        case 'ALL_NEW': return { Attributes: copy(after) };
+        case 'ALL_OLD': return before ? { Attributes: copy(before) } : {};
+        case 'UPDATED_NEW': return { Attributes: copy(changed(after, before || {})) };
+        case 'UPDATED_OLD': return before ? { Attributes: copy(changed(before, after)) } : {};
+        default: return {};
+    }
+};
+
+/**
+ * Creates a local storage. With `file` the items are loaded from and saved to
+ * that JSON file, otherwise they only live in memory.
+ */
+const createLocalStorage = (options) => {
+    const file = (options || {}).file;
+    const items = new Map();
+    if (file && fs.existsSync(file)) {
+        JSON.parse(fs.readFileSync(file, 'utf8')).forEach(item => items.set(item[KEY], item));
+    }
+
+    const save = () => {
+        if (file) {
+            fs.writeFileSync(file, JSON.stringify(Array.from(items.values()), null, 2));
+        }
+    };
+
+    const checkCondition = (params, item) => {
+        if (params.ConditionExpression && !expressionUtil.matchesCondition(
+            item, params.ConditionExpression, params.ExpressionAttributeNames, params.ExpressionAttributeValues)) {
+            throw expressionUtil.awsError('ConditionalCheckFailedException', 'The conditional request failed');
+        }
+    };
+
+    // the item a write leaves behind, undefined when it deletes the item
+    const writes = {
+        Put: (params) => copy(params.Item),
+        Update: (params, before) => expressionUtil.applyUpdate(
+            Object.assign({}, before, params.Key),
+            params.UpdateExpression, params.ExpressionAttributeNames, params.ExpressionAttributeValues),
+        Delete: () => undefined,
+        ConditionCheck: (params, before) => before,
+    };
+
+    const getId = (params) => (params.Key || params.Item)[KEY];
+
+    const store = (id, item) => {
+        if (item === undefined) {
+            items.delete(id);
+        } else {
+            items.set(id, item);
+        }
+    };
+
+    return {
+        get: async (params) => {
+            const item = items.get(params.Key[KEY]);
+            return item ? { Item: copy(item) } : {};
+        },
+        put: async (params) => {
+            expressionUtil.checkParams(params);
+            const before = items.get(params.Item[KEY]);
+            checkCondition(params, before);
+            store(params.Item[KEY], writes.Put(params));
+            save();
+            return params.ReturnValues === 'ALL_OLD' && before ? { Attributes: copy(before) } : {};
+        },
+        update: async (params) => {
+            expressionUtil.checkParams(params);
+            const before = items.get(params.Key[KEY]);
+            checkCondition(params, before);
+            const after = writes.Update(params, before);
+            store(params.Key[KEY], after);
+            save();
+            return returnValues(params.ReturnValues, before, after);
+        },
+        delete: async (params) => {
+            expressionUtil.checkParams(params);
+            const before = items.get(params.Key[KEY]);
+            checkCondition(params, before);
+            store(params.Key[KEY], writes.Delete(params));
+            save();
+            return params.ReturnValues === 'ALL_OLD' && before ? { Attributes: copy(before) } : {};
+        },
+        // applies every write or, when a condition fails, none of them
+        transactWrite: async (params) => {
+            const operations = params.TransactItems.map(entry => {
+                const type = Object.keys(entry)[0];
+                if (!writes[type] || entry[type].ReturnValues) {
+                    throw expressionUtil.awsError('ValidationException', `Invalid transaction item: ${Object.keys(entry[type]).join(', ')}`);
+                }
+                expressionUtil.checkParams(entry[type]);
+                return { type: type, params: entry[type], id: getId(entry[type]) };
+            });
+            const ids = operations.map(operation => operation.id);
+            if (ids.some((id, index) => ids.indexOf(id) !== index)) {
+                throw expressionUtil.awsError('ValidationException', 'Transaction request cannot include multiple operations on one item');
+            }
+            const reasons = operations.map(operation => {
+                try {
+                    checkCondition(operation.params, items.get(operation.id));
+                    return 'None';
+                } catch (error) {
+                    return 'ConditionalCheckFailed';
+                }
+            });
+            if (reasons.some(reason => reason !== 'None')) {
+                throw expressionUtil.awsError('TransactionCanceledException',
+                    `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.join(', ')}]`);
+            }
+            const results = operations.map(operation => writes[operation.type](operation.params, items.get(operation.id)));
+            operations.forEach((operation, index) => store(operation.id, results[index]));
+            save();
+            return {};
+        },
+        createSet: (values) => expressionUtil.createSet(values),
+        // removes every item, for tests
+        clear: () => {
+            items.clear();
+            save();
+        },
+    };
+};
+
+/**
+ * Export the list of needed for clients to use
+ **/
+module.exports = {
+    createLocalStorage
+};
@@ -0,0 +1,83 @@
+/**
+ * Machine Utility - Named machines of an account
+ *
+ * The account item, keyed by the userId, is also the item of the account's
+ * first machine, so data from before machines were named belongs to it.
+ * Machines added later have their own item keyed by the userId and the name.
+ **/
+'use strict';
+
+const PRIMARY_MACHINE_NAME = 'home';
+
+/**
+ * Normalizes a spoken machine name: "the Office machine" becomes "office".
+ */
+const normalizeMachineName = (name) => {
+    return name.toLowerCase()
+        .trim()
+        .replace(/^the\s+/, '')
+        .replace(/\s+machine$/, '')
+        .replace(/\s+/g, ' ');
+};
+
+/**
+ * Get the normalized name from the `machine` slot, undefined when not filled.
+ */
+const getMachineFromSlot = (request) => {
+    const slot = ((request.intent || {}).slots || {}).machine;
+    if (!slot || !slot.value) {
+        return undefined;
+    }
+    return normalizeMachineName(slot.value);
+};
+
+/**
+ * Get the normalized name a dashboard event acts on, the second argument of
+ * its SendEvent, undefined when it names none.
+ */
+const getMachineFromEvent = (request) => {
+    const name = (request.arguments || [])[1];
+    return typeof name === 'string' && name ? normalizeMachineName(name) : undefined;
+};
+
+/**
+ * Get the name of the account's first machine.
+ */
+const getPrimaryMachineName = (account) => {
+    return account.machineName || PRIMARY_MACHINE_NAME;
+};
+
+/**
+ * Get the names of all machines of the account, the first machine first.
+ */
+const getMachineNames = (account) => {
+    const added = account.machines ? account.machines.values : [];
+    return [getPrimaryMachineName(account)].concat(added.filter(name => name !== getPrimaryMachineName(account)));
+};
+
+/**
+ * Get the machine used when none is named.
+ */
+const getDefaultMachineName = (account) => {
+    return account.defaultMachine || getPrimaryMachineName(account);
+};
+
+/**
+ * Get the key of the item holding a machine's counts and maintenance.
+ */
+const getMachineItemId = (userId, account, name) => {
+    return name === getPrimaryMachineName(account) ? userId : `${userId}#machine#${name}`;
+};
+
+/**
+ * Export the list of needed for clients to use
+ **/
+module.exports = {
+    normalizeMachineName,
+    getMachineFromSlot,
+    getMachineFromEvent,
+    getPrimaryMachineName,
+    getMachineNames,
+    getDefaultMachineName,
+    getMachineItemId
+};
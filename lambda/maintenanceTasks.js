@@ -0,0 +1,186 @@
+/**
+ * Maintenance Tasks - Definitions of the maintenance tasks and when they are due
+ **/
+'use strict';
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TASK = 'cleaning';
+
+/**
+ * Each task is due either after a number of coffees or after a number of days
+ * since it was last performed. `countAttribute` and `timeAttribute` are the
+ * item attributes holding the coffee count and time it was last performed;
+ * cleaning keeps the original `lastMaintenance` attribute. `intervalAttribute`
+ * holds the user's own interval for the task, if set. Tasks with a `counter`
+ * only count the coffees in that attribute instead of all coffees.
+ */
+const tasks = {
+    cleaning: { coffees: 40, countAttribute: 'lastMaintenance', timeAttribute: 'lastMaintenanceAt', intervalAttribute: 'cleaningInterval' },
+    descale: { coffees: 200, countAttribute: 'lastDescale', timeAttribute: 'lastDescaleAt', intervalAttribute: 'descaleInterval' },
+    filter: { days: 60, countAttribute: 'lastFilterChange', timeAttribute: 'lastFilterChangeAt', intervalAttribute: 'filterInterval' },
+    milk: { days: 1, countAttribute: 'lastMilkRinse', timeAttribute: 'lastMilkRinseAt', intervalAttribute: 'milkInterval' },
+    dripTray: { coffees: 10, countAttribute: 'lastDripTray', timeAttribute: 'lastDripTrayAt', intervalAttribute: 'dripTrayInterval' },
+    milkClean: { coffees: 50, counter: 'milkDrinkCount', countAttribute: 'lastMilkClean', timeAttribute: 'lastMilkCleanAt', intervalAttribute: 'milkCleanInterval' },
+};
+
+const taskIds = Object.keys(tasks);
+
+/**
+ * Machine presets replace the default interval of some tasks, in the task's own unit.
+ * `disabled` lists the tasks of parts the machine does not have, such as the
+ * milk system of capsule machines; they are never due.
+ */
+const machineTypes = {
+    capsule: { cleaning: 30, descale: 300, dripTray: 10, disabled: ['milk', 'milkClean'] },
+    beanToCup: { cleaning: 40, descale: 200, dripTray: 10 },
+    espresso: { cleaning: 60, descale: 500, dripTray: 20, filter: 30 },
+};
+
+const MAX_INTERVAL = { coffees: 1000, days: 365 };
+
+/**
+ * Get the resolved id of a custom slot, falling back to the spoken value.
+ */
+const getSlotId = (request, slotName) => {
+    const slot = ((request.intent || {}).slots || {})[slotName];
+    if (!slot || !slot.value) {
+        return undefined;
+    }
+    const authorities = (slot.resolutions || {}).resolutionsPerAuthority || [];
+    const match = authorities.find(authority => authority.status.code === 'ER_SUCCESS_MATCH');
+    return match ? match.values[0].value.id : slot.value;
+};
+
+/**
+ * Get the task named by the `task` slot, using the entity resolution id when
+ * available. Defaults to cleaning when the slot is empty, null if unknown.
+ */
+const getTaskFromSlot = (request) => {
+    const id = getSlotId(request, 'task');
+    if (id === undefined) {
+        return DEFAULT_TASK;
+    }
+    return tasks[id] ? id : null;
+};
+
+/**
+ * Get the machine type named by the `machineType` slot, null if unknown.
+ */
+const getMachineTypeFromSlot = (request) => {
+    const id = getSlotId(request, 'machineType');
+    return machineTypes[id] ? id : null;
+};
+
+/**
+ * Get the unit a task's interval is counted in, 'coffees' or 'days'.
+ */
+const getTaskUnit = (taskId) => {
+    return tasks[taskId].coffees ? 'coffees' : 'days';
+};
+
+/**
+ * Get the number of coffees the task is counted on, see `counter`.
+ */
+const getTaskCount = (item, taskId) => {
+    return item[tasks[taskId].counter || 'count'] || 0;
+};
+
+/**
+ * Get the interval of a task for the given item: the user's own interval,
+ * else the preset of their machine type, else the task default.
+ */
+const getTaskInterval = (item, taskId) => {
+    const task = tasks[taskId];
+    if (item[task.intervalAttribute]) {
+        return item[task.intervalAttribute];
+    }
+    const preset = machineTypes[item.machineType] || {};
+    return preset[taskId] || task[getTaskUnit(taskId)];
+};
+
+/**
+ * Returns whether the item's machine type has the part the task maintains.
+ */
+const isTaskEnabled = (item, taskId) => {
+    const preset = machineTypes[item.machineType] || {};
+    return (preset.disabled || []).indexOf(taskId) === -1;
+};
+
+/**
+ * Returns whether an interval can be used for the task.
+ */
+const isValidInterval = (taskId, interval) => {
+    return Number.isInteger(interval) && interval > 0 && interval <= MAX_INTERVAL[getTaskUnit(taskId)];
+};
+
+/**
+ * Get how far a task is from being due for the given item.
+ * Returns { due, remaining, unit } where unit is 'coffees' or 'days',
+ * or undefined for time based tasks that were never recorded: not every
+ * machine has a milk system or a water filter, so these tasks only count
+ * once the user performed them. Also undefined for tasks the machine type
+ * does not have, see isTaskEnabled.
+ */
+const getTaskStatus = (item, taskId, now) => {
+    const task = tasks[taskId];
+    if (!isTaskEnabled(item, taskId)) {
+        return undefined;
+    }
+    const interval = getTaskInterval(item, taskId);
+    if (getTaskUnit(taskId) === 'coffees') {
+        const remaining = (item[task.countAttribute] || 0) + interval - getTaskCount(item, taskId);
+        return { due: remaining <= 0, remaining: Math.max(remaining, 0), unit: 'coffees' };
+    }
+    const since = item[task.timeAttribute];
+    if (!since) {
+        return undefined;
+    }
+    const remaining = Math.ceil((Date.parse(since) + interval * DAY_IN_MS - now.getTime()) / DAY_IN_MS);
+    return { due: remaining <= 0, remaining: Math.max(remaining, 0), unit: 'days' };
+};
+
+/**
+ * Get how long ago a task was last performed, in coffees or days like its
+ * interval, or undefined if it was never recorded.
+ */
+const getTaskElapsed = (item, taskId, now) => {
+    const task = tasks[taskId];
+    if (getTaskUnit(taskId) === 'coffees') {
+        return item[task.countAttribute] === undefined ? undefined : getTaskCount(item, taskId) - item[task.countAttribute];
+    }
+    if (!item[task.timeAttribute]) {
+        return undefined;
+    }
+    return Math.floor((now.getTime() - Date.parse(item[task.timeAttribute])) / DAY_IN_MS);
+};
+
+/**
+ * Get the ids of all tasks that are due for the given item.
+ */
+const getDueTasks = (item, now) => {
+    return taskIds.filter(taskId => {
+        const status = getTaskStatus(item, taskId, now);
+        return status !== undefined && status.due;
+    });
+};
+
+/**
+ * Export the list of needed for clients to use
+ **/
+module.exports = {
+    DEFAULT_TASK,
+    tasks,
+    taskIds,
+    machineTypes,
+    getSlotId,
+    getTaskFromSlot,
+    getMachineTypeFromSlot,
+    getTaskUnit,
+    getTaskCount,
+    getTaskInterval,
+    isTaskEnabled,
+    isValidInterval,
+    getTaskStatus,
+    getTaskElapsed,
+    getDueTasks
+};
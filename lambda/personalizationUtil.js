@@ -15,13 +15,13 @@ const getPersonalizedPrompt = (handlerInput) => {
     if (getPerson(handlerInput)) {
         return getPersonalizedPromptFromId(handlerInput);
     }
-    return handleFallback;
+    return handleFallback();
 }
 /**
  * Get person from requestEnvelope if personalization enabled.
  * 
  */
-const getPerson = (handlerInput) => { return handlerInput.requestEnvelope.context.System.person };
+const getPerson = (handlerInput) => { return ((handlerInput.requestEnvelope.context || {}).System || {}).person };
 
 /**
  * Get person Id from requestEnvelope if personalization enabled.
@@ -46,5 +46,6 @@ const getPersonalizedPromptFromId = handlerInput => {
  **/
 module.exports = {
     getPersonalizedPrompt,
-    getPerson
+    getPerson,
+    getPersonId
 };
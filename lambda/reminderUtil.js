@@ -0,0 +1,88 @@
+/**
+ * Reminder Utility - Schedules and cancels cleaning reminders through the Alexa Reminders API
+ **/
+'use strict';
+
+const timeZoneUtil = require('./timeZoneUtil');
+
+const REMINDERS_PERMISSION = 'alexa::alerts:reminders:skill:readwrite';
+const REMINDER_HOUR = '08:00:00.000';
+
+/**
+ * Default factory returning the ReminderManagementServiceClient of the request.
+ * Requires the skill to be built with an api client.
+ */
+const defaultReminderClientFactory = (handlerInput) => {
+    return handlerInput.serviceClientFactory.getReminderManagementServiceClient();
+};
+
+let reminderClientFactory = defaultReminderClientFactory;
+
+/**
+ * Replace the factory creating reminder clients, for example with a local fake
+ * exposing createReminder(reminderRequest) and deleteReminder(alertToken).
+ * Call without arguments to restore the default.
+ */
+const setReminderClientFactory = (factory) => {
+    reminderClientFactory = factory || defaultReminderClientFactory;
+};
+
+/**
+ * Get the reminders client for this request.
+ */
+const getReminderClient = (handlerInput) => {
+    return reminderClientFactory(handlerInput);
+};
+
+/**
+ * Returns whether the user granted the reminders permission to the skill.
+ */
+const hasReminderPermission = (handlerInput) => {
+    const user = ((handlerInput.requestEnvelope.context || {}).System || {}).user || {};
+    return Boolean(user.permissions && user.permissions.consentToken);
+};
+
+/**
+ * Returns whether the error from the Reminders API means the permission is missing.
+ */
+const isPermissionError = (error) => {
+    return error.statusCode === 401 || error.statusCode === 403;
+};
+
+/**
+ * Builds a reminder request for the day after the request at 8 in the morning.
+ * Without a time zone in the trigger the scheduled time is read as the
+ * device's local time, so tomorrow is counted in the device's `timeZone`.
+ */
+const buildCleaningReminder = (handlerInput, text, timeZone) => {
+    const request = handlerInput.requestEnvelope.request;
+    const now = request.timestamp ? new Date(request.timestamp) : new Date();
+    const tomorrow = new Date(timeZoneUtil.toLocalTime(now, timeZone).getTime() + 24 * 60 * 60 * 1000);
+    return {
+        requestTime: now.toISOString(),
+        trigger: {
+            type: 'SCHEDULED_ABSOLUTE',
+            scheduledTime: `${tomorrow.toISOString().slice(0, 10)}T${REMINDER_HOUR}`,
+        },
+        alertInfo: {
+            spokenInfo: {
+                content: [{ locale: request.locale, text: text }],
+            },
+        },
+        pushNotification: {
+            status: 'ENABLED',
+        },
+    };
+};
+
+/**
+ * Export the list of needed for clients to use
+ **/
+module.exports = {
+    REMINDERS_PERMISSION,
+    setReminderClientFactory,
+    getReminderClient,
+    hasReminderPermission,
+    isPermissionError,
+    buildCleaningReminder
+};
@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+/**
+ * Simulate - Sends one request to the skill and prints what Alexa would say
+ *
+ * usage: node simulate.js <phrase|command|intent> [--<slot> value]... [--confirm|--deny]
+ *                         [--locale en-US] [--user userId] [--person personId] [--storage-file file]
+ *
+ * The request is named by
+ *   - a phrase, matched against the samples of the locale's interaction model:
+ *       node simulate.js make 3 coffees
+ *   - a command, the intent name in kebab case without "Intent", or launch:
+ *       node simulate.js make-coffee --count 3
+ *   - an intent name:
+ *       node simulate.js AMAZON.HelpIntent
+ * A slot flag names a slot of the intent, in camel or kebab case, or the end
+ * of its name when that is unique, so --count fills coffeeCount. Values of
+ * custom slot types are resolved like Alexa does, by value or synonym.
+ * --confirm and --deny answer the intent's confirmation prompt.
+ * Items are kept in the local storage, see localSkill.js.
+ **/
+'use strict';
+
+const path = require('path');
+const localSkill = require('./localSkill');
+
+const USAGE = 'usage: node simulate.js <phrase|command|intent> [--<slot> value]... [--confirm|--deny] '
+    + '[--locale en-US] [--user userId] [--person personId] [--storage-file file]';
+const MODELS_DIRECTORY = path.join(__dirname, '..', 'skill-package', 'interactionModels', 'custom');
+const DEFAULT_USER_ID = 'amzn1.ask.account.LOCAL';
+const DEFAULT_LOCALE = 'en-US';
+
+/**
+ * Parses the command line arguments into { target, slots, locale, userId,
+ * personId, confirmationStatus, storageFile }, throws with the usage on
+ * anything else. Slot flags are kept as given, see resolveRequest.
+ */
+const parseArgs = (args) => {
+    const options = { slots: {}, locale: DEFAULT_LOCALE, userId: DEFAULT_USER_ID };
+    const flags = { '--locale': 'locale', '--user': 'userId', '--person': 'personId', '--storage-file': 'storageFile' };
+    const statuses = { '--confirm': 'CONFIRMED', '--deny': 'DENIED' };
+    for (let i = 0; i < args.length; i++) {
+        if (statuses[args[i]] && !options.confirmationStatus) {
+            options.confirmationStatus = statuses[args[i]];
+        } else if (flags[args[i]] && args[i + 1] !== undefined) {
+            options[flags[args[i]]] = args[++i];
+        } else if (/^--\w[\w-]*$/.test(args[i]) && !statuses[args[i]] && args[i + 1] !== undefined) {
+            options.slots[args[i].slice(2)] = args[++i];
+        } else if (!args[i].startsWith('-')) {
+            options.target = options.target ? `${options.target} ${args[i]}` : args[i];
+        } else {
+            throw new Error(USAGE);
+        }
+    }
+    if (!options.target) {
+        throw new Error(USAGE);
+    }
+    return options;
+};
+
+/**
+ * Reads the language model of the locale's interaction model.
+ */
+const readModel = (locale) => {
+    try {
+        return require(path.join(MODELS_DIRECTORY, `${locale}.json`)).interactionModel.languageModel;
+    } catch (error) {
+        throw new Error(`No interaction model for the locale ${locale}`);
+    }
+};
+
+const normalize = (text) => text.toLowerCase().replace(/[?!.,]/g, '').replace(/\s+/g, ' ').trim();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Finds the intent whose sample matches the phrase, preferring the sample
+ * with the most words of its own, then the one filling the most slots, so
+ * "make 2 cappuccinos" fills the count and the drink rather than a drink of
+ * "2 cappuccinos". Resolves with { name, slots } or undefined.
+ */
+const matchPhrase = (model, phrase) => {
+    const spoken = normalize(phrase);
+    let best;
+    model.intents.forEach(intent => {
+        (intent.samples || []).forEach(sample => {
+            // slot names are taken from the sample as written, normalize lowers their case
+            const slotNames = (sample.match(/\{\w+\}/g) || []).map(slot => slot.slice(1, -1));
+            const pattern = normalize(sample).split(/(\{\w+\})/).map(part => {
+                return /^\{\w+\}$/.test(part) ? '(.+?)' : escapeRegExp(part);
+            }).join('');
+            const match = new RegExp(`^${pattern}$`).exec(spoken);
+            const literalLength = normalize(sample.replace(/\{\w+\}/g, '')).length;
+            if (match && (!best || literalLength > best.literalLength
+                || (literalLength === best.literalLength && slotNames.length > best.slotCount))) {
+                const slots = {};
+                slotNames.forEach((name, index) => {
+                    slots[name] = match[index + 1];
+                });
+                best = { name: intent.name, slots: slots, literalLength: literalLength, slotCount: slotNames.length };
+            }
+        });
+    });
+    return best ? { name: best.name, slots: best.slots } : undefined;
+};
+
+/**
+ * Finds the intent named by a command such as make-coffee or help, or by its
+ * own name.
+ */
+const findIntent = (model, command) => {
+    const names = model.intents.map(intent => intent.name);
+    const pascalCase = command.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+    return [command, `${pascalCase}Intent`, `AMAZON.${pascalCase}Intent`].filter(name => names.indexOf(name) !== -1)[0];
+};
+
+/**
+ * Finds the slot of the intent named by a flag, see the usage.
+ */
+const findSlot = (intent, flag) => {
+    const slots = (intent.slots || []).map(slot => slot.name);
+    const camelCase = flag.replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+    if (slots.indexOf(camelCase) !== -1) {
+        return camelCase;
+    }
+    const endings = slots.filter(slot => slot.toLowerCase().endsWith(camelCase.toLowerCase()));
+    if (endings.length !== 1) {
+        throw new Error(`${intent.name} has no slot ${flag}, its slots are: ${slots.join(', ') || 'none'}`);
+    }
+    return endings[0];
+};
+
+/**
+ * Builds a slot of the intent request, resolving values of custom slot types
+ * to the id of the value or synonym they name.
+ */
+const buildSlot = (model, intent, name, spoken) => {
+    const slotType = (intent.slots || []).filter(slot => slot.name === name)[0].type;
+    const type = (model.types || []).filter(candidate => candidate.name === slotType)[0];
+    if (!type) {
+        return { name: name, value: spoken, confirmationStatus: 'NONE' };
+    }
+    const value = normalize(spoken);
+    const match = type.values.filter(candidate => {
+        return [candidate.name.value].concat(candidate.name.synonyms || []).some(entry => normalize(entry) === value);
+    })[0];
+    return {
+        name: name,
+        value: spoken,
+        confirmationStatus: 'NONE',
+        resolutions: {
+            resolutionsPerAuthority: [{
+                authority: `amzn1.er-authority.echo-sdk.LOCAL.${slotType}`,
+                status: { code: match ? 'ER_SUCCESS_MATCH' : 'ER_SUCCESS_NO_MATCH' },
+                values: match ? [{ value: { name: match.name.value, id: match.id || match.name.value } }] : undefined,
+            }],
+        },
+    };
+};
+
+/**
+ * Builds the request the options name: a LaunchRequest or an IntentRequest
+ * with its slots.
+ */
+const resolveRequest = (options) => {
+    if (options.target === 'launch') {
+        return { type: 'LaunchRequest' };
+    }
+    const model = readModel(options.locale);
+    const intentName = /\s/.test(options.target) ? undefined : findIntent(model, options.target);
+    const matched = intentName ? { name: intentName, slots: {} } : matchPhrase(model, options.target);
+    if (!matched) {
+        throw new Error(`Nothing in the ${options.locale} interaction model matches "${options.target}"`);
+    }
+    const intent = model.intents.filter(candidate => candidate.name === matched.name)[0];
+    const values = Object.assign({}, matched.slots);
+    Object.keys(options.slots).forEach(flag => {
+        values[findSlot(intent, flag)] = options.slots[flag];
+    });
+    const slots = {};
+    (intent.slots || []).forEach(slot => {
+        slots[slot.name] = values[slot.name] === undefined
+            ? { name: slot.name, confirmationStatus: 'NONE' }
+            : buildSlot(model, intent, slot.name, values[slot.name]);
+    });
+    return {
+        type: 'IntentRequest',
+        dialogState: options.confirmationStatus ? 'COMPLETED' : 'STARTED',
+        intent: { name: intent.name, confirmationStatus: options.confirmationStatus || 'NONE', slots: slots },
+    };
+};
+
+/**
+ * Builds the request envelope for the options, as a new session on a device
+ * without a screen.
+ */
+const buildEnvelope = (options) => {
+    const application = { applicationId: 'amzn1.ask.skill.LOCAL' };
+    const system = {
+        application: application,
+        user: { userId: options.userId },
+        device: { deviceId: 'amzn1.ask.device.LOCAL', supportedInterfaces: {} },
+        apiEndpoint: 'https://api.amazonalexa.com',
+        apiAccessToken: 'local-access-token',
+    };
+    if (options.personId) {
+        system.person = { personId: options.personId };
+    }
+    return {
+        version: '1.0',
+        session: {
+            new: true,
+            sessionId: `amzn1.echo-api.session.LOCAL-${Date.now()}`,
+            application: application,
+            user: { userId: options.userId },
+            attributes: {},
+        },
+        context: { System: system },
+        request: Object.assign({
+            requestId: `amzn1.echo-api.request.LOCAL-${Date.now()}`,
+            timestamp: new Date().toISOString(),
+            locale: options.locale,
+        }, resolveRequest(options)),
+    };
+};
+
+const speakable = (outputSpeech) => {
+    if (!outputSpeech) {
+        return '';
+    }
+    const text = outputSpeech.type === 'SSML' ? outputSpeech.ssml.replace(/<[^>]+>/g, '') : outputSpeech.text;
+    return text.replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Describes a response envelope the way it would be heard and seen.
+ */
+const describeResponse = (responseEnvelope) => {
+    const response = responseEnvelope.response || {};
+    const lines = [`Alexa: ${speakable(response.outputSpeech)}`];
+    if (response.reprompt) {
+        lines.push(`Reprompt: ${speakable(response.reprompt.outputSpeech)}`);
+    }
+    if (response.card) {
+        lines.push(`Card: ${response.card.title || ''}`);
+        lines.push((response.card.content || response.card.text || '').replace(/^/gm, '  '));
+    }
+    (response.directives || []).forEach(directive => {
+        lines.push(`Directive: ${directive.type}${directive.slotToElicit ? ` (${directive.slotToElicit})` : ''}`);
+    });
+    lines.push(response.shouldEndSession === false ? '(the session stays open)' : '(the session ends)');
+    return lines.join('\n') + '\n';
+};
+
+/**
+ * Sends the request for the arguments to the skill. Resolves with the
+ * description of the response.
+ */
+const run = async (args) => {
+    const options = parseArgs(args);
+    const envelope = buildEnvelope(options);
+    localSkill.useLocalStorage(options.storageFile);
+    localSkill.useLocalTimeZone();
+    return describeResponse(await localSkill.invokeSkill(envelope));
+};
+
+if (require.main === module) {
+    run(process.argv.slice(2))
+        .then(text => process.stdout.write(text))
+        .catch(error => {
+            console.error(error.message);
+            process.exitCode = 1;
+        });
+}
+
+/**
+ * Export the list of needed for clients to use
+ **/
+module.exports = {
+    parseArgs,
+    buildEnvelope,
+    run
+};
@@ -0,0 +1,153 @@
+/**
+ * Stats Utility - Consumption statistics computed from the history
+ **/
+'use strict';
+
+const drinkTypes = require('./drinkTypes');
+const { getSlotId } = require('./maintenanceTasks');
+const timeZoneUtil = require('./timeZoneUtil');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+const periods = ['day', 'week', 'month'];
+
+const MAX_CAFFEINE_LIMIT = 2000;
+
+/**
+ * The usage rate is taken over the last RATE_DAYS days, and not at all when
+ * the coffees recorded span less than MIN_RATE_DAYS days.
+ */
+const RATE_DAYS = 28;
+const MIN_RATE_DAYS = 3;
+
+/**
+ * Get the start of the current day, week (starting on Monday) or month.
+ * Days start at midnight in `timeZone`, the device's time zone, UTC when not given.
+ */
+const getPeriodStart = (period, now, timeZone) => {
+    const local = timeZoneUtil.toLocalTime(now, timeZone);
+    const today = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()));
+    let start = today;
+    if (period === 'week') {
+        start = new Date(today.getTime() - ((today.getUTCDay() + 6) % 7) * DAY_IN_MS);
+    } else if (period === 'month') {
+        start = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), 1));
+    }
+    return timeZoneUtil.fromLocalTime(start, timeZone);
+};
+
+/**
+ * Get the coffee events from `start` on, only those of `personId` when given.
+ */
+const getCoffeeEvents = (history, start, personId) => {
+    return (history || [])
+        .filter(event => event.type === 'coffee')
+        .filter(event => Date.parse(event.at) >= start.getTime())
+        .filter(event => !personId || event.person === personId);
+};
+
+/**
+ * Get the estimated caffeine in milligrams of the coffees from `start` on,
+ * only those of `personId` when given.
+ */
+const countCaffeine = (history, start, personId) => {
+    return getCoffeeEvents(history, start, personId)
+        .reduce((total, event) => total + event.amount * drinkTypes.getCaffeine(event.drink), 0);
+};
+
+/**
+ * Get the statistics of the coffees from `start` up to `now`:
+ * { total, average, busiestDay, busiestCount, caffeine }. The average per day
+ * starts at `since` instead when it is later, such as the day the item was
+ * created. busiestDay is the day with the most coffees in `timeZone`, as the
+ * UTC midnight of that date, undefined without coffees.
+ */
+const getStats = (history, start, now, since, timeZone) => {
+    const events = getCoffeeEvents(history, start);
+    const perDay = {};
+    events.forEach(event => {
+        const day = timeZoneUtil.getLocalDay(new Date(event.at), timeZone);
+        perDay[day] = (perDay[day] || 0) + event.amount;
+    });
+    const busiest = Object.keys(perDay).sort().reduce((best, day) => {
+        return !best || perDay[day] > perDay[best] ? day : best;
+    }, undefined);
+    const from = since && since > start ? since : start;
+    const days = Math.max(Math.ceil((now.getTime() - from.getTime()) / DAY_IN_MS), 1);
+    const total = events.reduce((sum, event) => sum + event.amount, 0);
+    return {
+        total: total,
+        average: Math.round(total / days * 10) / 10,
+        busiestDay: busiest ? new Date(`${busiest}T00:00:00.000Z`) : undefined,
+        busiestCount: busiest ? perDay[busiest] : 0,
+        caffeine: countCaffeine(history, start),
+    };
+};
+
+/**
+ * Get the average number of coffees a day recently, starting at `since` when
+ * that is later, such as the day the item was created. Only the coffee events
+ * `isCounted` accepts are counted when given. Returns undefined when there is
+ * too little history to tell.
+ */
+const getDailyRate = (history, now, since, isCounted) => {
+    const recent = new Date(now.getTime() - RATE_DAYS * DAY_IN_MS);
+    const from = since && since > recent ? since : recent;
+    const days = (now.getTime() - from.getTime()) / DAY_IN_MS;
+    if (days < MIN_RATE_DAYS) {
+        return undefined;
+    }
+    const total = getCoffeeEvents(history, from)
+        .filter(event => !isCounted || isCounted(event))
+        .reduce((sum, event) => sum + event.amount, 0);
+    return total / days;
+};
+
+/**
+ * Get the date on which `remaining` coffees are made at `rate` coffees a day,
+ * undefined when no coffees are made.
+ */
+const estimateDate = (remaining, rate, now) => {
+    if (!rate) {
+        return undefined;
+    }
+    return new Date(now.getTime() + remaining / rate * DAY_IN_MS);
+};
+
+/**
+ * Get the period named by the `period` slot, undefined when the slot is empty
+ * and null if unknown.
+ */
+const getPeriodFromSlot = (request) => {
+    const id = getSlotId(request, 'period');
+    if (id === undefined) {
+        return undefined;
+    }
+    return periods.indexOf(id) !== -1 ? id : null;
+};
+
+/**
+ * Returns whether a daily caffeine limit in milligrams can be used,
+ * zero removes the limit.
+ */
+const isValidCaffeineLimit = (limit) => {
+    return Number.isInteger(limit) && limit >= 0 && limit <= MAX_CAFFEINE_LIMIT;
+};
+
+/**
+ * Export the list of needed for clients to use
+ **/
+module.exports = {
+    periods,
+    MAX_CAFFEINE_LIMIT,
+    RATE_DAYS,
+    MIN_RATE_DAYS,
+    getPeriodStart,
+    getCoffeeEvents,
+    countCaffeine,
+    getStats,
+    getDailyRate,
+    estimateDate,
+    getPeriodFromSlot,
+    isValidCaffeineLimit
+};
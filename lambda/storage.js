@@ -0,0 +1,64 @@
+/**
+ * Storage - Chooses where the skill keeps its items
+ *
+ * STORAGE_BACKEND selects the backend:
+ *   dynamodb (default) - the DYNAMODB_PERSISTENCE_TABLE_NAME table in DYNAMODB_PERSISTENCE_REGION
+ *   memory             - in-memory only, lost when the process ends
+ *   file               - a JSON file at STORAGE_FILE, local-storage.json by default
+ *
+ * Every backend implements get, put, update, delete and transactWrite taking
+ * DocumentClient parameters without TableName, and createSet.
+ **/
+'use strict';
+
+const DEFAULT_FILE = 'local-storage.json';
+
+let storage;
+
+/**
+ * Creates the storage for a configuration, defaults to the environment.
+ */
+const createStorage = (config) => {
+    const options = Object.assign({
+        backend: process.env.STORAGE_BACKEND || 'dynamodb',
+        file: process.env.STORAGE_FILE || DEFAULT_FILE,
+        tableName: process.env.DYNAMODB_PERSISTENCE_TABLE_NAME,
+        region: process.env.DYNAMODB_PERSISTENCE_REGION,
+    }, config);
+    switch (options.backend) {
+        case 'dynamodb':
+            return require('./dynamoDBStorage').createDynamoDBStorage(options);
+        case 'memory':
+            return require('./localStorage').createLocalStorage({});
+        case 'file':
+            return require('./localStorage').createLocalStorage({ file: options.file });
+        default:
+            throw new Error(`Unknown storage backend: ${options.backend}`);
+    }
+};
+
+/**
+ * Get the storage shared by the skill, created from the environment on first use.
+ */
+const getStorage = () => {
+    if (!storage) {
+        storage = createStorage();
+    }
+    return storage;
+};
+
+/**
+ * Replace the shared storage, for example with one created by createStorage.
+ */
+const setStorage = (newStorage) => {
+    storage = newStorage;
+};
+
+/**
+ * Export the list of needed for clients to use
+ **/
+module.exports = {
+    createStorage,
+    getStorage,
+    setStorage
+};
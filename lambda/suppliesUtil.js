@@ -0,0 +1,177 @@
+/**
+ * Supplies Utility - Stock of the consumables used by the machine
+ **/
+'use strict';
+
+const { getSlotId } = require('./maintenanceTasks');
+const drinkTypes = require('./drinkTypes');
+
+/**
+ * Each supply is counted in its own base unit: beans in grams, milk in
+ * milliliters, capsules and descaler doses one by one. `stockAttribute` holds
+ * what is left and is only present once the user told us about a purchase;
+ * supplies that are not tracked are never used up. `perDrink` is how much a
+ * coffee uses and `perTask` how much a maintenance task uses. The user's own
+ * rate and low stock level are kept in `usageAttribute` and `lowLevelAttribute`.
+ * Supplies whose cost is counted keep the price of one base unit, such as a
+ * gram of beans, in `costAttribute`, see costUtil.js.
+ */
+const supplies = {
+    beans: { unit: 'weight', perDrink: 10, lowLevel: 100, stockAttribute: 'beansStock', usageAttribute: 'beansPerDrink', lowLevelAttribute: 'beansLowLevel', costAttribute: 'beansCost' },
+    capsules: { unit: 'count', perDrink: 1, lowLevel: 10, stockAttribute: 'capsulesStock', usageAttribute: 'capsulesPerDrink', lowLevelAttribute: 'capsulesLowLevel', costAttribute: 'capsulesCost' },
+    milk: { unit: 'volume', perDrink: 0, lowLevel: 250, stockAttribute: 'milkStock', usageAttribute: 'milkPerDrink', lowLevelAttribute: 'milkLowLevel' },
+    descaler: { unit: 'count', perDrink: 0, perTask: { descale: 1 }, lowLevel: 2, stockAttribute: 'descalerStock', usageAttribute: 'descalerPerDrink', lowLevelAttribute: 'descalerLowLevel' },
+};
+
+const supplyIds = Object.keys(supplies);
+
+/**
+ * Spoken units, converted to the base unit of the supplies measured in them.
+ */
+const units = {
+    gram: { unit: 'weight', factor: 1 },
+    kilogram: { unit: 'weight', factor: 1000 },
+    pound: { unit: 'weight', factor: 454 },
+    milliliter: { unit: 'volume', factor: 1 },
+    liter: { unit: 'volume', factor: 1000 },
+    piece: { unit: 'count', factor: 1 },
+};
+
+const MAX_AMOUNT = 100000;
+
+/**
+ * Get the supply named by the `supply` slot, undefined when the slot is
+ * empty and null if unknown.
+ */
+const getSupplyFromSlot = (request) => {
+    const id = getSlotId(request, 'supply');
+    if (id === undefined) {
+        return undefined;
+    }
+    return supplies[id] ? id : null;
+};
+
+/**
+ * Get the amount given by the `amount` and `unit` slots in the base unit of
+ * the supply. Without a unit the amount is taken in the base unit.
+ * Returns NaN when the amount is missing or not usable for the supply.
+ */
+const getSlotAmount = (request, supplyId) => {
+    const slot = ((request.intent || {}).slots || {}).amount;
+    const amount = slot && slot.value ? Number(slot.value) : NaN;
+    const unitId = getSlotId(request, 'unit');
+    const unit = unitId === undefined ? { unit: supplies[supplyId].unit, factor: 1 } : units[unitId];
+    if (!unit || unit.unit !== supplies[supplyId].unit) {
+        return NaN;
+    }
+    const value = Math.round(amount * unit.factor);
+    return value >= 0 && value <= MAX_AMOUNT ? value : NaN;
+};
+
+/**
+ * Returns whether the item keeps track of the supply.
+ */
+const isTracked = (item, supplyId) => {
+    return item[supplies[supplyId].stockAttribute] !== undefined;
+};
+
+/**
+ * Get what is left of a supply, never below zero, or undefined if not tracked.
+ */
+const getStock = (item, supplyId) => {
+    if (!isTracked(item, supplyId)) {
+        return undefined;
+    }
+    return Math.max(item[supplies[supplyId].stockAttribute], 0);
+};
+
+/**
+ * Get how much of a supply a coffee uses: the user's own rate, else the default.
+ * Drinks of a known type only use milk when made with milk, by default the
+ * amount of the drink type.
+ */
+const getUsagePerDrink = (item, supplyId, drinkType) => {
+    const rate = item[supplies[supplyId].usageAttribute];
+    if (supplyId === 'milk' && drinkType) {
+        if (!drinkTypes.isMilkDrink(drinkType)) {
+            return 0;
+        }
+        return rate !== undefined ? rate : drinkTypes.drinkTypes[drinkType].milk;
+    }
+    return rate !== undefined ? rate : supplies[supplyId].perDrink;
+};
+
+/**
+ * Get the level below which a supply is reported as running low.
+ */
+const getLowLevel = (item, supplyId) => {
+    const level = item[supplies[supplyId].lowLevelAttribute];
+    return level !== undefined ? level : supplies[supplyId].lowLevel;
+};
+
+/**
+ * Get how much of each tracked supply `amount` coffees of `drinkType`, if
+ * known, use as a map from the stock attribute to the amount used. Supplies
+ * that are not used are left out.
+ */
+const getDrinkUsage = (item, amount, drinkType) => {
+    const usage = {};
+    supplyIds.forEach(supplyId => {
+        const used = getUsagePerDrink(item, supplyId, drinkType) * amount;
+        if (isTracked(item, supplyId) && used > 0) {
+            usage[supplies[supplyId].stockAttribute] = used;
+        }
+    });
+    return usage;
+};
+
+/**
+ * Get how much of each tracked supply a maintenance task uses, like getDrinkUsage.
+ */
+const getTaskUsage = (item, taskId) => {
+    const usage = {};
+    supplyIds.forEach(supplyId => {
+        const used = (supplies[supplyId].perTask || {})[taskId];
+        if (isTracked(item, supplyId) && used) {
+            usage[supplies[supplyId].stockAttribute] = used;
+        }
+    });
+    return usage;
+};
+
+/**
+ * Get the ids of the tracked supplies that are below their low stock level.
+ * Only the supplies in `supplyIdsToCheck` are checked, all when not given.
+ */
+const getLowSupplies = (item, supplyIdsToCheck) => {
+    return (supplyIdsToCheck || supplyIds).filter(supplyId => {
+        return isTracked(item, supplyId) && getStock(item, supplyId) < getLowLevel(item, supplyId);
+    });
+};
+
+/**
+ * Get the ids of the supplies the given usage map takes from.
+ */
+const getUsedSupplies = (usage) => {
+    return supplyIds.filter(supplyId => usage[supplies[supplyId].stockAttribute] !== undefined);
+};
+
+/**
+ * Export the list of needed for clients to use
+ **/
+module.exports = {
+    supplies,
+    supplyIds,
+    units,
+    MAX_AMOUNT,
+    getSupplyFromSlot,
+    getSlotAmount,
+    isTracked,
+    getStock,
+    getUsagePerDrink,
+    getLowLevel,
+    getDrinkUsage,
+    getTaskUsage,
+    getLowSupplies,
+    getUsedSupplies
+};
@@ -0,0 +1,76 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const storage = require('../storage');
+const exporter = require('../export');
+
+const USER_ID = 'amzn1.ask.account.EXPORT';
+const PERSON_ID = 'amzn1.ask.person.EXPORT';
+
+describe('export', () => {
+    let directory;
+    let storageFile;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'coffee-export-'));
+        storageFile = path.join(directory, 'local-storage.json');
+        fs.writeFileSync(storageFile, JSON.stringify([
+            {
+                id: USER_ID,
+                count: 3,
+                machines: { wrapperName: 'Set', type: 'String', values: ['office'] },
+                history: [
+                    { type: 'coffee', at: '2020-01-01T08:00:00.000Z', amount: 2, drink: 'latte', person: PERSON_ID },
+                    { type: 'maintenance', at: '2020-01-03T08:00:00.000Z', task: 'cleaning' },
+                ],
+                people: { wrapperName: 'Set', type: 'String', values: [PERSON_ID] },
+            },
+            {
+                id: `${USER_ID}#machine#office`,
+                count: 1,
+                history: [{ type: 'coffee', at: '2020-01-02T08:00:00.000Z', amount: 1 }],
+            },
+            { id: PERSON_ID, count: 2 },
+            { id: 'amzn1.ask.account.OTHER', count: 9 },
+        ]));
+    });
+
+    afterEach(() => {
+        storage.setStorage(storage.createStorage({ backend: 'memory' }));
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('writes the history of every machine as CSV, oldest first', async () => {
+        const csv = await exporter.run([USER_ID, '--storage-file', storageFile]);
+        assert.strictEqual(csv, [
+            'machine,type,at,amount,drink,person,task',
+            `home,coffee,2020-01-01T08:00:00.000Z,2,latte,${PERSON_ID},`,
+            'office,coffee,2020-01-02T08:00:00.000Z,1,,,',
+            'home,maintenance,2020-01-03T08:00:00.000Z,,,,cleaning',
+            '',
+        ].join('\n'));
+    });
+
+    it('writes every item of the user as JSON to the output file', async () => {
+        const output = path.join(directory, 'export.json');
+        await exporter.run([USER_ID, '--format', 'json', '--output', output, '--storage-file', storageFile]);
+        const data = JSON.parse(fs.readFileSync(output, 'utf8'));
+        assert.deepStrictEqual(data.machines.map(machine => [machine.name, machine.item.count]), [['home', 3], ['office', 1]]);
+        assert.deepStrictEqual(data.machines[0].item.people, [PERSON_ID]);
+        assert.deepStrictEqual(data.people, [{ id: PERSON_ID, item: { id: PERSON_ID, count: 2 } }]);
+    });
+
+    it('exports nothing but the header for unknown users', async () => {
+        const csv = await exporter.run(['amzn1.ask.account.UNKNOWN', '--storage-file', storageFile]);
+        assert.strictEqual(csv, 'machine,type,at,amount,drink,person,task\n');
+    });
+
+    it('rejects unknown arguments with the usage', () => {
+        assert.throws(() => exporter.parseArgs([]), /^Error: usage:/);
+        assert.throws(() => exporter.parseArgs([USER_ID, '--format', 'xml']), /^Error: usage:/);
+        assert.throws(() => exporter.parseArgs([USER_ID, '--verbose']), /^Error: usage:/);
+    });
+});
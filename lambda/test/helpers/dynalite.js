@@ -0,0 +1,44 @@
+/**
+ * Dynalite - Local DynamoDB server for running the storage tests against the
+ * DynamoDB backend without AWS
+ **/
+'use strict';
+
+const AWS = require('aws-sdk');
+const dynalite = require('dynalite');
+
+const TABLE_NAME = 'coffee';
+
+/**
+ * Starts an in-memory DynamoDB on a free local port with the skill's table.
+ * Resolves with { client, tableName, close() } where client is a
+ * DocumentClient talking to it.
+ */
+const startDynalite = async () => {
+    const server = dynalite({ createTableMs: 0 });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const options = {
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        region: 'us-east-1',
+        accessKeyId: 'local',
+        secretAccessKey: 'local',
+    };
+    await new AWS.DynamoDB(options).createTable({
+        TableName: TABLE_NAME,
+        KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+        AttributeDefinitions: [{ AttributeName: 'id', AttributeType: 'S' }],
+        BillingMode: 'PAY_PER_REQUEST',
+    }).promise();
+    return {
+        client: new AWS.DynamoDB.DocumentClient(options),
+        tableName: TABLE_NAME,
+        close: () => new Promise(closed => server.close(closed)),
+    };
+};
+
+/**
+ * Export the list of needed for clients to use
+ **/
+module.exports = {
+    startDynalite
+};
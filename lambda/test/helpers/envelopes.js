@@ -0,0 +1,122 @@
+/**
+ * Envelopes - Builds request envelopes as Alexa sends them to the skill
+ **/
+'use strict';
+
+const USER_ID = 'amzn1.ask.account.TEST';
+const DEVICE_ID = 'amzn1.ask.device.TEST';
+
+/**
+ * Builds the envelope around a request.
+ * options:
+ *   apl               - the device has a screen supporting APL
+ *   person            - personId of the recognized speaker
+ *   permissions       - the user granted the skill's permissions
+ *   sessionAttributes - attributes carried over from the previous turn
+ *   dialogState, confirmationStatus - the intent's dialog progress (COMPLETED, NONE)
+ *   userId, locale
+ */
+const envelope = (request, options) => {
+    const settings = options || {};
+    const userId = settings.userId || USER_ID;
+    const user = { userId: userId };
+    if (settings.permissions) {
+        user.permissions = { consentToken: 'consent-token' };
+    }
+    const supportedInterfaces = {};
+    if (settings.apl) {
+        supportedInterfaces['Alexa.Presentation.APL'] = { runtime: { maxVersion: '1.6' } };
+    }
+    const system = {
+        application: { applicationId: 'amzn1.ask.skill.TEST' },
+        user: user,
+        device: { deviceId: DEVICE_ID, supportedInterfaces: supportedInterfaces },
+        apiEndpoint: 'https://api.amazonalexa.com',
+        apiAccessToken: 'api-access-token',
+    };
+    if (settings.person) {
+        system.person = { personId: settings.person, accessToken: 'person-access-token' };
+    }
+    return {
+        version: '1.0',
+        session: {
+            new: !settings.sessionAttributes,
+            sessionId: 'amzn1.echo-api.session.TEST',
+            application: { applicationId: 'amzn1.ask.skill.TEST' },
+            user: { userId: userId },
+            attributes: settings.sessionAttributes || {},
+        },
+        context: { System: system },
+        request: Object.assign({
+            requestId: 'amzn1.echo-api.request.TEST',
+            timestamp: new Date().toISOString(),
+            locale: settings.locale || 'en-US',
+        }, request),
+    };
+};
+
+/**
+ * Builds a slot. A value given as { value, id } is resolved to that id as a
+ * custom slot value, anything else is sent as the spoken value.
+ */
+const slot = (name, value) => {
+    if (value !== null && typeof value === 'object') {
+        return {
+            name: name,
+            value: value.value,
+            resolutions: {
+                resolutionsPerAuthority: [{
+                    authority: `amzn1.er-authority.echo-sdk.TEST.${name}`,
+                    status: { code: value.id ? 'ER_SUCCESS_MATCH' : 'ER_SUCCESS_NO_MATCH' },
+                    values: value.id ? [{ value: { name: value.value, id: value.id } }] : undefined,
+                }],
+            },
+        };
+    }
+    return { name: name, value: value === undefined ? undefined : String(value) };
+};
+
+const launchRequest = (options) => envelope({ type: 'LaunchRequest' }, options);
+
+const intentRequest = (name, slots, options) => {
+    const intentSlots = {};
+    Object.keys(slots || {}).forEach(slotName => {
+        intentSlots[slotName] = slot(slotName, slots[slotName]);
+    });
+    const settings = options || {};
+    return envelope({
+        type: 'IntentRequest',
+        dialogState: settings.dialogState || 'COMPLETED',
+        intent: { name: name, confirmationStatus: settings.confirmationStatus || 'NONE', slots: intentSlots },
+    }, options);
+};
+
+const sessionEndedRequest = (options) => envelope({ type: 'SessionEndedRequest', reason: 'USER_INITIATED' }, options);
+
+const userEvent = (args, options) => envelope({
+    type: 'Alexa.Presentation.APL.UserEvent',
+    token: 'dashboardToken',
+    arguments: args,
+}, options);
+
+/**
+ * Builds a skill event such as AlexaSkillEvent.SkillDisabled, which is sent
+ * without a session.
+ */
+const skillEvent = (type, body, options) => {
+    const event = envelope({ type: type, body: body }, options);
+    delete event.session;
+    return event;
+};
+
+/**
+ * Export the list of needed for clients to use
+ **/
+module.exports = {
+    USER_ID,
+    launchRequest,
+    intentRequest,
+    sessionEndedRequest,
+    userEvent,
+    skillEvent
+};
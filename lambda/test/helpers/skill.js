@@ -0,0 +1,93 @@
+/**
+ * Skill - Runs envelopes through the skill's lambda handler against local storage
+ **/
+'use strict';
+
+const storage = require('../../storage');
+const reminderUtil = require('../../reminderUtil');
+const timeZoneUtil = require('../../timeZoneUtil');
+const skill = require('../../index');
+
+/**
+ * Replaces the storage with an empty in-memory one and returns it.
+ */
+const useLocalStorage = () => {
+    const localStorage = storage.createStorage({ backend: 'memory' });
+    storage.setStorage(localStorage);
+    return localStorage;
+};
+
+/**
+ * Replaces the reminders client with a fake recording the calls made to it.
+ */
+const useFakeReminders = (options) => {
+    const fake = {
+        created: [],
+        deleted: [],
+        createReminder: async (reminder) => {
+            if ((options || {}).error) {
+                throw options.error;
+            }
+            fake.created.push(reminder);
+            return { alertToken: `token-${fake.created.length}` };
+        },
+        deleteReminder: async (token) => {
+            fake.deleted.push(token);
+        },
+    };
+    reminderUtil.setReminderClientFactory(() => fake);
+    return fake;
+};
+
+/**
+ * Replaces the settings client with a fake answering every device with the
+ * time zone, recording the devices asked for.
+ */
+const useTimeZone = (timeZone) => {
+    const fake = {
+        devices: [],
+        getSystemTimeZone: async (deviceId) => {
+            fake.devices.push(deviceId);
+            return timeZone;
+        },
+    };
+    timeZoneUtil.setUpsClientFactory(() => fake);
+    return fake;
+};
+
+/**
+ * Invokes the lambda handler with the envelope and the Lambda `context`, if
+ * given, resolves with the response envelope.
+ */
+const invoke = (envelope, context) => {
+    return new Promise((resolve, reject) => {
+        skill.handler(envelope, context || {}, (error, response) => error ? reject(error) : resolve(response));
+    });
+};
+
+/**
+ * Get the SSML spoken by a response envelope without the speak tags.
+ */
+const speech = (responseEnvelope) => {
+    const outputSpeech = responseEnvelope.response.outputSpeech;
+    return outputSpeech ? outputSpeech.ssml.replace(/^<speak>|<\/speak>$/g, '') : undefined;
+};
+
+/**
+ * Get a stored item, undefined when it doesn't exist.
+ */
+const getItem = async (localStorage, id) => {
+    return (await localStorage.get({ Key: { id: id } })).Item;
+};
+
+/**
+ * Export the list of needed for clients to use
+ **/
+module.exports = {
+    useLocalStorage,
+    useFakeReminders,
+    useTimeZone,
+    invoke,
+    speech,
+    getItem
+};
@@ -0,0 +1,49 @@
+/**
+ * Webhook Server - Local HTTP stub recording the webhook requests it receives
+ **/
+'use strict';
+
+const http = require('http');
+
+/**
+ * Starts a server on a free local port. `respond(response, number)` answers
+ * the request numbered from 1, every request is accepted with 200 by default;
+ * a response it never ends keeps the request waiting.
+ * Resolves with { url, requests, close() } where requests holds the headers,
+ * raw body and parsed payload of each request.
+ */
+const startWebhookServer = (respond) => {
+    const server = { requests: [] };
+    const httpServer = http.createServer((request, response) => {
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', chunk => {
+            body += chunk;
+        });
+        request.on('end', () => {
+            server.requests.push({ headers: request.headers, body: body, payload: JSON.parse(body) });
+            if (respond) {
+                respond(response, server.requests.length);
+            } else {
+                response.end();
+            }
+        });
+    });
+    return new Promise(resolve => {
+        httpServer.listen(0, '127.0.0.1', () => {
+            server.url = `http://127.0.0.1:${httpServer.address().port}/hook`;
+            server.close = () => new Promise(closed => {
+                httpServer.closeAllConnections();
+                httpServer.close(closed);
+            });
+            resolve(server);
+        });
+    });
+};
+
+/**
+ * Export the list of needed for clients to use
+ **/
+module.exports = {
+    startWebhookServer
+};
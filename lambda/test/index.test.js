@@ -0,0 +1,1062 @@
+'use strict';
+
+const assert = require('assert');
+const reminderUtil = require('../reminderUtil');
+const timeZoneUtil = require('../timeZoneUtil');
+const envelopes = require('./helpers/envelopes');
+const { useLocalStorage, useFakeReminders, useTimeZone, invoke, speech, getItem } = require('./helpers/skill');
+const { startWebhookServer } = require('./helpers/webhookServer');
+
+const USER_ID = envelopes.USER_ID;
+const PERSON_ID = 'amzn1.ask.person.TEST';
+const CONFIRMED = { confirmationStatus: 'CONFIRMED' };
+
+describe('coffee machine skill', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = useLocalStorage();
+        useTimeZone('UTC');
+    });
+
+    afterEach(() => {
+        reminderUtil.setReminderClientFactory();
+        timeZoneUtil.setUpsClientFactory();
+    });
+
+    const seed = (item) => storage.put({ Item: Object.assign({ id: USER_ID }, item) });
+
+    describe('LaunchRequest', () => {
+        it('welcomes the user and keeps the session open', async () => {
+            const response = await invoke(envelopes.launchRequest());
+            assert.strictEqual(speech(response), 'Welcome to coffee machine skill. You can say make coffee, perform cleaning or count coffee');
+            assert.ok(response.response.reprompt);
+            assert.strictEqual(response.response.directives, undefined);
+        });
+
+        it('greets a recognized speaker by name', async () => {
+            const response = await invoke(envelopes.launchRequest({ person: PERSON_ID }));
+            assert.ok(speech(response).startsWith(`Welcome <alexa:name type="first" personId="${PERSON_ID}" />.`));
+        });
+
+        it('renders the dashboard on screen devices', async () => {
+            await seed({ count: 12, lastMaintenance: 2 });
+            const response = await invoke(envelopes.launchRequest({ apl: true }));
+            const directive = response.response.directives[0];
+            assert.strictEqual(directive.type, 'Alexa.Presentation.APL.RenderDocument');
+            assert.strictEqual(directive.datasources.dashboard.properties.countText, '12 coffees');
+            assert.strictEqual(directive.datasources.dashboard.properties.progressValue, 10);
+            assert.strictEqual(directive.datasources.dashboard.properties.progressTotal, 40);
+        });
+    });
+
+    describe('MakeCoffeeIntent', () => {
+        it('creates the item on the first coffee', async () => {
+            const response = await invoke(envelopes.intentRequest('MakeCoffeeIntent'));
+            assert.strictEqual(speech(response), 'Coffee recorded. Your coffee count is now 1. 39 coffees left before cleaning.');
+            const item = await getItem(storage, USER_ID);
+            assert.strictEqual(item.count, 1);
+            assert.strictEqual(item.lastMaintenance, 0);
+            assert.strictEqual(item.history.length, 1);
+            assert.strictEqual(item.history[0].type, 'coffee');
+        });
+
+        it('adds to an existing count', async () => {
+            await seed({ count: 5, lastMaintenance: 0 });
+            const response = await invoke(envelopes.intentRequest('MakeCoffeeIntent'));
+            assert.strictEqual(speech(response), 'Coffee recorded. Your coffee count is now 6. 34 coffees left before cleaning.');
+            assert.strictEqual((await getItem(storage, USER_ID)).count, 6);
+        });
+
+        it('records several coffees from the coffeeCount slot', async () => {
+            const response = await invoke(envelopes.intentRequest('MakeCoffeeIntent', { coffeeCount: 3 }));
+            assert.strictEqual(speech(response), '3 coffees recorded. Your coffee count is now 3. 37 coffees left before cleaning.');
+            assert.strictEqual((await getItem(storage, USER_ID)).count, 3);
+        });
+
+        ['0', '-2', '500', '?'].forEach(value => {
+            it(`rejects ${value} coffees`, async () => {
+                const response = await invoke(envelopes.intentRequest('MakeCoffeeIntent', { coffeeCount: value }));
+                assert.strictEqual(speech(response), 'Sorry, I can only record between 1 and 20 coffees at a time. How many coffees did you make?');
+                assert.strictEqual(await getItem(storage, USER_ID), undefined);
+            });
+        });
+
+        it('says when a batch reaches the cleaning threshold and offers a reminder', async () => {
+            await seed({ count: 38, lastMaintenance: 0 });
+            const response = await invoke(envelopes.intentRequest('MakeCoffeeIntent', { coffeeCount: 3 }));
+            assert.strictEqual(speech(response), '3 coffees recorded. Your coffee count is now 41. '
+                + 'You have just reached 40 coffees since the last cleaning. Please clean your machine as soon as possible. '
+                + 'Also due: emptying the drip tray. Would you like me to remind you tomorrow at 8 to clean it?');
+            assert.strictEqual(response.response.shouldEndSession, false);
+            assert.strictEqual(response.sessionAttributes.pendingQuestion, 'cleaningReminder');
+        });
+
+        it('keeps asking for cleaning once past the threshold', async () => {
+            await seed({ count: 45, lastMaintenance: 0, lastDripTray: 45 });
+            const response = await invoke(envelopes.intentRequest('MakeCoffeeIntent'));
+            assert.strictEqual(speech(response), 'Coffee recorded. Your coffee count is now 46. Please clean your machine as soon as possible.');
+        });
+
+        it('attributes the coffee to the recognized speaker', async () => {
+            await seed({ count: 10, lastMaintenance: 0, lastDripTray: 10 });
+            const response = await invoke(envelopes.intentRequest('MakeCoffeeIntent', { coffeeCount: 2 }, { person: PERSON_ID }));
+            assert.strictEqual(speech(response), `<alexa:name type="first" personId="${PERSON_ID}" />, your 2 coffees are recorded. `
+                + 'You have had 2 coffees. The machine count is now 12. 28 coffees left before cleaning.');
+            assert.strictEqual((await getItem(storage, PERSON_ID)).count, 2);
+            assert.deepStrictEqual((await getItem(storage, USER_ID)).people.values, [PERSON_ID]);
+        });
+
+        it('writes the speaker\'s count and the machine\'s together', async () => {
+            await seed({ count: 10, lastMaintenance: 0 });
+            // a count DynamoDB can't add to fails the whole transaction
+            await storage.put({ Item: { id: PERSON_ID, count: 'broken' } });
+            const response = await invoke(envelopes.intentRequest('MakeCoffeeIntent', {}, { person: PERSON_ID }));
+            assert.ok(speech(response).startsWith('Sorry'), speech(response));
+            assert.strictEqual((await getItem(storage, USER_ID)).count, 10);
+            assert.strictEqual((await getItem(storage, USER_ID)).people, undefined);
+        });
+    });
+
+    describe('CountCoffeeIntent', () => {
+        it('reads back the count and the coffees left before cleaning', async () => {
+            await seed({ count: 25, lastMaintenance: 20, lastDripTray: 20 });
+            const response = await invoke(envelopes.intentRequest('CountCoffeeIntent'));
+            assert.strictEqual(speech(response), 'You have made 25 coffees. 35 coffees left before cleaning.');
+        });
+
+        it('counts every coffee when asked about plain coffees', async () => {
+            await seed({ count: 25, lastMaintenance: 20, lastDripTray: 20, espressoCount: 4 });
+            const response = await invoke(envelopes.intentRequest('CountCoffeeIntent', { drink: { value: 'coffees', id: 'coffee' } }));
+            assert.strictEqual(speech(response), 'You have made 25 coffees. 35 coffees left before cleaning.');
+        });
+
+        it('works before any coffee was recorded', async () => {
+            const response = await invoke(envelopes.intentRequest('CountCoffeeIntent'));
+            assert.strictEqual(speech(response), 'You have made 0 coffees. 40 coffees left before cleaning.');
+        });
+
+        it('uses the interval set by the user', async () => {
+            await seed({ count: 25, lastMaintenance: 20, lastDripTray: 20, cleaningInterval: 10 });
+            const response = await invoke(envelopes.intentRequest('CountCoffeeIntent'));
+            assert.strictEqual(speech(response), 'You have made 25 coffees. 5 coffees left before cleaning.');
+        });
+    });
+
+    describe('PerformMaintenanceIntent', () => {
+        it('records cleaning at the current count', async () => {
+            await seed({ count: 41, lastMaintenance: 0 });
+            const response = await invoke(envelopes.intentRequest('PerformMaintenanceIntent', {}, CONFIRMED));
+            assert.strictEqual(speech(response), 'You have cleaned the machine on coffee number 41.');
+            const item = await getItem(storage, USER_ID);
+            assert.strictEqual(item.lastMaintenance, 41);
+            assert.ok(item.lastMaintenanceAt);
+        });
+
+        it('records the task named by the slot', async () => {
+            await seed({ count: 41, lastMaintenance: 0 });
+            const response = await invoke(envelopes.intentRequest('PerformMaintenanceIntent', { task: { value: 'descaled', id: 'descale' } }, CONFIRMED));
+            assert.strictEqual(speech(response), 'Got it, I recorded descaling on coffee number 41.');
+            const item = await getItem(storage, USER_ID);
+            assert.strictEqual(item.lastDescale, 41);
+            assert.strictEqual(item.lastMaintenance, 0);
+        });
+
+        it('rejects unknown tasks', async () => {
+            const response = await invoke(envelopes.intentRequest('PerformMaintenanceIntent', { task: { value: 'polished' } }));
+            assert.ok(speech(response).startsWith('Sorry, I don\'t know that maintenance task.'));
+        });
+
+        it('cancels the pending cleaning reminder', async () => {
+            const reminders = useFakeReminders();
+            await seed({ count: 41, lastMaintenance: 0, cleaningReminderToken: 'token-1' });
+            const response = await invoke(envelopes.intentRequest('PerformMaintenanceIntent', {}, CONFIRMED));
+            assert.strictEqual(speech(response), 'You have cleaned the machine on coffee number 41. I also cancelled your cleaning reminder.');
+            assert.deepStrictEqual(reminders.deleted, ['token-1']);
+            assert.strictEqual((await getItem(storage, USER_ID)).cleaningReminderToken, undefined);
+        });
+
+        it('asks to confirm the cleaning with the coffees since the last one', async () => {
+            await seed({ count: 41, lastMaintenance: 6 });
+            const response = await invoke(envelopes.intentRequest('PerformMaintenanceIntent', {}, { dialogState: 'STARTED' }));
+            assert.strictEqual(speech(response), 'You are at 35 coffees since the last cleaning. Should I mark the machine as cleaned?');
+            assert.strictEqual(response.response.directives[0].type, 'Dialog.ConfirmIntent');
+            assert.strictEqual(response.response.shouldEndSession, false);
+            assert.strictEqual((await getItem(storage, USER_ID)).lastMaintenance, 6);
+        });
+
+        it('asks to confirm the task named by the slot', async () => {
+            await seed({ count: 41, lastMaintenance: 6, lastDescale: 40 });
+            const response = await invoke(envelopes.intentRequest('PerformMaintenanceIntent', { task: { value: 'descaled', id: 'descale' } }, { dialogState: 'STARTED' }));
+            assert.strictEqual(speech(response), 'It has been 1 coffee since descaling was last recorded. Should I record it now?');
+        });
+
+        it('asks which task was done when the cleaning is denied', async () => {
+            await seed({ count: 41, lastMaintenance: 6 });
+            const response = await invoke(envelopes.intentRequest('PerformMaintenanceIntent', {}, { dialogState: 'IN_PROGRESS', confirmationStatus: 'DENIED' }));
+            assert.ok(speech(response).startsWith('Okay, I didn\'t record the cleaning.'));
+            const directive = response.response.directives[0];
+            assert.strictEqual(directive.type, 'Dialog.ElicitSlot');
+            assert.strictEqual(directive.slotToElicit, 'task');
+            assert.strictEqual(directive.updatedIntent.confirmationStatus, 'NONE');
+            assert.strictEqual((await getItem(storage, USER_ID)).lastMaintenance, 6);
+        });
+
+        it('records nothing when a named task is denied', async () => {
+            await seed({ count: 41, lastMaintenance: 6 });
+            const response = await invoke(envelopes.intentRequest('PerformMaintenanceIntent', { task: { value: 'descaled', id: 'descale' } },
+                { dialogState: 'IN_PROGRESS', confirmationStatus: 'DENIED' }));
+            assert.strictEqual(speech(response), 'Okay, I didn\'t record anything.');
+            assert.strictEqual(response.response.directives, undefined);
+            assert.strictEqual((await getItem(storage, USER_ID)).lastDescale, undefined);
+        });
+    });
+
+    describe('cleaning reminders', () => {
+        const answer = (intentName, options) => envelopes.intentRequest(intentName, {},
+            Object.assign({ sessionAttributes: { pendingQuestion: 'cleaningReminder' } }, options));
+
+        it('asks for permission with a consent card', async () => {
+            const reminders = useFakeReminders();
+            const response = await invoke(answer('AMAZON.YesIntent'));
+            assert.strictEqual(response.response.card.type, 'AskForPermissionsConsent');
+            assert.strictEqual(reminders.created.length, 0);
+        });
+
+        it('schedules the reminder when permitted', async () => {
+            const reminders = useFakeReminders();
+            const response = await invoke(answer('AMAZON.YesIntent', { permissions: true }));
+            assert.strictEqual(speech(response), 'Okay, I will remind you tomorrow at 8 to clean the machine.');
+            assert.strictEqual(reminders.created.length, 1);
+            assert.ok(reminders.created[0].trigger.scheduledTime.endsWith('T08:00:00.000'));
+            assert.strictEqual((await getItem(storage, USER_ID)).cleaningReminderToken, 'token-1');
+        });
+
+        it('schedules the reminder for tomorrow in the device\'s time zone', async () => {
+            // a zone whose date differs from the UTC date right now, neither has daylight saving time
+            const HOUR = 60 * 60 * 1000;
+            const offset = new Date().getUTCHours() >= 12 ? 14 : -11;
+            useTimeZone(offset > 0 ? 'Pacific/Kiritimati' : 'Pacific/Pago_Pago');
+            const reminders = useFakeReminders();
+            await invoke(answer('AMAZON.YesIntent', { permissions: true }));
+            const tomorrow = new Date(Date.now() + 24 * HOUR + offset * HOUR).toISOString().slice(0, 10);
+            assert.strictEqual(reminders.created[0].trigger.scheduledTime, `${tomorrow}T08:00:00.000`);
+        });
+
+        it('does nothing when declined', async () => {
+            const reminders = useFakeReminders();
+            const response = await invoke(answer('AMAZON.NoIntent'));
+            assert.strictEqual(speech(response), 'Okay, no reminder.');
+            assert.strictEqual(reminders.created.length, 0);
+        });
+    });
+
+    describe('UndoLastActionIntent', () => {
+        it('takes the coffees off the speaker\'s count too', async () => {
+            await invoke(envelopes.intentRequest('MakeCoffeeIntent', { coffeeCount: 2 }, { person: PERSON_ID }));
+            await invoke(envelopes.intentRequest('MakeCoffeeIntent', { coffeeCount: 3 }, { person: PERSON_ID }));
+            await invoke(envelopes.intentRequest('UndoLastActionIntent'));
+            assert.strictEqual((await getItem(storage, USER_ID)).count, 2);
+            assert.strictEqual((await getItem(storage, PERSON_ID)).count, 2);
+        });
+
+        it('undoes the last coffees', async () => {
+            await invoke(envelopes.intentRequest('MakeCoffeeIntent', { coffeeCount: 2 }));
+            await invoke(envelopes.intentRequest('MakeCoffeeIntent', { coffeeCount: 3 }));
+            const response = await invoke(envelopes.intentRequest('UndoLastActionIntent'));
+            assert.strictEqual(speech(response), 'Undone. I took 3 off your coffee count, which is now 2.');
+            const item = await getItem(storage, USER_ID);
+            assert.strictEqual(item.history.length, 1);
+            assert.strictEqual(item.lastAction, undefined);
+        });
+
+        it('restores the previous maintenance', async () => {
+            await seed({ count: 41, lastMaintenance: 10 });
+            await invoke(envelopes.intentRequest('PerformMaintenanceIntent', {}, CONFIRMED));
+            const response = await invoke(envelopes.intentRequest('UndoLastActionIntent'));
+            assert.strictEqual(speech(response), 'Undone. I removed the last record of cleaning.');
+            const item = await getItem(storage, USER_ID);
+            assert.strictEqual(item.lastMaintenance, 10);
+            assert.strictEqual(item.lastMaintenanceAt, undefined);
+        });
+
+        it('removes the right event when the history was trimmed in the meantime', async () => {
+            const at = new Date().toISOString();
+            await seed({
+                count: 5,
+                lastMaintenance: 0,
+                lastAction: { type: 'coffee', at: at, amount: 1 },
+                history: [{ type: 'coffee', at: '2020-01-01T08:00:00.000Z', amount: 4 }, { type: 'coffee', at: at, amount: 1 }],
+            });
+            // another request trims the oldest event between the read and the write
+            const update = storage.update;
+            storage.update = async (params) => {
+                storage.update = update;
+                await update({ Key: { id: USER_ID }, UpdateExpression: 'REMOVE #h[0]', ExpressionAttributeNames: { '#h': 'history' } });
+                return update(params);
+            };
+            const response = await invoke(envelopes.intentRequest('UndoLastActionIntent'));
+            assert.strictEqual(speech(response), 'Undone. I took 1 off your coffee count, which is now 4.');
+            assert.deepStrictEqual((await getItem(storage, USER_ID)).history, []);
+        });
+
+        it('has nothing to undo on a new item', async () => {
+            const response = await invoke(envelopes.intentRequest('UndoLastActionIntent'));
+            assert.strictEqual(speech(response), 'There is nothing to undo.');
+        });
+    });
+
+    describe('SetCoffeeCountIntent', () => {
+        it('corrects the count and can be undone', async () => {
+            await seed({ count: 41, lastMaintenance: 40 });
+            let response = await invoke(envelopes.intentRequest('SetCoffeeCountIntent', { coffeeCount: 30 }));
+            assert.strictEqual(speech(response), 'Okay, your coffee count is now 30.');
+            assert.strictEqual((await getItem(storage, USER_ID)).lastMaintenance, 30);
+            response = await invoke(envelopes.intentRequest('UndoLastActionIntent'));
+            assert.strictEqual(speech(response), 'Undone. Your coffee count is back to 41.');
+            const item = await getItem(storage, USER_ID);
+            assert.strictEqual(item.count, 41);
+            assert.strictEqual(item.lastMaintenance, 40);
+        });
+    });
+
+    describe('settings', () => {
+        it('sets and reads the cleaning interval', async () => {
+            let response = await invoke(envelopes.intentRequest('SetMaintenanceIntervalIntent', { interval: 60 }));
+            assert.strictEqual(speech(response), 'Okay, cleaning is now due every 60 coffees.');
+            response = await invoke(envelopes.intentRequest('GetMaintenanceIntervalIntent'));
+            assert.strictEqual(speech(response), 'Your interval for cleaning is every 60 coffees.');
+        });
+
+        it('keeps the settings when the first coffee is recorded', async () => {
+            await invoke(envelopes.intentRequest('SetMaintenanceIntervalIntent', { interval: 60 }));
+            const response = await invoke(envelopes.intentRequest('MakeCoffeeIntent'));
+            assert.strictEqual(speech(response), 'Coffee recorded. Your coffee count is now 1. 59 coffees left before cleaning.');
+        });
+
+        it('applies the machine type preset', async () => {
+            await seed({ count: 0, lastMaintenance: 0, cleaningInterval: 99 });
+            const response = await invoke(envelopes.intentRequest('SetMachineTypeIntent', { machineType: { value: 'pod', id: 'capsule' } }));
+            assert.ok(speech(response).endsWith('Cleaning is due every 30 coffees.'));
+            assert.strictEqual((await getItem(storage, USER_ID)).cleaningInterval, undefined);
+        });
+
+        it('turns off the milk system tasks of capsule machines', async () => {
+            const lastWeek = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+            await seed({ count: 0, lastMaintenance: 0, lastMilkRinseAt: lastWeek, milkDrinkCount: 60 });
+            const before = await invoke(envelopes.intentRequest('CountCoffeeIntent'));
+            assert.ok(speech(before).endsWith('Also due: the milk system rinse and cleaning the milk system.'), speech(before));
+            await invoke(envelopes.intentRequest('SetMachineTypeIntent', { machineType: { value: 'pod', id: 'capsule' } }));
+            const after = await invoke(envelopes.intentRequest('CountCoffeeIntent'));
+            assert.strictEqual(speech(after), 'You have made 0 coffees. 30 coffees left before cleaning.');
+            const next = await invoke(envelopes.intentRequest('NextMaintenanceIntent', { task: { value: 'milk system', id: 'milkClean' } }));
+            assert.strictEqual(speech(next), 'I have no record of cleaning the milk system yet.');
+        });
+    });
+
+    describe('history', () => {
+        it('counts the coffees since a date', async () => {
+            await seed({
+                count: 5,
+                lastMaintenance: 0,
+                createdAt: '2020-01-01T00:00:00.000Z',
+                history: [
+                    { type: 'coffee', at: '2020-01-01T08:00:00.000Z', amount: 2 },
+                    { type: 'coffee', at: '2020-01-08T08:00:00.000Z', amount: 3 },
+                ],
+            });
+            const response = await invoke(envelopes.intentRequest('CoffeesSinceIntent', { date: '2020-01-06' }));
+            assert.strictEqual(speech(response), 'You have made 3 coffees since <say-as interpret-as="date">20200106</say-as>.');
+        });
+
+        it('tells when a task was last performed', async () => {
+            await seed({ count: 50, lastMaintenance: 0, lastDescale: 42, lastDescaleAt: '2020-02-03T08:00:00.000Z' });
+            const response = await invoke(envelopes.intentRequest('LastMaintenanceIntent', { task: { value: 'descaling', id: 'descale' } }));
+            assert.strictEqual(speech(response), 'You last recorded descaling on <say-as interpret-as="date">20200203</say-as>, on coffee number 42.');
+        });
+
+        it('reads dates and counts days in the device\'s time zone', async () => {
+            // Kiritimati is 14 hours ahead of UTC all year
+            useTimeZone('Pacific/Kiritimati');
+            const HOUR = 60 * 60 * 1000;
+            const localMidnight = Math.floor((Date.now() + 14 * HOUR) / (24 * HOUR)) * 24 * HOUR - 14 * HOUR;
+            await seed({
+                count: 5,
+                lastMaintenance: 0,
+                createdAt: '2020-01-01T00:00:00.000Z',
+                lastDescale: 3,
+                lastDescaleAt: '2020-01-05T12:00:00.000Z',
+                lastMaintenanceAt: new Date(localMidnight - 60000).toISOString(),
+                history: [
+                    { type: 'coffee', at: '2020-01-05T08:00:00.000Z', amount: 3 },
+                    { type: 'coffee', at: '2020-01-05T12:00:00.000Z', amount: 2 },
+                ],
+            });
+            const since = await invoke(envelopes.intentRequest('CoffeesSinceIntent', { date: '2020-01-06' }));
+            assert.strictEqual(speech(since), 'You have made 2 coffees since <say-as interpret-as="date">20200106</say-as>.');
+            const last = await invoke(envelopes.intentRequest('LastMaintenanceIntent', { task: { value: 'descaling', id: 'descale' } }));
+            assert.strictEqual(speech(last), 'You last recorded descaling on <say-as interpret-as="date">20200106</say-as>, on coffee number 3.');
+            const days = await invoke(envelopes.intentRequest('DaysSinceMaintenanceIntent', { task: { value: 'cleaning', id: 'cleaning' } }));
+            assert.strictEqual(speech(days), 'It has been 1 day since cleaning.');
+        });
+    });
+
+    describe('PersonalCountIntent', () => {
+        it('reads back the speaker\'s own coffees', async () => {
+            await storage.put({ Item: { id: PERSON_ID, count: 7 } });
+            const response = await invoke(envelopes.intentRequest('PersonalCountIntent', {}, { person: PERSON_ID }));
+            assert.strictEqual(speech(response), `<alexa:name type="first" personId="${PERSON_ID}" />, you have had 7 coffees.`);
+        });
+    });
+
+    describe('drink types', () => {
+        const cappuccino = { value: 'cappuccinos', id: 'cappuccino' };
+
+        it('counts drinks by type and milk drinks on their own', async () => {
+            await seed({ count: 0, lastMaintenance: 0, milkStock: 1000 });
+            const response = await invoke(envelopes.intentRequest('MakeCoffeeIntent', { coffeeCount: '2', drink: cappuccino }));
+            assert.strictEqual(speech(response), '2 cappuccinos recorded. Your coffee count is now 2. 38 coffees left before cleaning.');
+            await invoke(envelopes.intentRequest('MakeCoffeeIntent', { drink: { value: 'espresso', id: 'espresso' } }));
+            const item = await getItem(storage, USER_ID);
+            assert.strictEqual(item.count, 3);
+            assert.strictEqual(item.cappuccinoCount, 2);
+            assert.strictEqual(item.espressoCount, 1);
+            assert.strictEqual(item.milkDrinkCount, 2);
+            assert.strictEqual(item.milkStock, 800);
+            const count = await invoke(envelopes.intentRequest('CountCoffeeIntent', { drink: cappuccino }));
+            assert.strictEqual(speech(count), 'You have made 2 cappuccinos.');
+        });
+
+        it('undoes the drink counts with the coffees', async () => {
+            await invoke(envelopes.intentRequest('MakeCoffeeIntent', { drink: cappuccino }));
+            await invoke(envelopes.intentRequest('UndoLastActionIntent'));
+            const item = await getItem(storage, USER_ID);
+            assert.strictEqual(item.cappuccinoCount, 0);
+            assert.strictEqual(item.milkDrinkCount, 0);
+        });
+
+        it('counts drinks of a type since a date', async () => {
+            await seed({
+                count: 5,
+                lastMaintenance: 0,
+                createdAt: '2020-01-01T00:00:00.000Z',
+                history: [
+                    { type: 'coffee', at: '2020-01-01T08:00:00.000Z', amount: 1, drink: 'cappuccino' },
+                    { type: 'coffee', at: '2020-01-07T08:00:00.000Z', amount: 2, drink: 'cappuccino' },
+                    { type: 'coffee', at: '2020-01-08T08:00:00.000Z', amount: 2 },
+                ],
+            });
+            const response = await invoke(envelopes.intentRequest('CoffeesSinceIntent', { date: '2020-01-06', drink: cappuccino }));
+            assert.strictEqual(speech(response), 'You have made 2 cappuccinos since <say-as interpret-as="date">20200106</say-as>.');
+        });
+
+        it('asks again for a drink it does not know', async () => {
+            const response = await invoke(envelopes.intentRequest('MakeCoffeeIntent', { drink: 'mocha' }));
+            assert.strictEqual(speech(response), 'Sorry, I know espresso, lungo, cappuccino, latte and americano. Which drink did you make?');
+            assert.strictEqual(await getItem(storage, USER_ID), undefined);
+        });
+
+        it('makes the milk system cleaning due after enough milk drinks', async () => {
+            await seed({ count: 100, lastMaintenance: 99, lastDripTray: 99, milkDrinkCount: 49, lastMilkClean: 0 });
+            const response = await invoke(envelopes.intentRequest('MakeCoffeeIntent', { drink: { value: 'latte', id: 'latte' } }));
+            assert.ok(speech(response).endsWith('Also due: cleaning the milk system.'));
+            await invoke(envelopes.intentRequest('PerformMaintenanceIntent', { task: { value: 'milk system cleaning', id: 'milkClean' } }, CONFIRMED));
+            assert.strictEqual((await getItem(storage, USER_ID)).lastMilkClean, 50);
+        });
+    });
+
+    describe('statistics', () => {
+        const today = () => new Date().toISOString();
+
+        it('reads back the totals for a period', async () => {
+            await seed({
+                count: 3,
+                lastMaintenance: 0,
+                createdAt: today(),
+                history: [
+                    { type: 'coffee', at: today(), amount: 2, drink: 'cappuccino' },
+                    { type: 'coffee', at: today(), amount: 1 },
+                ],
+            });
+            const response = await invoke(envelopes.intentRequest('StatsIntent', { period: { value: 'today', id: 'day' } }));
+            assert.strictEqual(speech(response), 'Today you have made 3 coffees. That is about 210 milligrams of caffeine.');
+        });
+
+        it('gives an overview with the average and busiest day', async () => {
+            const now = today();
+            await seed({ count: 4, lastMaintenance: 0, createdAt: now, history: [{ type: 'coffee', at: now, amount: 4 }] });
+            const response = await invoke(envelopes.intentRequest('StatsIntent'));
+            const date = now.slice(0, 10).replace(/-/g, '');
+            assert.strictEqual(speech(response), 'Today you have made 4 coffees, 4 this week and 4 this month.'
+                + ' This month that is 4 a day on average.'
+                + ` Your busiest day was <say-as interpret-as="date">${date}</say-as> with 4 coffees.`
+                + ' Today\'s coffees have about 320 milligrams of caffeine.');
+        });
+
+        it('counts the days in the device\'s time zone', async () => {
+            // Kiritimati is 14 hours ahead of UTC all year
+            const devices = useTimeZone('Pacific/Kiritimati').devices;
+            const HOUR = 60 * 60 * 1000;
+            const localMidnight = Math.floor((Date.now() + 14 * HOUR) / (24 * HOUR)) * 24 * HOUR - 14 * HOUR;
+            await seed({
+                count: 3,
+                lastMaintenance: 0,
+                history: [
+                    { type: 'coffee', at: new Date(localMidnight - 60000).toISOString(), amount: 2 },
+                    { type: 'coffee', at: new Date(localMidnight + 1000).toISOString(), amount: 1 },
+                ],
+            });
+            const response = await invoke(envelopes.intentRequest('StatsIntent', { period: { value: 'today', id: 'day' } }));
+            assert.strictEqual(speech(response), 'Today you have made 1 coffee. That is about 80 milligrams of caffeine.');
+            assert.deepStrictEqual(devices, ['amzn1.ask.device.TEST']);
+        });
+
+        it('falls back to UTC when the time zone can\'t be read', async () => {
+            timeZoneUtil.setUpsClientFactory(() => ({ getSystemTimeZone: async () => { throw new Error('Forbidden'); } }));
+            await seed({ count: 1, lastMaintenance: 0, history: [{ type: 'coffee', at: new Date().toISOString(), amount: 1 }] });
+            const response = await invoke(envelopes.intentRequest('StatsIntent', { period: { value: 'today', id: 'day' } }));
+            assert.strictEqual(speech(response), 'Today you have made 1 coffee. That is about 80 milligrams of caffeine.');
+        });
+
+        it('warns when the daily caffeine limit is exceeded', async () => {
+            await invoke(envelopes.intentRequest('SetCaffeineLimitIntent', { limit: '100' }));
+            const first = await invoke(envelopes.intentRequest('MakeCoffeeIntent'));
+            assert.strictEqual(speech(first), 'Coffee recorded. Your coffee count is now 1. 39 coffees left before cleaning.');
+            const second = await invoke(envelopes.intentRequest('MakeCoffeeIntent'));
+            assert.ok(speech(second).endsWith('That makes about 160 milligrams of caffeine today, more than your daily limit of 100.'));
+        });
+
+        it('counts the caffeine of every machine towards the limits', async () => {
+            await seed({ count: 0, lastMaintenance: 0 });
+            await invoke(envelopes.intentRequest('AddMachineIntent', { machine: 'office' }));
+            await invoke(envelopes.intentRequest('SetDefaultMachineIntent', { machine: 'office' }));
+            await invoke(envelopes.intentRequest('SetCaffeineLimitIntent', { limit: '100' }));
+            assert.strictEqual((await getItem(storage, USER_ID)).caffeineLimit, 100);
+            await invoke(envelopes.intentRequest('MakeCoffeeIntent', { machine: 'home' }));
+            const account = await invoke(envelopes.intentRequest('MakeCoffeeIntent'));
+            assert.ok(speech(account).endsWith('more than your daily limit of 100.'), speech(account));
+            await invoke(envelopes.intentRequest('SetCaffeineLimitIntent', { limit: '100' }, { person: PERSON_ID }));
+            await invoke(envelopes.intentRequest('MakeCoffeeIntent', {}, { person: PERSON_ID }));
+            const person = await invoke(envelopes.intentRequest('MakeCoffeeIntent', { machine: 'home' }, { person: PERSON_ID }));
+            assert.ok(speech(person).endsWith('That makes about 160 milligrams of caffeine today, more than your daily limit of 100.'), speech(person));
+        });
+
+        it('keeps a speaker\'s own caffeine limit', async () => {
+            await invoke(envelopes.intentRequest('SetCaffeineLimitIntent', { limit: '100' }, { person: PERSON_ID }));
+            assert.strictEqual((await getItem(storage, PERSON_ID)).caffeineLimit, 100);
+            await invoke(envelopes.intentRequest('MakeCoffeeIntent', { coffeeCount: '2' }));
+            const response = await invoke(envelopes.intentRequest('MakeCoffeeIntent', {}, { person: PERSON_ID }));
+            assert.ok(!speech(response).includes('caffeine'));
+        });
+    });
+
+    describe('NextMaintenanceIntent', () => {
+        const DAY = 24 * 60 * 60 * 1000;
+        const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+        const daysAgo = (days) => new Date(Date.now() - days * DAY).toISOString();
+
+        // 20 coffees in the last 10 days make 2 a day
+        const seedUsage = () => seed({
+            count: 34,
+            lastMaintenance: 0,
+            lastDripTray: 30,
+            createdAt: daysAgo(10),
+            history: [{ type: 'coffee', at: daysAgo(5), amount: 20 }],
+        });
+
+        it('estimates the cleaning day from the usage rate', async () => {
+            await seedUsage();
+            const response = await invoke(envelopes.intentRequest('NextMaintenanceIntent'));
+            const day = WEEKDAYS[new Date(Date.now() + 3 * DAY).getUTCDay()];
+            assert.strictEqual(speech(response), `At your current rate, cleaning will probably be due on ${day}.`);
+        });
+
+        it('adds the estimate to the coffee count', async () => {
+            await seedUsage();
+            const response = await invoke(envelopes.intentRequest('CountCoffeeIntent'));
+            const day = WEEKDAYS[new Date(Date.now() + 3 * DAY).getUTCDay()];
+            assert.strictEqual(speech(response), `You have made 34 coffees. 6 coffees left before cleaning. At your current rate, cleaning will probably be due on ${day}.`);
+        });
+
+        it('falls back to the coffees left without enough history', async () => {
+            await seed({ count: 4, lastMaintenance: 0, createdAt: daysAgo(1), history: [{ type: 'coffee', at: daysAgo(1), amount: 4 }] });
+            const response = await invoke(envelopes.intentRequest('NextMaintenanceIntent'));
+            assert.strictEqual(speech(response), 'I need a few more days of coffees to estimate when cleaning will be due. For now, it is due in 36 coffees.');
+            const count = await invoke(envelopes.intentRequest('CountCoffeeIntent'));
+            assert.strictEqual(speech(count), 'You have made 4 coffees. 36 coffees left before cleaning.');
+        });
+
+        it('names the day in the device\'s time zone', async () => {
+            // a zone whose date differs from the UTC date right now, neither has daylight saving time
+            const HOUR = 60 * 60 * 1000;
+            const offset = new Date().getUTCHours() >= 12 ? 14 : -11;
+            useTimeZone(offset > 0 ? 'Pacific/Kiritimati' : 'Pacific/Pago_Pago');
+            await seed({ count: 0, lastMaintenance: 0, lastFilterChangeAt: daysAgo(57) });
+            const response = await invoke(envelopes.intentRequest('NextMaintenanceIntent', { task: { value: 'water filter', id: 'filter' } }));
+            const day = WEEKDAYS[new Date(Date.now() + 3 * DAY + offset * HOUR).getUTCDay()];
+            assert.strictEqual(speech(response), `By the calendar, the water filter change will be due on ${day}.`);
+        });
+
+        it('leaves out time based tasks that were never recorded', async () => {
+            await seed({ count: 4, lastMaintenance: 0, createdAt: daysAgo(3) });
+            const response = await invoke(envelopes.intentRequest('MakeCoffeeIntent'));
+            assert.strictEqual(speech(response), 'Coffee recorded. Your coffee count is now 5. 35 coffees left before cleaning.');
+            await seed({ count: 4, lastMaintenance: 0, createdAt: daysAgo(3), lastMilkRinseAt: daysAgo(2) });
+            const rinsed = await invoke(envelopes.intentRequest('CountCoffeeIntent'));
+            assert.ok(speech(rinsed).endsWith('Also due: the milk system rinse.'), speech(rinsed));
+        });
+
+        it('uses the calendar for tasks counted in days', async () => {
+            await seed({ count: 0, lastMaintenance: 0, lastFilterChangeAt: daysAgo(50) });
+            const response = await invoke(envelopes.intentRequest('NextMaintenanceIntent', { task: { value: 'water filter', id: 'filter' } }));
+            const date = new Date(Date.now() + 10 * DAY).toISOString().slice(0, 10).replace(/-/g, '');
+            assert.strictEqual(speech(response), `By the calendar, the water filter change will be due on <say-as interpret-as="date">${date}</say-as>.`);
+        });
+    });
+
+    describe('supplies', () => {
+        const beans = { value: 'beans', id: 'beans' };
+        const capsules = { value: 'capsules', id: 'capsules' };
+
+        it('adds a purchase in the unit spoken', async () => {
+            const response = await invoke(envelopes.intentRequest('AddSuppliesIntent', { amount: '1', unit: { value: 'kg', id: 'kilogram' }, supply: beans }));
+            assert.strictEqual(speech(response), 'Okay, I added 1000 grams of coffee beans. You now have 1000 grams of coffee beans.');
+            assert.strictEqual((await getItem(storage, USER_ID)).beansStock, 1000);
+        });
+
+        it('rejects a unit that does not fit the supply', async () => {
+            const response = await invoke(envelopes.intentRequest('AddSuppliesIntent', { amount: '2', unit: { value: 'liters', id: 'liter' }, supply: beans }));
+            assert.ok(speech(response).startsWith('Sorry, I didn\'t catch how much coffee beans.'));
+            assert.strictEqual(await getItem(storage, USER_ID), undefined);
+        });
+
+        it('uses up tracked supplies and warns when they run low', async () => {
+            await seed({ count: 0, lastMaintenance: 0, capsulesStock: 12 });
+            const response = await invoke(envelopes.intentRequest('MakeCoffeeIntent', { coffeeCount: '3' }));
+            assert.strictEqual(speech(response), '3 coffees recorded. Your coffee count is now 3. 37 coffees left before cleaning. You are running low, only 9 capsules left.');
+            const item = await getItem(storage, USER_ID);
+            assert.strictEqual(item.capsulesStock, 9);
+            assert.strictEqual(item.beansStock, undefined);
+        });
+
+        it('gives the supplies back when the coffees are undone', async () => {
+            await seed({ count: 0, lastMaintenance: 0, beansStock: 500, beansPerDrink: 18 });
+            await invoke(envelopes.intentRequest('MakeCoffeeIntent', { coffeeCount: '2' }));
+            assert.strictEqual((await getItem(storage, USER_ID)).beansStock, 464);
+            await invoke(envelopes.intentRequest('UndoLastActionIntent'));
+            assert.strictEqual((await getItem(storage, USER_ID)).beansStock, 500);
+        });
+
+        it('uses descaler when descaling', async () => {
+            await seed({ count: 10, lastMaintenance: 0, descalerStock: 2 });
+            const response = await invoke(envelopes.intentRequest('PerformMaintenanceIntent', { task: { value: 'descaling', id: 'descale' } }, CONFIRMED));
+            assert.ok(speech(response).endsWith('You are running low, only 1 dose of descaler left.'));
+        });
+
+        it('reads back the stock and honours the low stock level', async () => {
+            await seed({ count: 0, lastMaintenance: 0, capsulesStock: 40 });
+            await invoke(envelopes.intentRequest('SetLowStockLevelIntent', { amount: '50', supply: capsules }));
+            const response = await invoke(envelopes.intentRequest('SupplyStockIntent', { supply: capsules }));
+            assert.strictEqual(speech(response), 'You have 40 capsules left. Time to buy more capsules.');
+        });
+
+        it('tells when a supply is not tracked', async () => {
+            const response = await invoke(envelopes.intentRequest('SupplyStockIntent'));
+            assert.strictEqual(speech(response), 'I don\'t keep track of any supplies yet. Tell me when you buy some, for example say add 50 capsules.');
+        });
+    });
+
+    describe('costs', () => {
+        const beans = { value: 'beans', id: 'beans' };
+        const capsules = { value: 'capsules', id: 'capsules' };
+        const now = () => new Date().toISOString();
+        const lastYear = () => new Date(Date.now() - 400 * 24 * 60 * 60 * 1000).toISOString();
+
+        const seedCoffees = (settings) => seed(Object.assign({
+            count: 7,
+            lastMaintenance: 0,
+            history: [
+                { type: 'coffee', at: lastYear(), amount: 5 },
+                { type: 'coffee', at: now(), amount: 2 },
+            ],
+        }, settings));
+
+        it('keeps the price of a gram of beans given per kilogram', async () => {
+            const response = await invoke(envelopes.intentRequest('SetCostIntent', { supply: beans, price: '20', unit: { value: 'kilo', id: 'kilogram' } }));
+            assert.strictEqual(speech(response), 'Okay, I noted the price of coffee beans. A coffee now costs you $0.20.');
+            assert.strictEqual((await getItem(storage, USER_ID)).beansCost, 0.02);
+        });
+
+        it('rejects supplies without a cost and unusable prices', async () => {
+            const milk = await invoke(envelopes.intentRequest('SetCostIntent', { supply: { value: 'milk', id: 'milk' }, price: '1' }));
+            assert.strictEqual(speech(milk), 'Sorry, I can count the cost of coffee beans and capsules. Which one do you mean?');
+            const unit = await invoke(envelopes.intentRequest('SetCostIntent', { supply: beans, price: '1', unit: { value: 'liters', id: 'liter' } }));
+            assert.ok(speech(unit).startsWith('Sorry, I didn\'t catch the price.'));
+            const cents = await invoke(envelopes.intentRequest('SetCafePriceIntent', { price: '3', cents: '150' }));
+            assert.ok(speech(cents).startsWith('Sorry, I didn\'t catch the price.'));
+            assert.strictEqual(await getItem(storage, USER_ID), undefined);
+        });
+
+        it('tells what the coffees of this month cost', async () => {
+            await seedCoffees();
+            await invoke(envelopes.intentRequest('SetCostIntent', { supply: capsules, cents: '45' }));
+            const response = await invoke(envelopes.intentRequest('SpendingIntent'));
+            assert.strictEqual(speech(response), 'This month you have spent $0.90 on 2 coffees.');
+        });
+
+        it('keeps what coffees cost when they were recorded', async () => {
+            await seed({ count: 0, lastMaintenance: 0, capsulesCost: 0.45 });
+            await invoke(envelopes.intentRequest('MakeCoffeeIntent', { coffeeCount: 2 }));
+            assert.strictEqual((await getItem(storage, USER_ID)).history[0].cost, 0.9);
+            await invoke(envelopes.intentRequest('SetCostIntent', { supply: capsules, cents: '60' }));
+            await invoke(envelopes.intentRequest('MakeCoffeeIntent'));
+            const response = await invoke(envelopes.intentRequest('SpendingIntent'));
+            assert.strictEqual(speech(response), 'This month you have spent $1.50 on 3 coffees.');
+        });
+
+        it('compares the spending to the café price', async () => {
+            await seedCoffees({ capsulesCost: 0.45 });
+            const price = await invoke(envelopes.intentRequest('SetCafePriceIntent', { price: '3', cents: '50' }));
+            assert.strictEqual(speech(price), 'Okay, a coffee at the café costs $3.50.');
+            const response = await invoke(envelopes.intentRequest('SavingsIntent', { period: { value: 'this week', id: 'week' } }));
+            assert.strictEqual(speech(response), 'This week your 2 coffees would have cost $7.00 at the café instead of $0.90. You saved $6.10.');
+        });
+
+        it('asks for the prices it needs', async () => {
+            await seedCoffees();
+            const spending = await invoke(envelopes.intentRequest('SpendingIntent'));
+            assert.ok(speech(spending).startsWith('I don\'t know what your coffee costs yet.'));
+            await seedCoffees({ beansCost: 0.02 });
+            const savings = await invoke(envelopes.intentRequest('SavingsIntent'));
+            assert.ok(speech(savings).startsWith('I don\'t know what a coffee at the café costs yet.'));
+        });
+
+        it('only counts the supplies the machine type uses', async () => {
+            await seedCoffees({ machineType: 'capsule', capsulesCost: 0.4, beansCost: 0.02, cafePrice: 0.3 });
+            const response = await invoke(envelopes.intentRequest('SavingsIntent'));
+            assert.strictEqual(speech(response), 'This month your 2 coffees would have cost $0.60 at the café, less than the $0.80 you spent.');
+        });
+
+        it('prices the coffees of a machine of unknown type by one supply', async () => {
+            await seedCoffees({ beansCost: 0.02, capsulesCost: 0.4, capsulesStock: 20 });
+            const tracked = await invoke(envelopes.intentRequest('SpendingIntent'));
+            assert.strictEqual(speech(tracked), 'This month you have spent $0.80 on 2 coffees.');
+            await seedCoffees({ beansCost: 0.02, capsulesCost: 0.4 });
+            const untracked = await invoke(envelopes.intentRequest('SpendingIntent'));
+            assert.strictEqual(speech(untracked), 'This month you have spent $0.40 on 2 coffees.');
+        });
+
+        it('counts the spending of the day in the device\'s time zone', async () => {
+            // Kiritimati is 14 hours ahead of UTC all year
+            useTimeZone('Pacific/Kiritimati');
+            const HOUR = 60 * 60 * 1000;
+            const localMidnight = Math.floor((Date.now() + 14 * HOUR) / (24 * HOUR)) * 24 * HOUR - 14 * HOUR;
+            await seedCoffees({
+                capsulesCost: 0.45,
+                history: [
+                    { type: 'coffee', at: new Date(localMidnight - 60000).toISOString(), amount: 2 },
+                    { type: 'coffee', at: new Date(localMidnight + 1000).toISOString(), amount: 1 },
+                ],
+            });
+            const response = await invoke(envelopes.intentRequest('SpendingIntent', { period: { value: 'today', id: 'day' } }));
+            assert.strictEqual(speech(response), 'Today you have spent $0.45 on 1 coffee.');
+        });
+
+        it('speaks prices in the currency of the locale', async () => {
+            await seedCoffees({ capsulesCost: 0.45 });
+            const response = await invoke(envelopes.intentRequest('SpendingIntent', {}, { locale: 'de-DE' }));
+            assert.strictEqual(speech(response), 'Diesen Monat hast du 0,90\u00a0€ für 2 Kaffees ausgegeben.');
+        });
+    });
+
+    describe('machines', () => {
+        const OFFICE_ID = `${USER_ID}#machine#office`;
+
+        it('counts coffees on a named machine separately', async () => {
+            await seed({ count: 5, lastMaintenance: 0 });
+            await invoke(envelopes.intentRequest('AddMachineIntent', { machine: 'office' }));
+            const response = await invoke(envelopes.intentRequest('MakeCoffeeIntent', { machine: 'the office machine' }));
+            assert.strictEqual(speech(response), 'On the office machine. Coffee recorded. Your coffee count is now 1. 39 coffees left before cleaning.');
+            assert.strictEqual((await getItem(storage, USER_ID)).count, 5);
+            assert.strictEqual((await getItem(storage, OFFICE_ID)).count, 1);
+        });
+
+        it('rejects a machine that was not added', async () => {
+            const response = await invoke(envelopes.intentRequest('CountCoffeeIntent', { machine: 'office' }));
+            assert.strictEqual(speech(response), 'I don\'t know the office machine yet. You can say add the office machine.');
+            assert.strictEqual(await getItem(storage, OFFICE_ID), undefined);
+        });
+
+        it('counts on the default machine when none is named', async () => {
+            await invoke(envelopes.intentRequest('AddMachineIntent', { machine: 'office' }));
+            await invoke(envelopes.intentRequest('SetDefaultMachineIntent', { machine: 'office' }));
+            await invoke(envelopes.intentRequest('MakeCoffeeIntent'));
+            assert.strictEqual((await getItem(storage, OFFICE_ID)).count, 1);
+            assert.strictEqual((await getItem(storage, USER_ID)).count, 0);
+            const response = await invoke(envelopes.intentRequest('ListMachinesIntent'));
+            assert.strictEqual(speech(response), 'Your machines are home and office. Coffees are counted on the office machine unless you name another one.');
+        });
+
+        it('keeps existing data on the home machine', async () => {
+            await seed({ count: 12, lastMaintenance: 10, lastDripTray: 10 });
+            const response = await invoke(envelopes.intentRequest('CountCoffeeIntent', { machine: 'home' }));
+            assert.strictEqual(speech(response), 'You have made 12 coffees. 38 coffees left before cleaning.');
+        });
+    });
+
+    describe('Alexa.Presentation.APL.UserEvent', () => {
+        it('records a coffee from the dashboard button', async () => {
+            const response = await invoke(envelopes.userEvent(['makeCoffee'], { apl: true }));
+            assert.strictEqual(speech(response), 'Coffee recorded. Your coffee count is now 1. 39 coffees left before cleaning.');
+            assert.strictEqual(response.response.directives[0].datasources.dashboard.properties.countText, '1 coffee');
+        });
+
+        it('acts on the machine the dashboard shows', async () => {
+            await seed({ count: 5, lastMaintenance: 0 });
+            await invoke(envelopes.intentRequest('AddMachineIntent', { machine: 'office' }));
+            const count = await invoke(envelopes.intentRequest('CountCoffeeIntent', { machine: 'the office machine' }, { apl: true }));
+            const properties = count.response.directives[0].datasources.dashboard.properties;
+            assert.deepStrictEqual([properties.machineName, properties.machineText], ['office', 'The office machine']);
+            const response = await invoke(envelopes.userEvent(['makeCoffee', properties.machineName], { apl: true }));
+            assert.ok(speech(response).startsWith('On the office machine. Coffee recorded.'), speech(response));
+            assert.strictEqual((await getItem(storage, USER_ID)).count, 5);
+            assert.strictEqual((await getItem(storage, `${USER_ID}#machine#office`)).count, 1);
+        });
+
+        it('marks the machine cleaned from the dashboard button', async () => {
+            await seed({ count: 41, lastMaintenance: 0 });
+            await invoke(envelopes.userEvent(['markCleaned'], { apl: true }));
+            assert.strictEqual((await getItem(storage, USER_ID)).lastMaintenance, 41);
+        });
+    });
+
+    describe('webhooks', () => {
+        let server;
+
+        beforeEach(async () => {
+            server = await startWebhookServer();
+            process.env.WEBHOOK_URLS = server.url;
+        });
+
+        afterEach(async () => {
+            delete process.env.WEBHOOK_URLS;
+            await server.close();
+        });
+
+        it('sends recorded coffees and the tasks they made due', async () => {
+            await seed({ count: 39, lastMaintenance: 0, lastDripTray: 39 });
+            await invoke(envelopes.intentRequest('MakeCoffeeIntent', { drink: { value: 'espresso', id: 'espresso' } }));
+            assert.deepStrictEqual(server.requests.map(request => request.payload.event), ['coffee.recorded', 'threshold.crossed']);
+            const coffee = server.requests[0].payload;
+            assert.deepStrictEqual([coffee.machine, coffee.amount, coffee.drink, coffee.count], ['home', 1, 'espresso', 40]);
+            assert.strictEqual(coffee.userId, undefined);
+            const threshold = server.requests[1].payload;
+            assert.deepStrictEqual([threshold.task, threshold.count, threshold.interval, threshold.unit], ['cleaning', 40, 40, 'coffees']);
+        });
+
+        it('sends the tasks due after days with the first coffees once they are due', async () => {
+            const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+            await seed({
+                count: 5,
+                lastMaintenance: 0,
+                lastDripTray: 5,
+                lastFilterChange: 0,
+                lastFilterChangeAt: daysAgo(61),
+                history: [{ type: 'coffee', at: daysAgo(3), amount: 5 }],
+            });
+            await invoke(envelopes.intentRequest('MakeCoffeeIntent'));
+            await invoke(envelopes.intentRequest('MakeCoffeeIntent'));
+            assert.deepStrictEqual(server.requests.map(request => request.payload.event), ['coffee.recorded', 'threshold.crossed', 'coffee.recorded']);
+            const threshold = server.requests[1].payload;
+            assert.deepStrictEqual([threshold.task, threshold.interval, threshold.unit], ['filter', 60, 'days']);
+        });
+
+        it('leaves the account and the speaker out of the payload', async () => {
+            await invoke(envelopes.intentRequest('MakeCoffeeIntent', {}, { person: PERSON_ID }));
+            const coffee = server.requests[0].payload;
+            assert.strictEqual(JSON.stringify(coffee).indexOf('amzn1.'), -1);
+            assert.deepStrictEqual(Object.keys(coffee).sort(), ['amount', 'at', 'count', 'event', 'machine']);
+        });
+
+        it('does not hold up the response when a webhook hangs', async () => {
+            await server.close();
+            server = await startWebhookServer(() => {});
+            process.env.WEBHOOK_URLS = server.url;
+            const context = { getRemainingTimeInMillis: () => 8000 };
+            const start = Date.now();
+            const response = await invoke(envelopes.intentRequest('MakeCoffeeIntent'), context);
+            const took = Date.now() - start;
+            assert.ok(took < 800, `took ${took} ms`);
+            assert.strictEqual(speech(response), 'Coffee recorded. Your coffee count is now 1. 39 coffees left before cleaning.');
+            assert.strictEqual(server.requests.length, 1);
+        });
+
+        it('sends performed maintenance', async () => {
+            await seed({ count: 41, lastMaintenance: 0 });
+            await invoke(envelopes.intentRequest('PerformMaintenanceIntent', { task: { value: 'descaled', id: 'descale' } }, CONFIRMED));
+            assert.strictEqual(server.requests.length, 1);
+            const maintenance = server.requests[0].payload;
+            assert.deepStrictEqual([maintenance.event, maintenance.task, maintenance.count], ['maintenance.performed', 'descale', 41]);
+        });
+    });
+
+    describe('ExportDataIntent', () => {
+        it('sends a summary of every machine to the Alexa app', async () => {
+            const recent = new Date().toISOString();
+            await seed({
+                count: 12,
+                lastMaintenance: 10,
+                lastMaintenanceAt: '2020-01-05T10:00:00.000Z',
+                cappuccinoCount: 3,
+                latteCount: 1,
+                history: [{ type: 'coffee', at: recent, amount: 2 }],
+            });
+            const response = await invoke(envelopes.intentRequest('ExportDataIntent'));
+            assert.strictEqual(speech(response), 'I sent a summary of your coffee data to the Alexa app.');
+            assert.deepStrictEqual(response.response.card, {
+                type: 'Simple',
+                title: 'Your coffee data',
+                content: 'The home machine: 12 coffees in total, 2 coffees in the last 30 days.\n'
+                    + 'Drinks: 3 cappuccinos and 1 latte.\n'
+                    + 'Cleaning: last recorded on January 5, 2020.',
+            });
+        });
+
+        it('dates the summary in the device\'s time zone', async () => {
+            // Kiritimati is 14 hours ahead of UTC all year
+            useTimeZone('Pacific/Kiritimati');
+            await seed({ count: 12, lastMaintenance: 10, lastMaintenanceAt: '2020-01-05T12:00:00.000Z' });
+            const response = await invoke(envelopes.intentRequest('ExportDataIntent'));
+            assert.ok(response.response.card.content.endsWith('Cleaning: last recorded on January 6, 2020.'), response.response.card.content);
+        });
+
+        it('tells when there is nothing to send', async () => {
+            const response = await invoke(envelopes.intentRequest('ExportDataIntent'));
+            assert.strictEqual(speech(response), 'You haven\'t recorded anything yet, so there is nothing to send.');
+            assert.strictEqual(response.response.card, undefined);
+        });
+    });
+
+    describe('deleting data', () => {
+        const OFFICE_ID = `${USER_ID}#machine#office`;
+
+        beforeEach(async () => {
+            await seed({ count: 12, lastMaintenance: 0, machines: storage.createSet(['office']), cleaningReminderToken: 'token-1' });
+            await storage.put({ Item: { id: OFFICE_ID, count: 3, people: storage.createSet([PERSON_ID]) } });
+            await storage.put({ Item: { id: PERSON_ID, count: 3 } });
+        });
+
+        const storedIds = async () => {
+            const ids = [USER_ID, OFFICE_ID, PERSON_ID];
+            const items = await Promise.all(ids.map(id => getItem(storage, id)));
+            return ids.filter((id, index) => items[index]);
+        };
+
+        it('asks to confirm before deleting anything', async () => {
+            const response = await invoke(envelopes.intentRequest('DeleteMyDataIntent', {}, { dialogState: 'STARTED' }));
+            assert.ok(speech(response).endsWith('Should I delete your data?'));
+            assert.strictEqual(response.response.directives[0].type, 'Dialog.ConfirmIntent');
+            assert.strictEqual((await storedIds()).length, 3);
+        });
+
+        it('keeps the data when the user says no', async () => {
+            const response = await invoke(envelopes.intentRequest('DeleteMyDataIntent', {}, { confirmationStatus: 'DENIED' }));
+            assert.strictEqual(speech(response), 'Okay, I kept your data.');
+            assert.strictEqual((await storedIds()).length, 3);
+        });
+
+        it('deletes every machine and voice profile once confirmed', async () => {
+            const reminders = useFakeReminders();
+            const response = await invoke(envelopes.intentRequest('DeleteMyDataIntent', {}, CONFIRMED));
+            assert.strictEqual(speech(response), 'Okay, I deleted all your data. Goodbye!');
+            assert.strictEqual(response.response.shouldEndSession, true);
+            assert.deepStrictEqual(await storedIds(), []);
+            assert.deepStrictEqual(reminders.deleted, ['token-1']);
+        });
+
+        it('finds voice profiles that only set a caffeine limit', async () => {
+            await invoke(envelopes.intentRequest('SetCaffeineLimitIntent', { limit: 300 }, { person: 'amzn1.ask.person.OTHER' }));
+            assert.strictEqual((await getItem(storage, 'amzn1.ask.person.OTHER')).caffeineLimit, 300);
+            await invoke(envelopes.skillEvent('AlexaSkillEvent.SkillDisabled', { userInformationPersistenceStatus: 'NOT_PERSISTED' }));
+            assert.strictEqual(await getItem(storage, 'amzn1.ask.person.OTHER'), undefined);
+        });
+
+        it('deletes everything when the skill is disabled', async () => {
+            const response = await invoke(envelopes.skillEvent('AlexaSkillEvent.SkillDisabled', { userInformationPersistenceStatus: 'NOT_PERSISTED' }));
+            assert.strictEqual(response.response.outputSpeech, undefined);
+            assert.deepStrictEqual(await storedIds(), []);
+        });
+    });
+
+    describe('concurrent requests', () => {
+        // runs `change` once right before the skill's next conditional write,
+        // as another device would between the skill reading and writing the item
+        const changeBeforeNextWrite = (change) => {
+            const update = storage.update;
+            storage.update = async (params) => {
+                if (params.ConditionExpression) {
+                    storage.update = update;
+                    await change();
+                }
+                return update(params);
+            };
+        };
+
+        it('keeps the maintenance recorded before the first coffee', async () => {
+            await invoke(envelopes.intentRequest('PerformMaintenanceIntent', { task: { value: 'descaled', id: 'descale' } }, CONFIRMED));
+            const response = await invoke(envelopes.intentRequest('MakeCoffeeIntent'));
+            assert.ok(speech(response).startsWith('Coffee recorded. Your coffee count is now 1.'));
+            const item = await getItem(storage, USER_ID);
+            assert.strictEqual(item.lastDescale, 0);
+            assert.ok(item.lastDescaleAt);
+            assert.strictEqual(item.lastMaintenance, 0);
+        });
+
+        it('records maintenance at the count stored when it is written', async () => {
+            await seed({ count: 41, lastMaintenance: 0 });
+            changeBeforeNextWrite(() => invoke(envelopes.intentRequest('MakeCoffeeIntent', { coffeeCount: 2 })));
+            const response = await invoke(envelopes.intentRequest('PerformMaintenanceIntent', {}, CONFIRMED));
+            assert.strictEqual(speech(response), 'You have cleaned the machine on coffee number 43.');
+            assert.strictEqual((await getItem(storage, USER_ID)).lastMaintenance, 43);
+        });
+
+        it('reads the item again when another device recorded the task meanwhile', async () => {
+            await seed({ count: 41, lastMaintenance: 10 });
+            changeBeforeNextWrite(() => storage.update({
+                Key: { id: USER_ID },
+                UpdateExpression: 'SET lastMaintenance = :count',
+                ExpressionAttributeValues: { ':count': 30 },
+            }));
+            await invoke(envelopes.intentRequest('PerformMaintenanceIntent', {}, CONFIRMED));
+            assert.strictEqual((await getItem(storage, USER_ID)).lastMaintenance, 41);
+            await invoke(envelopes.intentRequest('UndoLastActionIntent'));
+            assert.strictEqual((await getItem(storage, USER_ID)).lastMaintenance, 30);
+        });
+    });
+
+    describe('locales', () => {
+        it('answers in German', async () => {
+            await seed({ count: 10, lastMaintenance: 0, lastDripTray: 10 });
+            const response = await invoke(envelopes.intentRequest('MakeCoffeeIntent', { coffeeCount: 2, drink: { value: 'Cappuccino', id: 'cappuccino' } }, { locale: 'de-DE' }));
+            assert.strictEqual(speech(response), '2 Cappuccinos notiert. Dein Kaffeezähler steht jetzt bei 12. Noch 28 Kaffees bis zur Reinigung.');
+        });
+
+        it('uses the singular for one coffee', async () => {
+            await seed({ count: 39, lastMaintenance: 0, lastDripTray: 39 });
+            const response = await invoke(envelopes.intentRequest('CountCoffeeIntent', {}, { locale: 'fr-FR' }));
+            assert.strictEqual(speech(response), 'Vous avez fait 39 cafés. Encore 1 café avant le nettoyage.');
+        });
+
+        it('falls back to English for other languages', async () => {
+            const response = await invoke(envelopes.intentRequest('CountCoffeeIntent', {}, { locale: 'nl-NL' }));
+            assert.strictEqual(speech(response), 'You have made 0 coffees. 40 coffees left before cleaning.');
+        });
+    });
+
+    describe('SessionEndedRequest', () => {
+        it('returns an empty response', async () => {
+            const response = await invoke(envelopes.sessionEndedRequest());
+            assert.deepStrictEqual(response.response, {});
+        });
+    });
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const LANGUAGES = ['de', 'fr', 'es', 'it'];
+const MODELS_DIR = path.join(__dirname, '..', '..', 'skill-package', 'interactionModels', 'custom');
+
+// flattens nested resources to 'KEY.sub' paths, `_plural` variants merged with their key
+const flatten = (resources, prefix) => {
+    return Object.keys(resources).reduce((keys, key) => {
+        const name = (prefix ? `${prefix}.` : '') + key.replace(/_plural$/, '');
+        const value = resources[key];
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            return Object.assign(keys, flatten(value, name));
+        }
+        keys[name] = value;
+        return keys;
+    }, {});
+};
+
+const countPlaceholders = (value) => {
+    return typeof value === 'string' ? (value.match(/%(\d+\$)?[sd]/g) || []).length : 0;
+};
+
+const readModel = (locale) => {
+    return JSON.parse(fs.readFileSync(path.join(MODELS_DIR, `${locale}.json`), 'utf8')).interactionModel.languageModel;
+};
+
+// dialog rules without the prompt texts, which are translated
+const readDialog = (locale) => {
+    const model = JSON.parse(fs.readFileSync(path.join(MODELS_DIR, `${locale}.json`), 'utf8')).interactionModel;
+    return [model.dialog, model.prompts.map(prompt => prompt.id)];
+};
+
+describe('language strings', () => {
+    const en = flatten(require('../languageStrings/en').translation);
+
+    LANGUAGES.forEach(language => {
+        it(`has every English string in ${language}`, () => {
+            const strings = flatten(require(`../languageStrings/${language}`).translation);
+            assert.deepStrictEqual(Object.keys(strings).sort(), Object.keys(en).sort());
+            Object.keys(en).forEach(key => {
+                assert.strictEqual(countPlaceholders(strings[key]), countPlaceholders(en[key]), key);
+            });
+        });
+    });
+});
+
+describe('interaction models', () => {
+    const en = readModel('en-US');
+    const manifest = JSON.parse(fs.readFileSync(path.join(MODELS_DIR, '..', '..', 'skill.json'), 'utf8')).manifest;
+
+    ['de-DE', 'fr-FR', 'es-ES', 'it-IT'].forEach(locale => {
+        it(`has the English intents, slots and slot values in ${locale}`, () => {
+            const model = readModel(locale);
+            const slots = intent => (intent.slots || []).map(slot => [slot.name, slot.type]);
+            assert.deepStrictEqual(model.intents.map(intent => [intent.name, slots(intent)]),
+                en.intents.map(intent => [intent.name, slots(intent)]));
+            assert.deepStrictEqual(readDialog(locale), readDialog('en-US'));
+            assert.deepStrictEqual(model.types.map(type => [type.name, type.values.map(value => value.id)]),
+                en.types.map(type => [type.name, type.values.map(value => value.id)]));
+            assert.ok(manifest.publishingInformation.locales[locale]);
+        });
+
+        it(`only uses known slots in the ${locale} samples, each once`, () => {
+            const samples = [];
+            readModel(locale).intents.forEach(intent => {
+                const slots = (intent.slots || []).map(slot => slot.name);
+                intent.samples.forEach(sample => {
+                    (sample.match(/{(\w+)}/g) || []).forEach(ref => {
+                        assert.ok(slots.indexOf(ref.slice(1, -1)) !== -1, `${intent.name}: ${sample}`);
+                    });
+                    assert.strictEqual(samples.indexOf(sample.toLowerCase()), -1, sample);
+                    samples.push(sample.toLowerCase());
+                });
+            });
+        });
+    });
+});
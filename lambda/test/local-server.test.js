@@ -0,0 +1,70 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const localServer = require('../local-server');
+const { launchRequest } = require('./helpers/envelopes');
+
+const request = (url, method, body) => {
+    return new Promise((resolve, reject) => {
+        const outgoing = http.request(url, { method: method }, response => {
+            let text = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => {
+                text += chunk;
+            });
+            response.on('end', () => resolve({ status: response.statusCode, body: JSON.parse(text) }));
+        });
+        outgoing.on('error', reject);
+        outgoing.end(body);
+    });
+};
+
+describe('local server', () => {
+    let server;
+    let url;
+    let envelopes;
+
+    beforeEach(done => {
+        envelopes = [];
+        server = localServer.createServer(async envelope => {
+            envelopes.push(envelope);
+            if (envelope.fail) {
+                throw new Error('Skill failed');
+            }
+            return { version: '1.0', response: { shouldEndSession: true } };
+        });
+        server.listen(0, '127.0.0.1', () => {
+            url = `http://127.0.0.1:${server.address().port}/`;
+            done();
+        });
+    });
+
+    afterEach(done => {
+        server.close(done);
+    });
+
+    it('answers a posted request envelope with the response envelope', async () => {
+        const envelope = launchRequest();
+        const result = await request(url, 'POST', JSON.stringify(envelope));
+        assert.strictEqual(result.status, 200);
+        assert.deepStrictEqual(result.body, { version: '1.0', response: { shouldEndSession: true } });
+        assert.deepStrictEqual(envelopes, [envelope]);
+    });
+
+    it('answers invalid envelopes, other methods and skill errors with an error', async () => {
+        assert.strictEqual((await request(url, 'POST', '{')).status, 400);
+        assert.strictEqual((await request(url, 'GET')).status, 405);
+        const result = await request(url, 'POST', JSON.stringify({ fail: true }));
+        assert.deepStrictEqual(result, { status: 500, body: { error: 'Skill failed' } });
+        assert.strictEqual(envelopes.length, 1);
+    });
+
+    it('parses the port and the storage file', () => {
+        assert.deepStrictEqual(localServer.parseArgs([]), { port: 3000 });
+        assert.deepStrictEqual(localServer.parseArgs(['--port', '8080', '--storage-file', 'items.json']),
+            { port: 8080, storageFile: 'items.json' });
+        assert.throws(() => localServer.parseArgs(['--port', 'http']), /^Error: usage:/);
+        assert.throws(() => localServer.parseArgs(['--verbose']), /^Error: usage:/);
+    });
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const storage = require('../storage');
+const simulate = require('../simulate');
+
+const USER_ID = 'amzn1.ask.account.SIMULATE';
+
+describe('simulate', () => {
+    let directory;
+    let storageFile;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'coffee-simulate-'));
+        storageFile = path.join(directory, 'local-storage.json');
+    });
+
+    afterEach(() => {
+        storage.setStorage(storage.createStorage({ backend: 'memory' }));
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const intentOf = (args) => simulate.buildEnvelope(simulate.parseArgs(args)).request.intent;
+
+    it('finds the intent of a command and fills slots named by their ending', () => {
+        const intent = intentOf(['make-coffee', '--count', '3']);
+        assert.strictEqual(intent.name, 'MakeCoffeeIntent');
+        assert.strictEqual(intent.slots.coffeeCount.value, '3');
+        assert.strictEqual(intent.slots.drink.value, undefined);
+        assert.strictEqual(intentOf(['help']).name, 'AMAZON.HelpIntent');
+        assert.strictEqual(intentOf(['AMAZON.StopIntent']).name, 'AMAZON.StopIntent');
+    });
+
+    it('matches a phrase against the samples and resolves custom slot values', () => {
+        const intent = intentOf(['I', 'bought', 'a', '1', 'kg', 'bag', 'of', 'coffee', 'beans']);
+        assert.strictEqual(intent.name, 'AddSuppliesIntent');
+        assert.strictEqual(intent.slots.amount.value, '1');
+        assert.deepStrictEqual(intent.slots.unit.resolutions.resolutionsPerAuthority[0].values[0].value,
+            { name: 'kilograms', id: 'kilogram' });
+        assert.strictEqual(intent.slots.supply.resolutions.resolutionsPerAuthority[0].values[0].value.name, 'beans');
+        assert.strictEqual(intentOf(['Wie viele Kaffees hatte ich?', '--locale', 'de-DE']).name, 'PersonalCountIntent');
+    });
+
+    it('fills every slot a phrase names', () => {
+        const intent = intentOf(['make', '2', 'cappuccinos']);
+        assert.strictEqual(intent.name, 'MakeCoffeeIntent');
+        assert.strictEqual(intent.slots.coffeeCount.value, '2');
+        assert.strictEqual(intent.slots.drink.value, 'cappuccinos');
+        assert.strictEqual(intent.slots.drink.resolutions.resolutionsPerAuthority[0].values[0].value.id, 'cappuccino');
+        assert.strictEqual(intentOf(['make', 'a', 'latte']).slots.coffeeCount.value, undefined);
+    });
+
+    it('records coffees in the local storage and prints the response', async () => {
+        const text = await simulate.run(['make-coffee', '--count', '3', '--user', USER_ID, '--storage-file', storageFile]);
+        assert.strictEqual(text, 'Alexa: 3 coffees recorded. Your coffee count is now 3. 37 coffees left before cleaning.\n'
+            + '(the session ends)\n');
+        const items = JSON.parse(fs.readFileSync(storageFile, 'utf8'));
+        assert.strictEqual(items.filter(item => item.id === USER_ID)[0].count, 3);
+    });
+
+    it('counts every coffee for a phrase naming plain coffees', async () => {
+        await simulate.run(['make-coffee', '--count', '2', '--user', USER_ID, '--storage-file', storageFile]);
+        const text = await simulate.run(['how many coffees did I make', '--user', USER_ID, '--storage-file', storageFile]);
+        assert.ok(text.startsWith('Alexa: You have made 2 coffees.'), text);
+    });
+
+    it('prints the dialog directive and answers it with --confirm', async () => {
+        const args = ['perform-maintenance', '--task', 'descale', '--user', USER_ID, '--storage-file', storageFile];
+        const question = await simulate.run(args);
+        assert.ok(question.startsWith('Alexa: Should I record descaling now?\n'), question);
+        assert.ok(question.includes('Directive: Dialog.ConfirmIntent\n(the session stays open)\n'), question);
+        const answer = await simulate.run(args.concat('--confirm'));
+        assert.ok(answer.startsWith('Alexa: Got it, I recorded descaling'), answer);
+    });
+
+    it('rejects unknown intents, slots and arguments', () => {
+        assert.throws(() => simulate.parseArgs([]), /^Error: usage:/);
+        assert.throws(() => simulate.parseArgs(['help', '--confirm', '--deny']), /^Error: usage:/);
+        assert.throws(() => intentOf(['sing', 'me', 'a', 'song']), /Nothing in the en-US interaction model matches/);
+        assert.throws(() => intentOf(['make-coffee', '--colour', 'red']), /MakeCoffeeIntent has no slot colour/);
+        assert.throws(() => intentOf(['help', '--locale', 'xx-XX']), /No interaction model for the locale xx-XX/);
+    });
+});
@@ -0,0 +1,238 @@
+'use strict';
+
+const assert = require('assert');
+const storage = require('../storage');
+const { createDynamoDBStorage } = require('../dynamoDBStorage');
+const { startDynalite } = require('./helpers/dynalite');
+
+describe('storage', () => {
+    // the same scenarios against both backends, DynamoDB running locally in dynalite,
+    // so that the local backend accepts and rejects what DynamoDB does
+    const backends = {
+        local: async () => ({ storage: storage.createStorage({ backend: 'memory' }), close: async () => {} }),
+        DynamoDB: async () => {
+            const server = await startDynalite();
+            return { storage: createDynamoDBStorage({ tableName: server.tableName, client: server.client }), close: server.close };
+        },
+    };
+
+    Object.keys(backends).forEach(backend => {
+        describe(`${backend} backend`, () => {
+            let server;
+            let db;
+
+            before(async () => {
+                server = await backends[backend]();
+                db = server.storage;
+            });
+
+            after(() => server.close());
+
+            const rejectsWith = (promise, code, message) => assert.rejects(promise,
+                error => error.code === code && error.message.includes(message || ''));
+
+            it('returns no item for unknown keys', async () => {
+                assert.deepStrictEqual(await db.get({ Key: { id: 'missing' } }), {});
+            });
+
+            it('rejects updates reading attributes that do not exist', async () => {
+                await db.delete({ Key: { id: 'a' } });
+                await rejectsWith(db.update({
+                    Key: { id: 'a' },
+                    UpdateExpression: 'SET #c = #c + :one',
+                    ExpressionAttributeNames: { '#c': 'count' },
+                    ExpressionAttributeValues: { ':one': 1 },
+                }), 'ValidationException', 'The provided expression refers to an attribute that does not exist in the item');
+            });
+
+            it('creates the item on ADD and evaluates operands against the old item', async () => {
+                await db.delete({ Key: { id: 'a' } });
+                await db.update({
+                    Key: { id: 'a' },
+                    UpdateExpression: 'ADD #c :two',
+                    ExpressionAttributeNames: { '#c': 'count' },
+                    ExpressionAttributeValues: { ':two': 2 },
+                });
+                const data = await db.update({
+                    Key: { id: 'a' },
+                    UpdateExpression: 'SET #c = #c + :one, #lm = #c, #h = list_append(if_not_exists(#h, :empty), :event)',
+                    ExpressionAttributeNames: { '#c': 'count', '#lm': 'lastMaintenance', '#h': 'history' },
+                    ExpressionAttributeValues: { ':one': 1, ':empty': [], ':event': ['x'] },
+                    ReturnValues: 'ALL_NEW',
+                });
+                assert.deepStrictEqual(data.Attributes, { id: 'a', count: 3, lastMaintenance: 2, history: ['x'] });
+            });
+
+            it('removes list elements and adds to sets', async () => {
+                await db.put({ Item: { id: 'a', history: ['a', 'b', 'c'] } });
+                const data = await db.update({
+                    Key: { id: 'a' },
+                    UpdateExpression: 'REMOVE #h[1] ADD #p :people',
+                    ExpressionAttributeNames: { '#h': 'history', '#p': 'people' },
+                    ExpressionAttributeValues: { ':people': db.createSet(['x', 'y']) },
+                    ReturnValues: 'ALL_NEW',
+                });
+                assert.deepStrictEqual(data.Attributes.history, ['a', 'c']);
+                assert.deepStrictEqual(data.Attributes.people.values.slice().sort(), ['x', 'y']);
+            });
+
+            it('appends when setting a list index past the end', async () => {
+                await db.put({ Item: { id: 'a', history: [1, 2, 3] } });
+                const data = await db.update({
+                    Key: { id: 'a' },
+                    UpdateExpression: 'SET #h[10] = :v, #h[11] = :w',
+                    ExpressionAttributeNames: { '#h': 'history' },
+                    ExpressionAttributeValues: { ':v': 7, ':w': 8 },
+                    ReturnValues: 'ALL_NEW',
+                });
+                assert.deepStrictEqual(data.Attributes.history, [1, 2, 3, 7, 8]);
+            });
+
+            it('fails conditional writes', async () => {
+                await db.put({ Item: { id: 'a', history: ['a'] } });
+                await rejectsWith(db.update({
+                    Key: { id: 'a' },
+                    UpdateExpression: 'REMOVE #h[0]',
+                    ConditionExpression: 'size(#h) = :size',
+                    ExpressionAttributeNames: { '#h': 'history' },
+                    ExpressionAttributeValues: { ':size': 2 },
+                }), 'ConditionalCheckFailedException');
+                const data = await db.update({
+                    Key: { id: 'a' },
+                    UpdateExpression: 'REMOVE #h[0]',
+                    ConditionExpression: '#h[0] = :event',
+                    ExpressionAttributeNames: { '#h': 'history' },
+                    ExpressionAttributeValues: { ':event': 'a' },
+                    ReturnValues: 'ALL_NEW',
+                });
+                assert.deepStrictEqual(data.Attributes.history, []);
+            });
+
+            it('rejects names and values no expression uses', async () => {
+                await db.put({ Item: { id: 'a', count: 1, history: [] } });
+                await rejectsWith(db.update({
+                    Key: { id: 'a' },
+                    UpdateExpression: 'SET #c = :v',
+                    ExpressionAttributeNames: { '#c': 'count', '#h': 'history' },
+                    ExpressionAttributeValues: { ':v': 2 },
+                }), 'ValidationException', 'Value provided in ExpressionAttributeNames unused in expressions: keys: {#h}');
+                await rejectsWith(db.update({
+                    Key: { id: 'a' },
+                    UpdateExpression: 'SET #c = :v',
+                    ExpressionAttributeNames: { '#c': 'count' },
+                    ExpressionAttributeValues: { ':v': 2, ':w': 3 },
+                }), 'ValidationException', 'Value provided in ExpressionAttributeValues unused in expressions: keys: {:w}');
+                await db.update({
+                    Key: { id: 'a' },
+                    UpdateExpression: 'SET #c = :v',
+                    ConditionExpression: 'attribute_exists(#h)',
+                    ExpressionAttributeNames: { '#c': 'count', '#h': 'history' },
+                    ExpressionAttributeValues: { ':v': 2 },
+                });
+                assert.strictEqual((await db.get({ Key: { id: 'a' } })).Item.count, 2);
+            });
+
+            it('rejects attribute maps that are empty or given without an expression', async () => {
+                await rejectsWith(db.update({
+                    Key: { id: 'a' },
+                    UpdateExpression: 'SET count = :v',
+                    ExpressionAttributeNames: {},
+                    ExpressionAttributeValues: { ':v': 2 },
+                }), 'ValidationException', 'ExpressionAttributeNames must not be empty');
+                await rejectsWith(db.put({
+                    Item: { id: 'a' },
+                    ExpressionAttributeNames: { '#c': 'count' },
+                }), 'ValidationException', 'ExpressionAttributeNames can only be specified when using expressions');
+            });
+
+            it('rejects update paths that overlap', async () => {
+                await db.put({ Item: { id: 'a', count: 1, history: [1, 2], stats: {} } });
+                const update = (expression, values) => db.update({
+                    Key: { id: 'a' },
+                    UpdateExpression: expression,
+                    ExpressionAttributeNames: { '#h': 'history' },
+                    ExpressionAttributeValues: values,
+                });
+                await rejectsWith(update('SET #h[0] = :v REMOVE #h', { ':v': 9 }), 'ValidationException',
+                    'Two document paths overlap with each other; must remove or rewrite one of these paths; path one: [history, [0]], path two: [history]');
+                await rejectsWith(update('SET #h[0] = :v REMOVE #h[0]', { ':v': 9 }), 'ValidationException', 'Two document paths overlap');
+                await rejectsWith(update('SET #h = :v, stats.x = :v, stats = :w', { ':v': 9, ':w': {} }), 'ValidationException',
+                    'path one: [stats, x], path two: [stats]');
+                await update('SET #h[0] = :v, #h[1] = :w', { ':v': 8, ':w': 9 });
+                assert.deepStrictEqual((await db.get({ Key: { id: 'a' } })).Item, { id: 'a', count: 1, history: [8, 9], stats: {} });
+            });
+
+            it('rejects adding a number to an attribute that is not one', async () => {
+                await db.put({ Item: { id: 'a', count: 'broken' } });
+                await rejectsWith(db.update({
+                    Key: { id: 'a' },
+                    UpdateExpression: 'ADD #c :one',
+                    ExpressionAttributeNames: { '#c': 'count' },
+                    ExpressionAttributeValues: { ':one': 1 },
+                }), 'ValidationException', 'An operand in the update expression has an incorrect data type');
+            });
+
+            it('deletes items', async () => {
+                await db.put({ Item: { id: 'a' } });
+                await db.delete({ Key: { id: 'a' } });
+                assert.deepStrictEqual(await db.get({ Key: { id: 'a' } }), {});
+            });
+        });
+    });
+
+    describe('local backend', () => {
+        let local;
+
+        beforeEach(() => {
+            local = storage.createStorage({ backend: 'memory' });
+        });
+
+        // DynamoDB reads every index of a REMOVE from the list before the update,
+        // dynalite removes them one after the other, so this only runs locally
+        it('removes several list elements by their index before the update', async () => {
+            await local.put({ Item: { id: 'a', history: ['a', 'b', 'c'] } });
+            const data = await local.update({
+                Key: { id: 'a' },
+                UpdateExpression: 'REMOVE #h[0], #h[1]',
+                ExpressionAttributeNames: { '#h': 'history' },
+                ReturnValues: 'ALL_NEW',
+            });
+            assert.deepStrictEqual(data.Attributes.history, ['c']);
+        });
+
+        // dynalite has no transactions either
+        it('applies every write of a transaction or none', async () => {
+            await local.put({ Item: { id: 'a', count: 1 } });
+            const add = (id) => ({ Update: { Key: { id: id }, UpdateExpression: 'ADD #c :one', ExpressionAttributeNames: { '#c': 'count' }, ExpressionAttributeValues: { ':one': 1 } } });
+            await local.transactWrite({ TransactItems: [add('a'), add('b')] });
+            assert.deepStrictEqual([(await local.get({ Key: { id: 'a' } })).Item.count, (await local.get({ Key: { id: 'b' } })).Item.count], [2, 1]);
+            await assert.rejects(local.transactWrite({
+                TransactItems: [add('a'), { ConditionCheck: { Key: { id: 'b' }, ConditionExpression: 'attribute_not_exists(#c)', ExpressionAttributeNames: { '#c': 'count' } } }],
+            }), error => error.code === 'TransactionCanceledException' && error.message.includes('[None, ConditionalCheckFailed]'));
+            await assert.rejects(local.transactWrite({ TransactItems: [add('a'), add('a')] }), error => error.code === 'ValidationException');
+            assert.strictEqual((await local.get({ Key: { id: 'a' } })).Item.count, 2);
+        });
+    });
+
+    describe('DynamoDB calls', () => {
+        it('adds the table name to every call', async () => {
+            const calls = [];
+            const client = {};
+            ['get', 'put', 'update', 'delete', 'transactWrite'].forEach(method => {
+                client[method] = (params) => {
+                    calls.push(params);
+                    return { promise: () => Promise.resolve({}) };
+                };
+            });
+            const dynamoDB = createDynamoDBStorage({ tableName: 'coffee', client: client });
+            await dynamoDB.get({ Key: { id: 'a' } });
+            await dynamoDB.update({ Key: { id: 'a' } });
+            await dynamoDB.transactWrite({ TransactItems: [{ Update: { Key: { id: 'a' } } }, { Delete: { Key: { id: 'b' } } }] });
+            assert.deepStrictEqual(calls, [
+                { TableName: 'coffee', Key: { id: 'a' } },
+                { TableName: 'coffee', Key: { id: 'a' } },
+                { TransactItems: [{ Update: { TableName: 'coffee', Key: { id: 'a' } } }, { Delete: { TableName: 'coffee', Key: { id: 'b' } } }] },
+            ]);
+        });
+    });
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const assert = require('assert');
+const webhookUtil = require('../webhookUtil');
+const { startWebhookServer } = require('./helpers/webhookServer');
+
+const payload = webhookUtil.newPayload(webhookUtil.EVENTS.COFFEE_RECORDED, '2020-01-01T08:00:00.000Z', { machine: 'home', amount: 1, count: 42 });
+
+describe('webhooks', () => {
+    let server;
+
+    afterEach(async () => {
+        if (server) {
+            await server.close();
+            server = undefined;
+        }
+    });
+
+    const env = (settings) => Object.assign({ WEBHOOK_URLS: server.url, WEBHOOK_SECRET: 'secret' }, settings);
+
+    it('posts the payload as signed JSON', async () => {
+        server = await startWebhookServer();
+        assert.strictEqual(await webhookUtil.sendEvents([payload], undefined, env()), 1);
+        const request = server.requests[0];
+        assert.deepStrictEqual(request.payload, payload);
+        assert.strictEqual(request.headers['content-type'], 'application/json');
+        assert.strictEqual(request.headers['x-coffee-event'], 'coffee.recorded');
+        const timestamp = Number(request.headers['x-coffee-timestamp']);
+        assert.ok(Math.abs(timestamp - Date.now() / 1000) < 5, request.headers['x-coffee-timestamp']);
+        assert.strictEqual(request.headers['x-coffee-signature'], webhookUtil.sign(timestamp, request.body, 'secret'));
+        assert.notStrictEqual(request.headers['x-coffee-signature'], webhookUtil.sign(timestamp - 600, request.body, 'secret'));
+        assert.ok(/^sha256=[0-9a-f]{64}$/.test(request.headers['x-coffee-signature']));
+    });
+
+    it('retries server errors', async () => {
+        server = await startWebhookServer((response, number) => {
+            response.statusCode = number < 3 ? 503 : 204;
+            response.end();
+        });
+        assert.strictEqual(await webhookUtil.sendEvents([payload], undefined, env({ WEBHOOK_DEADLINE_MS: '2000' })), 1);
+        assert.strictEqual(server.requests.length, 3);
+    });
+
+    it('does not retry rejected payloads', async () => {
+        server = await startWebhookServer(response => {
+            response.statusCode = 400;
+            response.end();
+        });
+        assert.strictEqual(await webhookUtil.sendEvents([payload], undefined, env()), 0);
+        assert.strictEqual(server.requests.length, 1);
+    });
+
+    it('gives up at the deadline when the webhook does not answer', async () => {
+        server = await startWebhookServer(() => {});
+        const start = Date.now();
+        assert.strictEqual(await webhookUtil.sendEvents([payload], undefined, env({ WEBHOOK_DEADLINE_MS: '300' })), 0);
+        assert.ok(Date.now() - start < 600, `took ${Date.now() - start} ms`);
+    });
+
+    it('takes a small share of the time left to the request', async () => {
+        server = await startWebhookServer(() => {});
+        const start = Date.now();
+        await webhookUtil.sendEvents([payload], 2000, env({ WEBHOOK_DEADLINE_MS: '5000' }));
+        assert.ok(Date.now() - start < 400, `took ${Date.now() - start} ms`);
+    });
+
+    it('only sends the configured events', async () => {
+        server = await startWebhookServer();
+        assert.strictEqual(await webhookUtil.sendEvents([payload], undefined, env({ WEBHOOK_EVENTS: 'maintenance.performed' })), 0);
+        assert.strictEqual(server.requests.length, 0);
+    });
+
+    it('sends nothing without webhooks', async () => {
+        assert.strictEqual(await webhookUtil.sendEvents([payload], undefined, {}), 0);
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * Time Zone Utility - The device's time zone, read through the Alexa Settings API,
+ * and the local calendar in it
+ *
+ * Calendar math works on local times: dates whose UTC fields hold the wall
+ * clock time of the time zone, see toLocalTime and fromLocalTime.
+ **/
+'use strict';
+
+const DEFAULT_TIME_ZONE = 'UTC';
+const TIME_ZONE_ATTRIBUTE = 'timeZone';
+
+/**
+ * Default factory returning the UpsServiceClient of the request.
+ * Requires the skill to be built with an api client.
+ */
+const defaultUpsClientFactory = (handlerInput) => {
+    return handlerInput.serviceClientFactory.getUpsServiceClient();
+};
+
+let upsClientFactory = defaultUpsClientFactory;
+
+/**
+ * Replace the factory creating settings clients, for example with a local fake
+ * exposing getSystemTimeZone(deviceId). Call without arguments to restore the default.
+ */
+const setUpsClientFactory = (factory) => {
+    upsClientFactory = factory || defaultUpsClientFactory;
+};
+
+/**
+ * Get the time zone of the device, such as 'Europe/Berlin', once per request.
+ * Falls back to UTC when the settings can't be read.
+ */
+const getTimeZone = async (handlerInput) => {
+    const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+    if (!requestAttributes[TIME_ZONE_ATTRIBUTE]) {
+        let timeZone;
+        try {
+            const device = ((handlerInput.requestEnvelope.context || {}).System || {}).device || {};
+            timeZone = await upsClientFactory(handlerInput).getSystemTimeZone(device.deviceId);
+        } catch (error) {
+            console.log(`Time zone not read: ${error.message}`);
+        }
+        requestAttributes[TIME_ZONE_ATTRIBUTE] = isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+    }
+    return requestAttributes[TIME_ZONE_ATTRIBUTE];
+};
+
+/**
+ * Returns whether the time zone is known to the runtime.
+ */
+const isValidTimeZone = (timeZone) => {
+    if (!timeZone) {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Get the offset of the time zone from UTC at `date` in milliseconds.
+ */
+const getOffset = (date, timeZone) => {
+    if (!timeZone || timeZone === DEFAULT_TIME_ZONE) {
+        return 0;
+    }
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+    }).formatToParts(date).forEach(part => {
+        parts[part.type] = Number(part.value);
+    });
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Get the local time of `date` in the time zone, UTC when not given.
+ */
+const toLocalTime = (date, timeZone) => {
+    return new Date(date.getTime() + getOffset(date, timeZone));
+};
+
+/**
+ * Get the date of a local time in the time zone, the reverse of toLocalTime.
+ */
+const fromLocalTime = (localTime, timeZone) => {
+    const guess = localTime.getTime() - getOffset(localTime, timeZone);
+    return new Date(localTime.getTime() - getOffset(new Date(guess), timeZone));
+};
+
+/**
+ * Get the local calendar day of `date` in the time zone, such as '2020-01-31'.
+ */
+const getLocalDay = (date, timeZone) => {
+    return toLocalTime(date, timeZone).toISOString().slice(0, 10);
+};
+
+/**
+ * Export the list of needed for clients to use
+ **/
+module.exports = {
+    DEFAULT_TIME_ZONE,
+    setUpsClientFactory,
+    getTimeZone,
+    toLocalTime,
+    fromLocalTime,
+    getLocalDay
+};
@@ -0,0 +1,110 @@
+/**
+ * User Data Utility - Reads everything kept for a user, to export or delete it
+ *
+ * A user's data is their account item, which is also their first machine's,
+ * the items of the other machines and the item of every voice profile that
+ * used one of them, see machineUtil.
+ **/
+'use strict';
+
+const { getStorage } = require('./storage');
+const machineUtil = require('./machineUtil');
+
+/**
+ * Columns of the history export, one row per history event.
+ */
+const HISTORY_COLUMNS = ['machine', 'type', 'at', 'amount', 'drink', 'person', 'task'];
+
+const getItem = async (id) => {
+    const data = await getStorage().get({ Key: { id: id } });
+    return data.Item;
+};
+
+const getSetValues = (set) => set ? set.values : [];
+
+/**
+ * Reads the stored items of a user. `personIds` adds voice profiles that are
+ * not known from the machines, such as the current speaker.
+ * Resolves with { userId, machines: [{ name, id, item }], people: [{ id, item }] },
+ * holding only the items that exist, the first machine first.
+ */
+const readUserData = async (userId, personIds) => {
+    const account = (await getItem(userId)) || {};
+    const machines = [];
+    const people = (personIds || []).slice();
+    for (const name of machineUtil.getMachineNames(account)) {
+        const id = machineUtil.getMachineItemId(userId, account, name);
+        const item = id === userId ? account : await getItem(id);
+        if (item && item.id) {
+            machines.push({ name: name, id: id, item: item });
+            getSetValues(item.people)
+                .filter(personId => people.indexOf(personId) === -1)
+                .forEach(personId => people.push(personId));
+        }
+    }
+    const personItems = [];
+    for (const personId of people) {
+        const item = await getItem(personId);
+        if (item) {
+            personItems.push({ id: personId, item: item });
+        }
+    }
+    return { userId: userId, machines: machines, people: personItems };
+};
+
+/**
+ * Get the history events of all machines as rows keyed by HISTORY_COLUMNS,
+ * oldest first.
+ */
+const getHistoryRows = (data) => {
+    const rows = [];
+    data.machines.forEach(machine => {
+        (machine.item.history || []).forEach(event => {
+            rows.push({
+                machine: machine.name,
+                type: event.type,
+                at: event.at,
+                amount: event.type === 'coffee' ? event.amount : undefined,
+                drink: event.drink,
+                person: event.person,
+                task: event.task,
+            });
+        });
+    });
+    return rows.sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+};
+
+const csvField = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Writes rows as CSV with a header line, see HISTORY_COLUMNS.
+ */
+const toCsv = (rows, columns) => {
+    const header = columns || HISTORY_COLUMNS;
+    return [header.join(',')]
+        .concat(rows.map(row => header.map(column => csvField(row[column])).join(',')))
+        .join('\n') + '\n';
+};
+
+/**
+ * Writes the data read by readUserData as JSON, sets written as lists.
+ */
+const toJson = (data) => {
+    return JSON.stringify(data, (key, value) => {
+        return value && value.wrapperName === 'Set' ? value.values : value;
+    }, 2) + '\n';
+};
+
+/**
+ * Export the list of needed for clients to use
+ **/
+module.exports = {
+    HISTORY_COLUMNS,
+    readUserData,
+    getHistoryRows,
+    toCsv,
+    toJson
+};
@@ -0,0 +1,195 @@
+/**
+ * Webhook Utility - Posts skill events to the webhooks configured for the skill,
+ * for example to Home Assistant or Node-RED
+ *
+ * Webhooks are configured from the environment:
+ *   WEBHOOK_URLS        - comma separated http(s) URLs, no webhooks when unset
+ *   WEBHOOK_SECRET      - key of the HMAC signing each payload, see SIGNATURE_HEADER
+ *   WEBHOOK_EVENTS      - comma separated events to send, all EVENTS by default
+ *   WEBHOOK_TIMEOUT_MS  - time one delivery attempt may take, 500 by default
+ *   WEBHOOK_RETRIES     - attempts after a failed one, 2 by default
+ *   WEBHOOK_DEADLINE_MS - time all deliveries of a request may take, 500 by default
+ *
+ * Every event is posted as JSON, such as
+ *   { "event": "coffee.recorded", "at": "2020-01-01T08:00:00.000Z", "machine": "home", "amount": 1, "count": 42 }
+ *
+ * threshold.crossed is sent with the coffees that make a task due. The skill
+ * only runs when it is spoken to, so tasks due after a number of days, such as
+ * the water filter, are sent with the first coffees recorded once they are due.
+ *
+ * Receivers should compute the signature of the timestamp and raw body, see
+ * sign, compare it with SIGNATURE_HEADER in constant time and reject requests
+ * whose TIMESTAMP_HEADER is more than a few minutes old, so that a recorded
+ * request can't be replayed.
+ **/
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const EVENTS = {
+    COFFEE_RECORDED: 'coffee.recorded',
+    THRESHOLD_CROSSED: 'threshold.crossed',
+    MAINTENANCE_PERFORMED: 'maintenance.performed',
+};
+
+/**
+ * Headers naming the event, the time it was sent in seconds since the epoch
+ * and the signature of both the time and the body, see sign.
+ */
+const EVENT_HEADER = 'X-Coffee-Event';
+const TIMESTAMP_HEADER = 'X-Coffee-Timestamp';
+const SIGNATURE_HEADER = 'X-Coffee-Signature';
+
+/**
+ * Share of the time left to the request the webhooks may take at most, and
+ * the delay before the first retry, doubled for each one after it.
+ */
+const MAX_REMAINING_SHARE = 0.1;
+const RETRY_DELAY_MS = 200;
+
+const splitList = (value) => (value || '').split(',').map(entry => entry.trim()).filter(entry => entry);
+
+const readNumber = (value, defaultValue) => {
+    const number = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : defaultValue;
+};
+
+/**
+ * Get the webhook configuration from the environment.
+ */
+const getConfig = (env) => {
+    const settings = env || process.env;
+    const events = splitList(settings.WEBHOOK_EVENTS);
+    return {
+        urls: splitList(settings.WEBHOOK_URLS),
+        secret: settings.WEBHOOK_SECRET,
+        events: events.length > 0 ? events : Object.keys(EVENTS).map(key => EVENTS[key]),
+        timeout: readNumber(settings.WEBHOOK_TIMEOUT_MS, 500),
+        retries: readNumber(settings.WEBHOOK_RETRIES, 2),
+        deadline: readNumber(settings.WEBHOOK_DEADLINE_MS, 500),
+    };
+};
+
+/**
+ * Get the signature header value of a body sent at `timestamp`: `sha256=` and
+ * the hex HMAC-SHA256 of the timestamp, a dot and the raw body keyed by
+ * WEBHOOK_SECRET.
+ */
+const sign = (timestamp, body, secret) => {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+/**
+ * Posts the body once. Resolves with the status code, rejects when the whole
+ * response did not arrive within `timeout` milliseconds.
+ */
+const post = (url, body, headers, timeout) => {
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('https:') ? https : http;
+        const request = client.request(url, {
+            method: 'POST',
+            headers: Object.assign({ 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }, headers),
+        }, response => {
+            response.resume();
+            response.on('end', () => {
+                clearTimeout(timer);
+                resolve(response.statusCode);
+            });
+            response.on('error', fail);
+        });
+        const fail = (error) => {
+            clearTimeout(timer);
+            reject(error);
+        };
+        const timer = setTimeout(() => request.destroy(new Error(`Timed out after ${timeout} ms`)), timeout);
+        request.on('error', fail);
+        request.end(body);
+    });
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Delivers a payload to one URL, retrying failed attempts with a growing delay
+ * as long as the deadline allows. Client errors other than 429 are not retried.
+ * Resolves with whether the webhook accepted the payload, never rejects.
+ */
+const deliver = async (url, payload, config, deadline) => {
+    const body = JSON.stringify(payload);
+    for (let attempt = 0; attempt <= config.retries; attempt++) {
+        const delay = attempt === 0 ? 0 : RETRY_DELAY_MS * Math.pow(2, attempt - 1);
+        const timeout = Math.min(config.timeout, deadline - Date.now() - delay);
+        if (timeout <= 0) {
+            break;
+        }
+        await wait(delay);
+        // signed for each attempt, so that a retry is not too old to be accepted
+        const timestamp = Math.floor(Date.now() / 1000);
+        const headers = {};
+        headers[EVENT_HEADER] = payload.event;
+        headers[TIMESTAMP_HEADER] = String(timestamp);
+        if (config.secret) {
+            headers[SIGNATURE_HEADER] = sign(timestamp, body, config.secret);
+        }
+        try {
+            const status = await post(url, body, headers, timeout);
+            if (status >= 200 && status < 300) {
+                return true;
+            }
+            console.log(`Webhook ${payload.event} to ${url} failed with status ${status}`);
+            if (status < 500 && status !== 429) {
+                return false;
+            }
+        } catch (error) {
+            console.log(`Webhook ${payload.event} to ${url} failed: ${error.message}`);
+        }
+    }
+    return false;
+};
+
+/**
+ * Creates the payload of an event, `details` describing what happened.
+ */
+const newPayload = (event, at, details) => {
+    return Object.assign({ event: event, at: at }, details);
+};
+
+/**
+ * Sends the payloads to every configured webhook that wants their event.
+ * Waits at most WEBHOOK_DEADLINE_MS, and never more than MAX_REMAINING_SHARE
+ * of `remainingTime`, the milliseconds left to the request. Resolves with
+ * the number of deliveries that succeeded, never rejects.
+ */
+const sendEvents = async (payloads, remainingTime, env) => {
+    const config = getConfig(env);
+    const wanted = payloads.filter(payload => config.events.indexOf(payload.event) !== -1);
+    if (config.urls.length === 0 || wanted.length === 0) {
+        return 0;
+    }
+    const budget = remainingTime === undefined
+        ? config.deadline
+        : Math.min(config.deadline, remainingTime * MAX_REMAINING_SHARE);
+    const deadline = Date.now() + budget;
+    const deliveries = [];
+    config.urls.forEach(url => {
+        wanted.forEach(payload => deliveries.push(deliver(url, payload, config, deadline)));
+    });
+    const results = await Promise.all(deliveries);
+    return results.filter(delivered => delivered).length;
+};
+
+/**
+ * Export the list of needed for clients to use
+ **/
+module.exports = {
+    EVENTS,
+    EVENT_HEADER,
+    TIMESTAMP_HEADER,
+    SIGNATURE_HEADER,
+    getConfig,
+    sign,
+    newPayload,
+    sendEvents
+};